@@ -3,6 +3,7 @@ from fastapi import APIRouter, HTTPException
 from pydantic import BaseModel
 import asyncpg
 from app.auth import AuthorizedUser
+from app.libs import table_events
 
 router = APIRouter()
 
@@ -92,7 +93,7 @@ async def send_message(body: SendMessageRequest, user: AuthorizedUser) -> ChatMe
             body.recipient_id
         )
         
-        return ChatMessage(
+        message = ChatMessage(
             id=row["id"],
             table_id=row["table_id"],
             user_id=row["user_id"],
@@ -102,6 +103,14 @@ async def send_message(body: SendMessageRequest, user: AuthorizedUser) -> ChatMe
             recipient_id=row["recipient_id"],
             created_at=row["created_at"].isoformat()
         )
+        # Private messages only reach the sender and recipient
+        table_events.publish(
+            body.table_id,
+            table_events.CHAT_MESSAGE,
+            {"message": message.model_dump()},
+            visible_to=[user.sub, body.recipient_id] if message.is_private else None,
+        )
+        return message
     finally:
         await conn.close()
 
@@ -0,0 +1,58 @@
+"""Live table events pushed to the Table page, chat and voice panels"""
+import asyncio
+import json
+from fastapi import APIRouter, HTTPException
+from fastapi.responses import StreamingResponse
+from app.auth import AuthorizedUser
+from app.libs import presence
+from app.libs.db import fetchrow
+from app.libs.table_events import is_streaming, subscribe
+
+router = APIRouter()
+
+# A comment line this often keeps proxies from closing an idle stream
+KEEPALIVE_SECONDS = 15
+
+
+@router.get("/tables/events")
+async def table_events(table_id: str, user: AuthorizedUser):
+    """Stream the table's events as server-sent events.
+
+    Each event is sent as `event: <type>` with its JSON in `data:`; see
+    app.libs.table_events for the types. Events only say that something
+    happened, so clients re-read private state such as their hand over REST.
+    The stream closes if the client falls too far behind; clients should
+    reconnect and re-read the table then. Opening a stream resumes a seat kept
+    for a disconnected player; closing the last one starts their reconnect
+    grace (see app.libs.presence).
+    """
+    member = await fetchrow(
+        "SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2",
+        table_id,
+        user.sub,
+    )
+    if not member:
+        raise HTTPException(status_code=403, detail="Not part of this table")
+
+    async def stream():
+        try:
+            async with subscribe(table_id, user.sub) as sub:
+                await presence.resume(table_id, user.sub)
+                yield ": connected\n\n"
+                while not sub.lagging:
+                    try:
+                        event = await asyncio.wait_for(sub.queue.get(), KEEPALIVE_SECONDS)
+                    except asyncio.TimeoutError:
+                        yield ": keepalive\n\n"
+                        continue
+                    yield f"event: {event['type']}\ndata: {json.dumps(event)}\n\n"
+        finally:
+            if not is_streaming(table_id, user.sub):
+                # Shielded so a cancelled request still records the disconnect
+                await asyncio.shield(presence.disconnect(table_id, user.sub))
+
+    return StreamingResponse(
+        stream(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
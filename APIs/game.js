@@ -2,11 +2,11 @@
 # Game API - Optimized for <0.40s response times
 # Last reload: 2025-11-10 19:35 IST
 
-from fastapi import APIRouter, HTTPException
+from fastapi import APIRouter, Header, HTTPException
 from pydantic import BaseModel
-from typing import List, Optional
+from typing import List, Optional, Tuple
 from app.auth import AuthorizedUser
-from app.libs.db import fetchrow, fetch, execute
+from app.libs.db import fetchrow, fetch, execute, executemany, transaction
 import uuid
 import json
 import random
@@ -14,21 +14,63 @@ import string
 from app.libs.scoring import (
     is_sequence,
     is_pure_sequence,
-    is_set,
     calculate_deadwood_points,
-    auto_organize_hand,
+    organize_hand_by_melds,
+    preview_declaration,
+    validate_declaration,
 )
-from app.libs.rummy_models import DeckConfig, deal_initial, StartRoundResponse
+from app.libs import presence, round_phase, table_events
+from app.libs.round_phase import GameError, check_transition, derive_phase, require_phase
+from app.libs.rummy_models import (
+    cut_joker_rank,
+    deal_initial,
+    deck_supports,
+    reshuffle_discard_into_stock,
+    RuleSet,
+    select_deck_config,
+    StartRoundResponse,
+)
+import math
 import time
+from datetime import datetime, timedelta, timezone
 
 router = APIRouter()
 
+# Pool Rummy: pool size -> default drop penalties and the score a remaining
+# player may reach before eliminated players can no longer buy back in
+POOL_RULES = {
+    101: {"first_drop": 20, "middle_drop": 40, "full_count": 80, "rejoin_below": 80},
+    201: {"first_drop": 25, "middle_drop": 50, "full_count": 80, "rejoin_below": 175},
+}
+DEFAULT_DROP_PENALTIES = {"first_drop": 20, "middle_drop": 40, "full_count": 80}
+
+# Deals Rummy: allowed deal counts; every player starts with this many
+# chips per deal so nobody can run out before the last deal
+DEAL_COUNTS = (2, 3, 6)
+DEALS_CHIPS_PER_DEAL = 80
+
 
 class CreateTableRequest(BaseModel):
     max_players: int = 4
     disqualify_score: int = 200
     wild_joker_mode: str = "open_joker"  # "no_joker", "close_joker", or "open_joker"
     ace_value: int = 10  # 1 or 10
+    stock_exhausted_rule: str = "reshuffle"  # "reshuffle" or "draw" when the stock runs out
+    game_type: str = "classic"  # "classic", "pool", "deals" or "points"
+    pool_limit: int = 101  # 101 or 201; pool games only
+    deal_count: int = 2  # 2, 3 or 6; deals games only
+    point_value: float = 1.0  # chips per point; points games only
+    deck_count: Optional[int] = None  # 1-3 decks; None picks by player count each deal
+    printed_jokers_per_deck: int = 2  # 0-2
+    # Drop penalties; None uses the game type's default (pool tables scale with the pool)
+    first_drop_penalty: Optional[int] = None
+    middle_drop_penalty: Optional[int] = None
+    full_count_penalty: Optional[int] = None
+    turn_seconds: int = 30  # per turn; 0 turns the timer off
+    time_bank_seconds: int = 60  # extra time per player per round
+    max_timeouts: int = 3  # consecutive timeouts before a player is dropped
+    reconnect_grace_seconds: int = 90  # a disconnected player keeps their seat this long; 0 drops them at once
+    rules: Optional[RuleSet] = None  # house rules; defaults apply when unset, Aces follow ace_value
 
 
 class CreateTableResponse(BaseModel):
@@ -38,6 +80,53 @@ class CreateTableResponse(BaseModel):
 
 @router.post("/tables")
 async def create_table(body: CreateTableRequest, user: AuthorizedUser) -> CreateTableResponse:
+    if body.stock_exhausted_rule not in ("reshuffle", "draw"):
+        raise HTTPException(status_code=400, detail="stock_exhausted_rule must be 'reshuffle' or 'draw'")
+    if body.game_type not in ("classic", "pool", "deals", "points"):
+        raise HTTPException(status_code=400, detail="game_type must be 'classic', 'pool', 'deals' or 'points'")
+    if body.game_type == "pool" and body.pool_limit not in POOL_RULES:
+        raise HTTPException(status_code=400, detail="pool_limit must be 101 or 201")
+    if body.game_type == "deals" and body.deal_count not in DEAL_COUNTS:
+        raise HTTPException(status_code=400, detail="deal_count must be 2, 3 or 6")
+    if body.game_type == "points" and body.point_value <= 0:
+        raise HTTPException(status_code=400, detail="point_value must be positive")
+
+    # In a pool game the pool size is the elimination score
+    disqualify_score = body.pool_limit if body.game_type == "pool" else body.disqualify_score
+    pool_limit = body.pool_limit if body.game_type == "pool" else None
+    deal_count = body.deal_count if body.game_type == "deals" else None
+    point_value = body.point_value if body.game_type == "points" else None
+
+    if body.deck_count is not None:
+        if body.deck_count not in (1, 2, 3):
+            raise HTTPException(status_code=400, detail="deck_count must be 1, 2 or 3")
+        if not deck_supports(body.deck_count, body.max_players):
+            raise HTTPException(
+                status_code=400,
+                detail=f"{body.deck_count} deck(s) is not enough for {body.max_players} players",
+            )
+    if body.printed_jokers_per_deck not in (0, 1, 2):
+        raise HTTPException(status_code=400, detail="printed_jokers_per_deck must be 0, 1 or 2")
+    penalties = _drop_penalties(
+        body.game_type,
+        pool_limit,
+        body.first_drop_penalty,
+        body.middle_drop_penalty,
+        body.full_count_penalty,
+    )
+    if not 0 < penalties["first_drop"] <= penalties["middle_drop"] <= penalties["full_count"]:
+        raise HTTPException(status_code=400, detail="Drop penalties must satisfy 0 < first <= middle <= full count")
+    if body.turn_seconds != 0 and not 10 <= body.turn_seconds <= 300:
+        raise HTTPException(status_code=400, detail="turn_seconds must be 0 (off) or between 10 and 300")
+    if not 0 <= body.time_bank_seconds <= 600:
+        raise HTTPException(status_code=400, detail="time_bank_seconds must be between 0 and 600")
+    if not 1 <= body.max_timeouts <= 10:
+        raise HTTPException(status_code=400, detail="max_timeouts must be between 1 and 10")
+    if not 0 <= body.reconnect_grace_seconds <= 600:
+        raise HTTPException(status_code=400, detail="reconnect_grace_seconds must be between 0 and 600")
+    # The table's ace_value column stays the source of truth for Aces
+    rules = (body.rules or RuleSet()).model_copy(update={"ace_value": body.ace_value})
+
     table_id = str(uuid.uuid4())
     # Generate short 6-character alphanumeric code
     code = ''.join(random.choices(string.ascii_uppercase + string.digits, k=6))
@@ -46,8 +135,11 @@ async def create_table(body: CreateTableRequest, user: AuthorizedUser) -> Create
     result = await fetchrow(
         """
         WITH new_table AS (
-            INSERT INTO public.rummy_tables (id, code, host_user_id, max_players, disqualify_score, wild_joker_mode, ace_value)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            INSERT INTO public.rummy_tables (id, code, host_user_id, max_players, disqualify_score, wild_joker_mode, ace_value, stock_exhausted_rule, game_type, pool_limit, deal_count, point_value,
+                                            deck_count, printed_jokers_per_deck,
+                                            first_drop_penalty, middle_drop_penalty, full_count_penalty,
+                                            turn_seconds, time_bank_seconds, max_timeouts, rules, reconnect_grace_seconds)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21::jsonb, $22)
             RETURNING id, code
         ),
         profile_data AS (
@@ -76,9 +168,24 @@ async def create_table(body: CreateTableRequest, user: AuthorizedUser) -> Create
         code,
         user.sub,
         body.max_players,
-        body.disqualify_score,
+        disqualify_score,
         body.wild_joker_mode,
         body.ace_value,
+        body.stock_exhausted_rule,
+        body.game_type,
+        pool_limit,
+        deal_count,
+        point_value,
+        body.deck_count,
+        body.printed_jokers_per_deck,
+        body.first_drop_penalty,
+        body.middle_drop_penalty,
+        body.full_count_penalty,
+        body.turn_seconds,
+        body.time_bank_seconds,
+        body.max_timeouts,
+        json.dumps(rules.model_dump()),
+        body.reconnect_grace_seconds,
     )
     
     return CreateTableResponse(table_id=result["id"], code=result["code"])
@@ -102,6 +209,10 @@ async def join_table(body: JoinTableRequest, user: AuthorizedUser) -> JoinTableR
     )
     if not tbl:
         raise HTTPException(status_code=404, detail="Table not found")
+    # Players already seated get their seat back, even mid-game
+    seat = await presence.resume(body.table_id, user.sub)
+    if seat is not None:
+        return JoinTableResponse(table_id=body.table_id, seat=seat)
     if tbl["status"] != "waiting":
         raise HTTPException(status_code=400, detail="Cannot join: round already started")
 
@@ -123,7 +234,7 @@ async def join_table(body: JoinTableRequest, user: AuthorizedUser) -> JoinTableR
     )
     display_name = profile["display_name"] if profile else f"Player-{user.sub[-6:]}"
 
-    await execute(
+    inserted = await execute(
         """
         INSERT INTO public.rummy_table_players (table_id, user_id, seat, display_name)
         VALUES ($1, $2, $3, $4)
@@ -134,6 +245,10 @@ async def join_table(body: JoinTableRequest, user: AuthorizedUser) -> JoinTableR
         next_seat,
         display_name,
     )
+    if inserted.endswith(" 1"):
+        table_events.publish(body.table_id, table_events.PLAYER_JOINED, {
+            "user_id": user.sub, "display_name": display_name, "seat": next_seat,
+        })
     return JoinTableResponse(table_id=body.table_id, seat=next_seat)
 
 
@@ -150,6 +265,10 @@ async def join_table_by_code(body: JoinByCodeRequest, user: AuthorizedUser) -> J
     )
     if not tbl:
         raise HTTPException(status_code=404, detail="Table code not found")
+    # Players already seated get their seat back, even mid-game
+    seat = await presence.resume(tbl["id"], user.sub)
+    if seat is not None:
+        return JoinTableResponse(table_id=tbl["id"], seat=seat)
     if tbl["status"] != "waiting":
         raise HTTPException(status_code=400, detail="Cannot join: round already started")
     
@@ -175,12 +294,16 @@ async def join_table_by_code(body: JoinByCodeRequest, user: AuthorizedUser) -> J
     display_name = profile["display_name"] if profile else f"Player-{user.sub[-6:]}"
     
     # Add player
-    await execute(
+    inserted = await execute(
         """INSERT INTO public.rummy_table_players (table_id, user_id, seat, display_name)
         VALUES ($1, $2, $3, $4)
         ON CONFLICT (table_id, user_id) DO NOTHING""",
         tbl["id"], user.sub, next_seat, display_name
     )
+    if inserted.endswith(" 1"):
+        table_events.publish(tbl["id"], table_events.PLAYER_JOINED, {
+            "user_id": user.sub, "display_name": display_name, "seat": next_seat,
+        })
     
     return JoinTableResponse(table_id=tbl["id"], seat=next_seat)
 
@@ -192,106 +315,123 @@ class StartGameRequest(BaseModel):
 
 @router.post("/start-game")
 async def start_game(body: StartGameRequest, user: AuthorizedUser) -> StartRoundResponse:
-    # Confirm user in table and fetch host + status + game settings
-    tbl = await fetchrow(
-        """
-        SELECT t.id, t.status, t.host_user_id, t.wild_joker_mode, t.ace_value
-        FROM public.rummy_tables t
-        WHERE t.id = $1
-        """,
-        body.table_id,
-    )
-    if not tbl:
-        raise HTTPException(status_code=404, detail="Table not found")
+    async with transaction():
+        # Confirm user in table and fetch host + status + game settings.
+        # There is no round to lock yet, so lock the table against a second start
+        tbl = await fetchrow(
+            """
+            SELECT t.id, t.status, t.host_user_id, t.wild_joker_mode, t.ace_value, t.game_type, t.deal_count,
+                   t.deck_count, t.printed_jokers_per_deck, t.turn_seconds, t.time_bank_seconds
+            FROM public.rummy_tables t
+            WHERE t.id = $1
+            FOR UPDATE
+            """,
+            body.table_id,
+        )
+        if not tbl:
+            raise HTTPException(status_code=404, detail="Table not found")
 
-    member = await fetchrow(
-        "SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2",
-        body.table_id,
-        user.sub,
-    )
-    if not member:
-        raise HTTPException(status_code=403, detail="Not part of the table")
+        member = await fetchrow(
+            "SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2",
+            body.table_id,
+            user.sub,
+        )
+        if not member:
+            raise HTTPException(status_code=403, detail="Not part of the table")
 
-    if tbl["status"] != "waiting":
-        raise HTTPException(status_code=400, detail="Game already started")
+        if tbl["status"] != "waiting":
+            raise HTTPException(status_code=400, detail="Game already started")
 
-    if tbl["host_user_id"] != user.sub:
-        raise HTTPException(status_code=403, detail="Only host can start the game")
+        if tbl["host_user_id"] != user.sub:
+            raise HTTPException(status_code=403, detail="Only host can start the game")
 
-    players = await fetch(
-        """
-        SELECT user_id
-        FROM public.rummy_table_players
-        WHERE table_id = $1 AND is_spectator = false
-        ORDER BY seat ASC
-        """,
-        body.table_id,
-    )
-    user_ids = [r["user_id"] for r in players]
-    if len(user_ids) < 2:
-        raise HTTPException(status_code=400, detail="Need at least 2 players to start")
+        players = await fetch(
+            """
+            SELECT user_id
+            FROM public.rummy_table_players
+            WHERE table_id = $1 AND is_spectator = false
+            ORDER BY seat ASC
+            """,
+            body.table_id,
+        )
+        user_ids = [r["user_id"] for r in players]
+        if len(user_ids) < 2:
+            raise HTTPException(status_code=400, detail="Need at least 2 players to start")
 
-    cfg = DeckConfig(decks=2, include_printed_jokers=True)
-    deal = deal_initial(user_ids, cfg, body.seed)
+        # Game mode logic:
+        # - no_joker: no wild joker at all
+        # - close_joker: wild joker exists but hidden initially
+        # - open_joker: wild joker revealed immediately
+        game_mode = tbl["wild_joker_mode"]
 
-    round_id = str(uuid.uuid4())
-    number = 1
-    
-    # Game mode logic:
-    # - no_joker: no wild joker at all
-    # - close_joker: wild joker exists but hidden initially
-    # - open_joker: wild joker revealed immediately
-    game_mode = tbl["wild_joker_mode"]
-    wild_joker_rank = None
-    
-    if game_mode in ["close_joker", "open_joker"]:
-        # Randomly select wild joker rank (excluding JOKER itself)
-        all_ranks = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']
-        wild_joker_rank = random.choice(all_ranks)
+        cfg = select_deck_config(len(user_ids), tbl["deck_count"], tbl["printed_jokers_per_deck"])
+        deal = deal_initial(user_ids, cfg, body.seed, cut_joker=game_mode in ["close_joker", "open_joker"])
 
-    hands_serialized = {uid: [c.model_dump() for c in cards] for uid, cards in deal.hands.items()}
-    stock_serialized = [c.model_dump() for c in deal.stock]
-    discard_serialized = [c.model_dump() for c in deal.discard]
+        round_id = str(uuid.uuid4())
+        number = 1
+        wild_joker_rank = cut_joker_rank(deal.printed_joker) if deal.printed_joker else None
 
-    await execute(
-        """
-        INSERT INTO public.rummy_rounds (id, table_id, number, printed_joker, wild_joker_rank, stock, discard, hands, active_user_id, game_mode, ace_value)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        """,
-        round_id,
-        body.table_id,
-        number,
-        None,
-        wild_joker_rank,
-        json.dumps(stock_serialized),
-        json.dumps(discard_serialized),
-        json.dumps(hands_serialized),
-        user_ids[0],
-        game_mode,
-        tbl["ace_value"],
-    )
+        hands_serialized = {uid: [c.model_dump() for c in cards] for uid, cards in deal.hands.items()}
+        stock_serialized = [c.model_dump() for c in deal.stock]
+        discard_serialized = [c.model_dump() for c in deal.discard]
+        deadline = _turn_deadline(tbl["turn_seconds"])
 
-    await execute(
-        "UPDATE public.rummy_tables SET status = 'playing', updated_at = now() WHERE id = $1",
-        body.table_id,
-    )
+        await execute(
+            """
+            INSERT INTO public.rummy_rounds (id, table_id, number, printed_joker, wild_joker_rank, stock, discard, hands, active_user_id, game_mode, ace_value, deck_config,
+                                             turn_deadline, time_banks, phase)
+            VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8, $9, $10, $11, $12::jsonb, $13, $14::jsonb, $15)
+            """,
+            round_id,
+            body.table_id,
+            number,
+            json.dumps(deal.printed_joker.model_dump()) if deal.printed_joker else None,
+            wild_joker_rank,
+            json.dumps(stock_serialized),
+            json.dumps(discard_serialized),
+            json.dumps(hands_serialized),
+            user_ids[0],
+            game_mode,
+            tbl["ace_value"],
+            json.dumps(cfg.model_dump()),
+            deadline,
+            json.dumps({uid: tbl["time_bank_seconds"] for uid in user_ids}),
+            check_transition(round_phase.DEALING, round_phase.DRAWING),
+        )
 
-    discard_top = None
-    if len(discard_serialized) > 0:
-        top = discard_serialized[-1]
-        if top.get("joker") and top.get("rank") == "JOKER":
-            discard_top = "JOKER"
-        else:
-            discard_top = f"{top.get('rank')}{top.get('suit') or ''}"
+        await execute(
+            "UPDATE public.rummy_tables SET status = 'playing', updated_at = now() WHERE id = $1",
+            body.table_id,
+        )
 
-    return StartRoundResponse(
-        round_id=round_id,
-        table_id=body.table_id,
-        number=number,
-        active_user_id=user_ids[0],
-        stock_count=len(stock_serialized),
-        discard_top=discard_top,
-    )
+        if tbl["game_type"] == "deals":
+            await execute(
+                "UPDATE public.rummy_table_players SET chips = $2 WHERE table_id = $1 AND is_spectator = false",
+                body.table_id,
+                DEALS_CHIPS_PER_DEAL * tbl["deal_count"],
+            )
+
+        discard_top = None
+        if len(discard_serialized) > 0:
+            top = discard_serialized[-1]
+            if top.get("joker") and top.get("rank") == "JOKER":
+                discard_top = "JOKER"
+            else:
+                discard_top = f"{top.get('rank')}{top.get('suit') or ''}"
+
+        table_events.publish(body.table_id, table_events.ROUND_STARTED, {
+            "round_number": number,
+            "active_user_id": user_ids[0],
+            "turn_deadline": deadline.isoformat() if deadline else None,
+        })
+        return StartRoundResponse(
+            round_id=round_id,
+            table_id=body.table_id,
+            number=number,
+            active_user_id=user_ids[0],
+            stock_count=len(stock_serialized),
+            discard_top=discard_top,
+        )
 
 
 # -------- Table info (for lobby/table screen polling) --------
@@ -300,6 +440,11 @@ class PlayerInfo(BaseModel):
     seat: int
     display_name: Optional[str] = None
     profile_image_url: Optional[str] = None
+    total_points: int = 0
+    disqualified: bool = False
+    rejoins: int = 0
+    chips: int = 0
+    reconnect_deadline: Optional[str] = None  # set while disconnected: when the seat's grace runs out
 
 
 class TableInfoResponse(BaseModel):
@@ -311,6 +456,19 @@ class TableInfoResponse(BaseModel):
     disqualify_score: int
     game_mode: str
     ace_value: int
+    stock_exhausted_rule: str = "reshuffle"
+    game_type: str = "classic"
+    pool_limit: Optional[int] = None
+    rejoin_score: Optional[int] = None  # buy-back score while pool rejoins are open
+    deal_count: Optional[int] = None  # deals games: total deals; current_round_number is the deal counter
+    point_value: Optional[float] = None  # points games only
+    deck_count: Optional[int] = None  # host override; None means chosen by player count
+    printed_jokers_per_deck: int = 2
+    winner_user_id: Optional[str] = None  # set when a pool or deals game finishes
+    turn_seconds: int = 0
+    turn_deadline: Optional[str] = None  # when the active player's turn time runs out
+    active_time_bank: int = 0  # extra seconds the active player has left after the deadline
+    rules: RuleSet = RuleSet()
     players: List[PlayerInfo]
     current_round_number: Optional[int] = None
     active_user_id: Optional[str] = None
@@ -325,7 +483,9 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
     result = await fetchrow(
         """
         WITH table_data AS (
-            SELECT id, code, status, host_user_id, max_players, disqualify_score, wild_joker_mode, ace_value
+            SELECT id, code, status, host_user_id, max_players, disqualify_score, wild_joker_mode, ace_value, stock_exhausted_rule,
+                   game_type, pool_limit, deal_count, point_value, winner_user_id,
+                   deck_count, printed_jokers_per_deck, turn_seconds, rules, reconnect_grace_seconds
             FROM public.rummy_tables
             WHERE id = $1
         ),
@@ -336,13 +496,13 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
             ) AS is_member
         ),
         players_data AS (
-            SELECT user_id, seat, display_name, profile_image_url
+            SELECT user_id, seat, display_name, profile_image_url, total_points, disqualified, rejoins, chips, disconnected_at
             FROM public.rummy_table_players
             WHERE table_id = $1 AND is_spectator = false
             ORDER BY seat ASC
         ),
         last_round_data AS (
-            SELECT number, active_user_id
+            SELECT number, active_user_id, finished_at, turn_deadline, time_banks
             FROM public.rummy_rounds
             WHERE table_id = $1
             ORDER BY number DESC
@@ -357,19 +517,29 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
                         'user_id', p.user_id,
                         'seat', p.seat,
                         'display_name', p.display_name,
-                        'profile_image_url', p.profile_image_url
+                        'profile_image_url', p.profile_image_url,
+                        'total_points', p.total_points,
+                        'disqualified', p.disqualified,
+                        'rejoins', p.rejoins,
+                        'chips', p.chips,
+                        'reconnect_deadline', p.disconnected_at + make_interval(secs => t.reconnect_grace_seconds)
                     ) ORDER BY p.seat
                 ) FILTER (WHERE p.user_id IS NOT NULL),
                 '[]'
             ) AS players_json,
             r.number AS round_number,
-            r.active_user_id
+            r.active_user_id,
+            r.finished_at,
+            r.turn_deadline,
+            r.time_banks
         FROM table_data t
         CROSS JOIN membership_check m
         LEFT JOIN players_data p ON true
         LEFT JOIN last_round_data r ON true
         GROUP BY t.id, t.code, t.status, t.host_user_id, t.max_players, t.disqualify_score, 
-                 t.wild_joker_mode, t.ace_value, m.is_member, r.number, r.active_user_id
+                 t.wild_joker_mode, t.ace_value, t.stock_exhausted_rule, t.game_type, t.pool_limit,
+                 t.deal_count, t.point_value, t.winner_user_id, t.deck_count, t.printed_jokers_per_deck,
+                 t.turn_seconds, t.rules, t.reconnect_grace_seconds, m.is_member, r.number, r.active_user_id, r.finished_at, r.turn_deadline, r.time_banks
         """,
         table_id,
         user.sub,
@@ -391,11 +561,27 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
             user_id=p["user_id"],
             seat=p["seat"],
             display_name=p["display_name"],
-            profile_image_url=p.get("profile_image_url")
+            profile_image_url=p.get("profile_image_url"),
+            total_points=p.get("total_points") or 0,
+            disqualified=bool(p.get("disqualified")),
+            rejoins=p.get("rejoins") or 0,
+            chips=p.get("chips") or 0,
+            reconnect_deadline=p.get("reconnect_deadline"),
         )
         for p in players_data
     ]
 
+    turn_deadline = None
+    active_time_bank = 0
+    if result["turn_deadline"] and not result["finished_at"]:
+        turn_deadline = result["turn_deadline"].isoformat()
+        banks = json.loads(result["time_banks"]) if isinstance(result["time_banks"], str) else (result["time_banks"] or {})
+        active_time_bank = int(banks.get(result["active_user_id"], 0))
+
+    rejoin_score = None
+    if result["game_type"] == "pool" and result["status"] == "playing":
+        rejoin_score = _pool_rejoin_score(result["pool_limit"], players_data)
+
     return TableInfoResponse(
         table_id=result["id"],
         code=result["code"],
@@ -405,6 +591,19 @@ async def get_table_info(table_id: str, user: AuthorizedUser) -> TableInfoRespon
         disqualify_score=result["disqualify_score"],
         game_mode=result["wild_joker_mode"],
         ace_value=result["ace_value"],
+        stock_exhausted_rule=result["stock_exhausted_rule"],
+        game_type=result["game_type"],
+        pool_limit=result["pool_limit"],
+        rejoin_score=rejoin_score,
+        deal_count=result["deal_count"],
+        point_value=float(result["point_value"]) if result["point_value"] is not None else None,
+        winner_user_id=result["winner_user_id"],
+        deck_count=result["deck_count"],
+        printed_jokers_per_deck=result["printed_jokers_per_deck"],
+        turn_seconds=result["turn_seconds"] or 0,
+        turn_deadline=turn_deadline,
+        active_time_bank=active_time_bank,
+        rules=_table_rules(result["rules"], result["ace_value"]),
         players=players,
         current_round_number=result["round_number"],
         active_user_id=result["active_user_id"],
@@ -419,6 +618,19 @@ class CardView(BaseModel):
     code: str
 
 
+class ReshuffleEvent(BaseModel):
+    at: str  # ISO timestamp
+    by_user_id: str  # player whose stock draw triggered it
+    cards: int  # size of the new stock
+    seed: int  # fair_shuffle seed, for replaying the shuffle
+
+
+class ArrangementGroup(BaseModel):
+    id: str
+    cards: List[CardView]
+    locked: bool = False  # frozen against edits in the UI
+
+
 class RoundMeResponse(BaseModel):
     table_id: str
     round_number: int
@@ -427,7 +639,15 @@ class RoundMeResponse(BaseModel):
     discard_top: Optional[str] = None
     wild_joker_revealed: bool = False
     wild_joker_rank: Optional[str] = None
+    cut_joker: Optional[CardView] = None  # the cut card under the stock, once the wild joker is revealed to you
     finished_at: Optional[str] = None
+    reshuffles: List[ReshuffleEvent] = []
+    arrangement: List[ArrangementGroup] = []  # the caller's saved grouping of this hand
+    show_deadline: Optional[str] = None  # set between a valid declaration and the end of the round
+    declared_by: Optional[str] = None
+    show_submitted: bool = False  # the caller has grouped their cards for the show
+    phase: Optional[str] = None  # see app.libs.round_phase
+    version: int = 0  # bumped on writes to shared round state, not on arrangement saves or sequence locks; send back with turn actions
 
 
 @router.get("/round/me")
@@ -451,7 +671,9 @@ async def get_round_me(table_id: str, user: AuthorizedUser) -> RoundMeResponse:
     
     # Get latest round
     rnd = await fetchrow(
-        """SELECT id, number, printed_joker, wild_joker_rank, stock, discard, hands, active_user_id
+        """SELECT id, number, printed_joker, wild_joker_rank, stock, discard, hands, active_user_id, finished_at, reshuffles,
+                  players_with_first_sequence, arrangements, show_deadline, winner_user_id, declarations,
+                  phase, points_accumulated, version
            FROM rummy_rounds 
            WHERE table_id = $1 
            ORDER BY number DESC 
@@ -496,6 +718,17 @@ async def get_round_me(table_id: str, user: AuthorizedUser) -> RoundMeResponse:
         for c in my_hand_data
     ]
     
+    wild_joker_revealed = _wild_joker_revealed(table, rnd, user.sub)
+    cut_joker = None
+    if wild_joker_revealed and rnd["printed_joker"]:
+        cut = json.loads(rnd["printed_joker"]) if isinstance(rnd["printed_joker"], str) else rnd["printed_joker"]
+        cut_joker = _hand_view([cut])[0]
+
+    show_submitted = False
+    if rnd["show_deadline"] and rnd["winner_user_id"]:
+        declarations = json.loads(rnd["declarations"]) if isinstance(rnd["declarations"], str) else rnd["declarations"]
+        show_submitted = user.sub in (declarations[rnd["winner_user_id"]].get("shows") or {})
+
     elapsed = time.time() - start
     return RoundMeResponse(
         table_id=table_id,
@@ -503,9 +736,159 @@ async def get_round_me(table_id: str, user: AuthorizedUser) -> RoundMeResponse:
         hand=hand_view,
         stock_count=len(stock),
         discard_top=discard_top_str,
-        wild_joker_revealed=False,  # Will fix this logic later
+        wild_joker_revealed=wild_joker_revealed,
         wild_joker_rank=rnd["wild_joker_rank"],
-        finished_at=None
+        cut_joker=cut_joker,
+        finished_at=rnd["finished_at"].isoformat() if rnd["finished_at"] else None,
+        reshuffles=_parse_reshuffles(rnd["reshuffles"]),
+        arrangement=_arrangement_view(
+            _reconcile_arrangement(_parse_arrangements(rnd["arrangements"]).get(user.sub, []), my_hand_data)
+        ),
+        show_deadline=rnd["show_deadline"].isoformat() if rnd["show_deadline"] else None,
+        declared_by=rnd["winner_user_id"] if rnd["show_deadline"] else None,
+        show_submitted=show_submitted,
+        phase=_phase_of(rnd, hands),
+        version=rnd["version"],
+    )
+
+
+# -------- Hand arrangement --------
+class ArrangementRequest(BaseModel):
+    table_id: str
+    groups: List[ArrangementGroup]  # in display order
+
+
+class ArrangementResponse(BaseModel):
+    table_id: str
+    round_number: int
+    groups: List[ArrangementGroup]
+
+
+def _parse_arrangements(raw) -> dict:
+    return json.loads(raw) if isinstance(raw, str) else (raw or {})
+
+
+def _card_identity(card: dict) -> tuple:
+    rank = card.get("rank")
+    return rank, None if rank == "JOKER" else (card.get("suit") or None)
+
+
+def _reconcile_arrangement(groups: list, hand: list) -> list:
+    """Keep only grouped cards still in the hand, matched by count, and drop emptied groups.
+
+    Cards are replaced by the hand's own card dicts so a stale or tampered
+    arrangement can never add cards.
+    """
+    pool: dict = {}
+    for card in hand:
+        pool.setdefault(_card_identity(card), []).append(card)
+    kept = []
+    for group in groups:
+        cards = []
+        for card in group.get("cards") or []:
+            bucket = pool.get(_card_identity(card))
+            if bucket:
+                cards.append(bucket.pop(0))
+        if cards:
+            kept.append({"id": group["id"], "cards": cards, "locked": bool(group.get("locked"))})
+    return kept
+
+
+def _prune_arrangements(arrangements: dict, hands: dict) -> dict:
+    """Reconcile every player's arrangement after their hand changed."""
+    return {
+        uid: _reconcile_arrangement(groups, hands.get(uid) or [])
+        for uid, groups in arrangements.items()
+    }
+
+
+def _arrangement_view(groups: list) -> List[ArrangementGroup]:
+    return [
+        ArrangementGroup(id=g["id"], cards=_hand_view(g["cards"]), locked=g["locked"])
+        for g in groups
+    ]
+
+
+async def _round_for_arrangement(table_id: str, user_id: str):
+    await _assert_member(table_id, user_id)
+    rnd = await _get_latest_round(table_id)
+    if not rnd or rnd["finished_at"]:
+        raise HTTPException(status_code=404, detail="No active round")
+    hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else rnd["hands"]
+    if user_id not in hands:
+        raise HTTPException(status_code=404, detail="No hand found for player")
+    return rnd, hands[user_id]
+
+
+@router.get("/round/arrangement")
+async def get_arrangement(table_id: str, user: AuthorizedUser) -> ArrangementResponse:
+    """The caller's saved grouping of their hand, minus any cards no longer held."""
+    rnd, hand = await _round_for_arrangement(table_id, user.sub)
+    saved = _parse_arrangements(rnd["arrangements"]).get(user.sub, [])
+    return ArrangementResponse(
+        table_id=table_id,
+        round_number=rnd["number"],
+        groups=_arrangement_view(_reconcile_arrangement(saved, hand)),
+    )
+
+
+@router.put("/round/arrangement")
+async def put_arrangement(body: ArrangementRequest, user: AuthorizedUser) -> ArrangementResponse:
+    """Save the caller's grouping so it follows them across devices.
+
+    Cards not in the hand are dropped rather than rejected, so a save racing a
+    discard still succeeds; the response holds what was stored.
+    """
+    async with transaction():
+        await _lock_round(body.table_id)
+        rnd, hand = await _round_for_arrangement(body.table_id, user.sub)
+        if len(body.groups) > len(hand):
+            raise HTTPException(status_code=400, detail="More groups than cards in hand")
+        groups = _reconcile_arrangement([g.model_dump() for g in body.groups], hand)
+        await execute(
+            """UPDATE public.rummy_rounds
+               SET arrangements = jsonb_set(COALESCE(arrangements, '{}'::jsonb), $1, $2::jsonb, true)
+               WHERE id = $3""",
+            [user.sub],
+            json.dumps(groups),
+            rnd["id"],
+        )
+        return ArrangementResponse(
+            table_id=body.table_id,
+            round_number=rnd["number"],
+            groups=_arrangement_view(groups),
+        )
+
+
+class HandAnalysisResponse(BaseModel):
+    table_id: str
+    round_number: int
+    pure_sequences: List[List[CardView]] = []
+    impure_sequences: List[List[CardView]] = []
+    sets: List[List[CardView]] = []
+    leftover: List[CardView] = []
+    deadwood: int  # points for the leftover cards
+
+
+@router.get("/round/analysis")
+async def get_hand_analysis(table_id: str, user: AuthorizedUser) -> HandAnalysisResponse:
+    """Suggest the lowest-deadwood grouping of the caller's hand, as the scorer would find it."""
+    rnd, hand = await _round_for_arrangement(table_id, user.sub)
+    tbl = await fetchrow("SELECT rules, ace_value, wild_joker_mode FROM public.rummy_tables WHERE id = $1", table_id)
+    rules = _table_rules(tbl["rules"], rnd.get("ace_value") or tbl["ace_value"])
+    has_revealed = _wild_joker_revealed(tbl, rnd, user.sub)
+
+    organized = organize_hand_by_melds(hand, rnd["wild_joker_rank"], has_revealed, rules.ace_value, rules)
+    return HandAnalysisResponse(
+        table_id=table_id,
+        round_number=rnd["number"],
+        pure_sequences=[_hand_view(m) for m in organized["pure_sequences"]],
+        impure_sequences=[_hand_view(m) for m in organized["impure_sequences"]],
+        sets=[_hand_view(m) for m in organized["sets"]],
+        leftover=_hand_view(organized["ungrouped"]),
+        deadwood=calculate_deadwood_points(
+            organized["ungrouped"], rnd["wild_joker_rank"], has_revealed, rules.ace_value, rules
+        ),
     )
 
 
@@ -524,94 +907,112 @@ class LockSequenceResponse(BaseModel):
     message: str
     wild_joker_revealed: bool
     wild_joker_rank: Optional[str] = None
+    cut_joker: Optional[CardView] = None
 
 
 @router.post("/lock-sequence")
 async def lock_sequence(body: LockSequenceRequest, user: AuthorizedUser) -> LockSequenceResponse:
     """Validate a sequence and reveal wild joker if it's the player's first pure sequence."""
-    try:
-        user_id = user.sub
-        table_id = body.table_id
-        # Convert Pydantic CardData objects to dicts for validation functions
-        meld = [card.model_dump() for card in body.meld]
+    async with transaction():
+        try:
+            user_id = user.sub
+            table_id = body.table_id
+            # Convert Pydantic CardData objects to dicts for validation functions
+            meld = [card.model_dump() for card in body.meld]
         
-        # Get current round - USE number DESC for consistency with other endpoints
-        round_row = await fetchrow(
-            """
-            SELECT id, table_id, wild_joker_rank, players_with_first_sequence 
-            FROM rummy_rounds 
-            WHERE table_id = $1 
-            ORDER BY number DESC 
-            LIMIT 1
-            """,
-            table_id
-        )
+            await _lock_round(table_id)
+            # Get current round - USE number DESC for consistency with other endpoints
+            round_row = await fetchrow(
+                """
+                SELECT r.id, r.table_id, r.wild_joker_rank, r.printed_joker, r.players_with_first_sequence,
+                       r.hands, r.active_user_id, r.finished_at, r.phase, r.show_deadline, r.points_accumulated,
+                       t.rules, t.ace_value, t.wild_joker_mode
+                FROM rummy_rounds r
+                JOIN rummy_tables t ON t.id = r.table_id
+                WHERE r.table_id = $1 
+                ORDER BY r.number DESC 
+                LIMIT 1
+                """,
+                table_id
+            )
         
-        if not round_row:
-            raise HTTPException(status_code=404, detail="No active round")
+            if not round_row:
+                raise GameError(404, round_phase.NO_ACTIVE_ROUND, "No active round")
+            # Revealing the wild joker only makes sense while the hand is still in play
+            require_phase(_phase_of(round_row), round_phase.DRAWING, round_phase.DISCARDING)
         
-        wild_joker_rank = round_row['wild_joker_rank']
-        # Parse players_with_first_sequence as JSON list
-        players_with_seq_raw = round_row['players_with_first_sequence']
-        if players_with_seq_raw is None:
-            players_with_seq = []
-        elif isinstance(players_with_seq_raw, str):
-            players_with_seq = json.loads(players_with_seq_raw)
-        elif isinstance(players_with_seq_raw, list):
-            players_with_seq = players_with_seq_raw
-        else:
-            players_with_seq = []
+            wild_joker_rank = round_row['wild_joker_rank']
+            rules = _table_rules(round_row['rules'], round_row['ace_value'])
+            # Parse players_with_first_sequence as JSON list
+            players_with_seq_raw = round_row['players_with_first_sequence']
+            if players_with_seq_raw is None:
+                players_with_seq = []
+            elif isinstance(players_with_seq_raw, str):
+                players_with_seq = json.loads(players_with_seq_raw)
+            elif isinstance(players_with_seq_raw, list):
+                players_with_seq = players_with_seq_raw
+            else:
+                players_with_seq = []
         
-        # Check if user already revealed wild joker
-        if user_id in players_with_seq:
-            return LockSequenceResponse(
-                success=False,
-                message="✅ You already revealed the wild joker!",
-                wild_joker_revealed=False,
-                wild_joker_rank=None
-            )
+            # Check if user already revealed wild joker
+            if user_id in players_with_seq:
+                return LockSequenceResponse(
+                    success=False,
+                    message="✅ You already revealed the wild joker!",
+                    wild_joker_revealed=False,
+                    wild_joker_rank=None
+                )
         
-        # Check if THIS player has already revealed their wild joker
-        has_wild_joker_revealed = user_id in players_with_seq
+            has_wild_joker_revealed = _wild_joker_revealed(round_row, round_row, user_id)
         
-        # First check if it's a valid sequence
-        if not is_sequence(meld, wild_joker_rank, has_wild_joker_revealed):
-            return LockSequenceResponse(
-                success=False,
-                message="❌ Invalid sequence - cards must be consecutive in same suit",
-                wild_joker_revealed=False,
-                wild_joker_rank=None
+            # First check if it's a valid sequence
+            if not is_sequence(meld, wild_joker_rank, has_wild_joker_revealed, rules):
+                return LockSequenceResponse(
+                    success=False,
+                    message="❌ Invalid sequence - cards must be consecutive in same suit",
+                    wild_joker_revealed=False,
+                    wild_joker_rank=None
+                )
+        
+            # Then check if it's a PURE sequence (no jokers)
+            if not is_pure_sequence(meld, wild_joker_rank, has_wild_joker_revealed, rules):
+                return LockSequenceResponse(
+                    success=False,
+                    message="❌ Only pure sequences can reveal wild joker (no jokers allowed)",
+                    wild_joker_revealed=False,
+                    wild_joker_rank=None
+                )
+        
+            # Add user to players_with_first_sequence
+            new_players = list(set(players_with_seq + [user_id]))
+            await execute(
+                "UPDATE rummy_rounds SET players_with_first_sequence = $1 WHERE id = $2",
+                json.dumps(new_players), round_row['id']
             )
         
-        # Then check if it's a PURE sequence (no jokers)
-        if not is_pure_sequence(meld, wild_joker_rank, has_wild_joker_revealed):
+            # Others learn who revealed it; the rank stays private in close joker games
+            table_events.publish(table_id, table_events.JOKER_REVEALED, {"user_id": user_id})
+
+            cut = round_row['printed_joker']
+            if isinstance(cut, str):
+                cut = json.loads(cut)
             return LockSequenceResponse(
-                success=False,
-                message="❌ Only pure sequences can reveal wild joker (no jokers allowed)",
-                wild_joker_revealed=False,
-                wild_joker_rank=None
+                success=True,
+                message="✅ Pure sequence locked! Wild Joker revealed!",
+                wild_joker_revealed=True,
+                wild_joker_rank=wild_joker_rank,
+                cut_joker=_hand_view([cut])[0] if cut else None,
             )
-        
-        # Add user to players_with_first_sequence
-        new_players = list(set(players_with_seq + [user_id]))
-        await execute(
-            "UPDATE rummy_rounds SET players_with_first_sequence = $1 WHERE id = $2",
-            json.dumps(new_players), round_row['id']
-        )
-        
-        return LockSequenceResponse(
-            success=True,
-            message="✅ Pure sequence locked! Wild Joker revealed!",
-            wild_joker_revealed=True,
-            wild_joker_rank=wild_joker_rank
-        )
-    except Exception as e:
-        raise HTTPException(status_code=500, detail=f"Internal error: {str(e)}")
+        except HTTPException:
+            raise
+        except Exception as e:
+            raise HTTPException(status_code=500, detail=f"Internal error: {str(e)}")
 
 
 # -------- Core turn actions: draw stock/discard and discard a card --------
 class DrawRequest(BaseModel):
     table_id: str
+    version: Optional[int] = None  # round version the client acted on, from /round/me
 
 
 class DiscardCard(BaseModel):
@@ -623,6 +1024,7 @@ class DiscardCard(BaseModel):
 class DiscardRequest(BaseModel):
     table_id: str
     card: DiscardCard
+    version: Optional[int] = None  # round version the client acted on, from /round/me
 
 
 class DiscardResponse(BaseModel):
@@ -632,12 +1034,28 @@ class DiscardResponse(BaseModel):
     stock_count: int
     discard_top: Optional[str]
     next_active_user_id: str
+    version: int = 0  # the round version after the discard
+
+
+def _phase_of(rnd, hands: Optional[dict] = None) -> str:
+    """The round's phase, derived from older columns for rounds written before it existed."""
+    if rnd.get("phase"):
+        return rnd["phase"]
+    if hands is None:
+        hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else (rnd["hands"] or {})
+    return derive_phase(
+        rnd.get("finished_at"),
+        rnd.get("points_accumulated"),
+        rnd.get("show_deadline"),
+        len(hands.get(rnd.get("active_user_id")) or []),
+    )
 
 
 async def _get_latest_round(table_id: str):
     return await fetchrow(
         """
-        SELECT id, number, stock, discard, hands, active_user_id, finished_at, wild_joker_rank, ace_value, players_with_first_sequence
+        SELECT id, number, stock, discard, hands, active_user_id, finished_at, wild_joker_rank, ace_value, players_with_first_sequence, drops,
+               arrangements, phase, show_deadline, points_accumulated
         FROM public.rummy_rounds
         WHERE table_id = $1
         ORDER BY number DESC
@@ -647,6 +1065,90 @@ async def _get_latest_round(table_id: str):
     )
 
 
+async def _lock_round(table_id: str, expected_version: Optional[int] = None):
+    """Lock the table's latest round row until the surrounding transaction ends.
+
+    State-changing endpoints call this first inside `transaction()`, so
+    concurrent actions on a round run one after another instead of
+    overwriting each other. `expected_version` is the round version the
+    client acted on; a different current version means its view is stale.
+    """
+    rnd = await fetchrow(
+        """SELECT id, version FROM public.rummy_rounds
+           WHERE table_id = $1
+           ORDER BY number DESC LIMIT 1
+           FOR UPDATE""",
+        table_id,
+    )
+    if rnd and expected_version is not None and rnd["version"] != expected_version:
+        raise GameError(409, round_phase.STALE_ROUND, "The round has changed - refresh and try again")
+    return rnd
+
+
+def _require_written(result) -> None:
+    """Fail an UPDATE guarded by `version = $n` that matched no row.
+
+    `result` is execute()'s status string, or the row UPDATE ... RETURNING
+    gave back through fetchrow().
+    """
+    if not result or (isinstance(result, str) and result.endswith(" 0")):
+        raise GameError(409, round_phase.STALE_ROUND, "The round has changed - refresh and try again")
+
+
+async def _idempotent(table_id: str, user_id: str, key: Optional[str], action: str, model, run):
+    """Run a turn action once per Idempotency-Key.
+
+    The first successful response is stored against (user, key) and returned
+    again for every retry with that key, so a client may resend a request
+    whose reply it never got. Failed attempts store nothing and can be retried.
+    Without a key the action simply runs.
+    """
+    if not key:
+        return await run()
+    async with transaction():
+        # A duplicate sent while the first attempt is running waits here, then replays it
+        await _lock_round(table_id)
+        stored = await fetchrow(
+            "SELECT action, response FROM public.rummy_idempotency_keys WHERE user_id = $1 AND idempotency_key = $2",
+            user_id,
+            key,
+        )
+        if stored:
+            if stored["action"] != action:
+                raise HTTPException(status_code=422, detail="Idempotency-Key was already used for a different action")
+            response = json.loads(stored["response"]) if isinstance(stored["response"], str) else stored["response"]
+            return model.model_validate(response)
+        result = await run()
+        await execute(
+            """INSERT INTO public.rummy_idempotency_keys (user_id, idempotency_key, action, table_id, response, created_at)
+               VALUES ($1, $2, $3, $4, $5::jsonb, now())""",
+            user_id,
+            key,
+            action,
+            table_id,
+            result.model_dump_json(),
+        )
+        # Retries come within seconds; a day is plenty
+        await execute(
+            "DELETE FROM public.rummy_idempotency_keys WHERE user_id = $1 AND created_at < now() - interval '1 day'",
+            user_id,
+        )
+        return result
+
+
+def _publish_turn(table_id: str, round_number: int, user_id: str, card: Optional[dict], next_user: str, deadline) -> None:
+    """Announce a finished turn: the card it discarded, if any, then whose turn it is."""
+    if card:
+        table_events.publish(table_id, table_events.CARD_DISCARDED, {
+            "user_id": user_id, "card": _serialize_card_code(card),
+        })
+    table_events.publish(table_id, table_events.TURN_CHANGED, {
+        "round_number": round_number,
+        "active_user_id": next_user,
+        "turn_deadline": deadline.isoformat() if deadline else None,
+    })
+
+
 async def _assert_member(table_id: str, user_id: str):
     membership = await fetchrow(
         "SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2",
@@ -675,274 +1177,771 @@ def _hand_view(cards: List[dict]) -> List[CardView]:
     ]
 
 
-@router.post("/draw/stock")
-async def draw_stock(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse:
-    start_time = time.time()
-    # Single query: validate + fetch + update in one transaction
-    result = await fetchrow(
-        """
-        WITH table_check AS (
-            SELECT t.id, t.status,
-                   EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
-            FROM public.rummy_tables t
-            WHERE t.id = $1
-        ),
-        round_data AS (
-            SELECT id, number, stock, hands, discard, active_user_id, finished_at
-            FROM public.rummy_rounds
-            WHERE table_id = $1
-            ORDER BY number DESC
-            LIMIT 1
-        )
-        SELECT t.id, t.status, t.is_member, r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id, r.finished_at
-        FROM table_check t
-        LEFT JOIN round_data r ON true
-        """,
-        body.table_id,
-        user.sub,
-    )
-    
-    if not result or not result["id"]:
-        raise HTTPException(status_code=404, detail="Table not found")
-    if result["status"] != "playing":
-        raise HTTPException(status_code=400, detail="Game not in playing state")
-    if not result["is_member"]:
-        raise HTTPException(status_code=403, detail="Not part of the table")
-    if not result["round_id"]:
-        raise HTTPException(status_code=404, detail="No active round")
-    if result["active_user_id"] != user.sub:
-        raise HTTPException(status_code=403, detail="Not your turn")
-
-    # Parse JSON fields
-    hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
-    stock = json.loads(result["stock"]) if isinstance(result["stock"], str) else result["stock"]
-    discard = json.loads(result["discard"]) if isinstance(result["discard"], str) else result["discard"]
+def _parse_reshuffles(raw) -> List[ReshuffleEvent]:
+    events = json.loads(raw) if isinstance(raw, str) else (raw or [])
+    return [ReshuffleEvent(**e) for e in events]
 
-    my = hands.get(user.sub)
-    if my is None:
-        raise HTTPException(status_code=404, detail="No hand for this player")
-    if len(my) != 13:
-        raise HTTPException(status_code=400, detail="You must discard before drawing again")
-    if not stock:
-        raise HTTPException(status_code=400, detail="Stock is empty")
 
-    drawn = stock.pop()  # take top
-    my.append(drawn)
+def _refill_stock(
+    discard: list, reshuffles: List[ReshuffleEvent], stock_exhausted_rule: str, by_user_id: str
+) -> Optional[Tuple[list, list]]:
+    """New (stock, discard) for a draw from an empty stock, recording the reshuffle in `reshuffles`.
 
-    await execute(
+    Returns None when the round ends as a draw instead: the table says so, or
+    there is nothing under the top discard left to reshuffle. Used by
+    POST /draw/stock and by the turn timer.
+    """
+    if stock_exhausted_rule == "draw" or len(discard) < 2:
+        return None
+    seed = random.SystemRandom().randrange(2**32)
+    stock, discard = reshuffle_discard_into_stock(discard, seed)
+    reshuffles.append(ReshuffleEvent(
+        at=datetime.now(timezone.utc).isoformat(),
+        by_user_id=by_user_id,
+        cards=len(stock),
+        seed=seed,
+    ))
+    return stock, discard
+
+
+async def _finish_exhausted_round(table_id: str, round_id: str, hands: dict, raw_drops, phase: str, version: int):
+    """End the round as a draw on an exhausted stock and settle it. Returns the round's
+    finished_at and version once settled.
+
+    Nobody wins; players who dropped still pay their penalty. The caller holds the round lock.
+    """
+    finished = await fetchrow(
         """
         UPDATE public.rummy_rounds
-        SET stock = $1::jsonb, hands = $2::jsonb, updated_at = now()
-        WHERE id = $3
+        SET scores = $1::jsonb, winner_user_id = NULL, finished_at = now(), phase = $3,
+            version = version + 1, updated_at = now()
+        WHERE id = $2 AND version = $4
+        RETURNING finished_at
         """,
-        json.dumps(stock),
-        json.dumps(hands),
-        result["round_id"],
+        json.dumps({**{uid: 0 for uid in hands}, **_drop_scores(_parse_drops(raw_drops))}),
+        round_id,
+        check_transition(phase, round_phase.SCORING),
+        version,
     )
+    _require_written(finished)
+    await _settle_round(table_id, round_id)
+    return await fetchrow("SELECT finished_at, version FROM public.rummy_rounds WHERE id = $1", round_id)
+
+
+def _next_player(order: List[str], hands: dict, current: str) -> str:
+    """Next seat after `current` that still holds cards in this deal."""
+    start = order.index(current) if current in order else -1
+    for step in range(1, len(order) + 1):
+        uid = order[(start + step) % len(order)]
+        if uid in hands:
+            return uid
+    return current
+
+
+def _drop_penalties(
+    game_type: str,
+    pool_limit: Optional[int],
+    first_drop: Optional[int] = None,
+    middle_drop: Optional[int] = None,
+    full_count: Optional[int] = None,
+) -> dict:
+    """First drop, middle drop and full-count penalties for a table.
+
+    Values the host left unset fall back to the pool's amounts on pool
+    tables and to 20/40/80 everywhere else.
+    """
+    defaults = POOL_RULES[pool_limit] if game_type == "pool" and pool_limit in POOL_RULES else DEFAULT_DROP_PENALTIES
+    return {
+        "first_drop": first_drop if first_drop is not None else defaults["first_drop"],
+        "middle_drop": middle_drop if middle_drop is not None else defaults["middle_drop"],
+        "full_count": full_count if full_count is not None else defaults["full_count"],
+    }
 
-    return RoundMeResponse(
-        table_id=body.table_id,
-        round_number=result["number"],
-        hand=_hand_view(my),
-        stock_count=len(stock),
-        discard_top=_serialize_card_code(discard[-1]) if discard else None,
-        finished_at=result["finished_at"].isoformat() if result["finished_at"] else None,
-    )
 
+def _wild_joker_revealed(table, rnd, uid: str) -> bool:
+    """Whether `uid` may use the round's wild joker.
 
-@router.post("/draw/discard")
-async def draw_discard(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse:
-    start_time = time.time()
-    # Single query: validate + fetch + update in one transaction
-    result = await fetchrow(
-        """
-        WITH table_check AS (
-            SELECT t.id, t.status,
-                   EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
-            FROM public.rummy_tables t
-            WHERE t.id = $1
-        ),
-        round_data AS (
-            SELECT id, number, stock, hands, discard, active_user_id, finished_at
-            FROM public.rummy_rounds
-            WHERE table_id = $1
-            ORDER BY number DESC
-            LIMIT 1
-        )
-        SELECT t.id, t.status, t.is_member, r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id, r.finished_at
-        FROM table_check t
-        LEFT JOIN round_data r ON true
-        """,
-        body.table_id,
-        user.sub,
-    )
-    
-    if not result or not result["id"]:
-        raise HTTPException(status_code=404, detail="Table not found")
-    if result["status"] != "playing":
-        raise HTTPException(status_code=400, detail="Game not in playing state")
-    if not result["is_member"]:
-        raise HTTPException(status_code=403, detail="Not part of the table")
-    if not result["round_id"]:
-        raise HTTPException(status_code=404, detail="No active round")
-    if result["active_user_id"] != user.sub:
-        raise HTTPException(status_code=403, detail="Not your turn")
+    Open joker tables reveal it to everyone at the deal; close joker tables
+    only to players who have locked their first pure sequence. `table` needs
+    wild_joker_mode, `rnd` wild_joker_rank and players_with_first_sequence.
+    """
+    if not rnd["wild_joker_rank"]:
+        return False
+    if table["wild_joker_mode"] == "open_joker":
+        return True
+    raw = rnd["players_with_first_sequence"]
+    players = json.loads(raw) if isinstance(raw, str) else (raw or [])
+    return uid in players
 
-    # Parse JSON fields
-    hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
-    stock = json.loads(result["stock"]) if isinstance(result["stock"], str) else result["stock"]
-    discard = json.loads(result["discard"]) if isinstance(result["discard"], str) else result["discard"]
 
-    my = hands.get(user.sub)
-    if my is None:
-        raise HTTPException(status_code=404, detail="No hand for this player")
-    if len(my) != 13:
-        raise HTTPException(status_code=400, detail="You must discard before drawing again")
-    if not discard:
-        raise HTTPException(status_code=400, detail="Discard pile is empty")
+def _table_rules(raw, ace_value: Optional[int]) -> RuleSet:
+    """A table's stored RuleSet; tables created before house rules get the defaults."""
+    data = json.loads(raw) if isinstance(raw, str) else (raw or {})
+    if ace_value is not None:
+        data = {**data, "ace_value": ace_value}
+    return RuleSet(**data)
 
-    drawn = discard.pop()
-    my.append(drawn)
 
-    await execute(
-        """
-        UPDATE public.rummy_rounds
-        SET discard = $1::jsonb, hands = $2::jsonb, updated_at = now()
-        WHERE id = $3
-        """,
-        json.dumps(discard),
-        json.dumps(hands),
-        result["round_id"],
-    )
+def _parse_drops(raw) -> dict:
+    """Round drops as user_id -> {"type": "first" | "middle" | "full", "points": int}."""
+    return json.loads(raw) if isinstance(raw, str) else (raw or {})
 
-    return RoundMeResponse(
-        table_id=body.table_id,
-        round_number=result["number"],
-        hand=_hand_view(my),
-        stock_count=len(stock),
-        discard_top=_serialize_card_code(discard[-1]) if discard else None,
-        finished_at=result["finished_at"].isoformat() if result["finished_at"] else None,
-    )
 
+def _drop_scores(drops: dict) -> dict:
+    return {uid: int(d["points"]) for uid, d in drops.items()}
 
-@router.post("/discard")
-async def discard_card(body: DiscardRequest, user: AuthorizedUser) -> DiscardResponse:
-    start_time = time.time()
-    # Single query: validate + fetch seats + round data
-    result = await fetchrow(
-        """
-        WITH table_check AS (
-            SELECT t.id, t.status,
-                   EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
-            FROM public.rummy_tables t
-            WHERE t.id = $1
-        ),
-        round_data AS (
-            SELECT id, number, stock, hands, discard, active_user_id
-            FROM public.rummy_rounds
-            WHERE table_id = $1
-            ORDER BY number DESC
-            LIMIT 1
-        ),
-        seat_order AS (
-            SELECT user_id, seat
-            FROM public.rummy_table_players
-            WHERE table_id = $1 AND is_spectator = false
-            ORDER BY seat ASC
+
+def _pool_rejoin_score(pool_limit: int, players: List[dict]) -> Optional[int]:
+    """Score an eliminated player buys back in at, or None once rejoins are closed.
+
+    Rejoining needs at least two players still in the pool, none of whom has
+    reached the pool's rejoin threshold.
+    """
+    remaining = [int(p["total_points"] or 0) for p in players if not p["disqualified"]]
+    if len(remaining) < 2 or max(remaining) >= POOL_RULES[pool_limit]["rejoin_below"]:
+        return None
+    return max(remaining) + 1
+
+
+# -------- Turn timer --------
+# A disconnected player's turn is played for them once they've been gone this
+# long, so a page refresh doesn't cost the turn
+DISCONNECTED_AUTO_PLAY_SECONDS = 10
+
+
+async def _enforce_deadlines(table_id: str) -> None:
+    """Apply any turn, show or reconnect deadline that has passed. See `_enforce_turn_timer`.
+
+    Runs under the round lock, joining the caller's transaction if it has one.
+    """
+    async with transaction():
+        await _lock_round(table_id)
+        await _enforce_reconnect_grace(table_id)
+        await _enforce_turn_timer(table_id)
+        await _close_show_phase(table_id)
+
+
+class DeadlinesRequest(BaseModel):
+    table_id: str
+
+
+@router.post("/round/deadlines")
+async def apply_deadlines(body: DeadlinesRequest, user: AuthorizedUser):
+    """Apply any deadline that has run out; the changes go out as table events.
+
+    Reads never apply deadlines, so clients call this when a turn, show window
+    or reconnect grace they display runs out.
+    """
+    await _assert_member(body.table_id, user.sub)
+    await _enforce_deadlines(body.table_id)
+    return {"success": True}
+
+
+async def _enforce_reconnect_grace(table_id: str) -> None:
+    """Drop every player whose reconnect grace ran out from the current deal.
+
+    They pay the drop penalty for the point they had reached, once: their seat
+    stays, but they sit out later deals until they come back (see
+    `_next_deal_seats`). See app.libs.presence.
+    """
+    while True:
+        rnd = await fetchrow(
+            """SELECT r.id, r.number, r.version, r.hands, r.drops, r.drawn_user_ids, r.active_user_id, r.phase,
+                      r.show_deadline, t.turn_seconds, t.game_type, t.pool_limit,
+                      t.first_drop_penalty, t.middle_drop_penalty, t.full_count_penalty
+               FROM public.rummy_rounds r
+               JOIN public.rummy_tables t ON t.id = r.table_id
+               WHERE r.table_id = $1 AND t.status = 'playing' AND r.finished_at IS NULL
+               ORDER BY r.number DESC LIMIT 1""",
+            table_id,
+        )
+        if not rnd:
+            return
+        hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else rnd["hands"]
+        phase = _phase_of(rnd, hands)
+        if phase not in (round_phase.DRAWING, round_phase.DISCARDING) or len(hands) < 2:
+            return
+        seats = await fetch(
+            """SELECT tp.user_id,
+                      tp.disconnected_at + make_interval(secs => t.reconnect_grace_seconds) <= now() AS expired
+               FROM public.rummy_table_players tp
+               JOIN public.rummy_tables t ON t.id = tp.table_id
+               WHERE tp.table_id = $1 AND tp.is_spectator = false
+               ORDER BY tp.seat ASC""",
+            table_id,
+        )
+        gone = next((r["user_id"] for r in seats if r["expired"] and r["user_id"] in hands), None)
+        if gone is None:
+            return
+        penalties = _drop_penalties(
+            rnd["game_type"], rnd["pool_limit"],
+            rnd["first_drop_penalty"], rnd["middle_drop_penalty"], rnd["full_count_penalty"],
+        )
+        drawn = json.loads(rnd["drawn_user_ids"]) if isinstance(rnd["drawn_user_ids"], str) else (rnd["drawn_user_ids"] or [])
+        await _drop_from_deal(
+            table_id,
+            {
+                "id": rnd["id"],
+                "number": rnd["number"],
+                "phase": phase,
+                "version": rnd["version"],
+                "active_user_id": rnd["active_user_id"],
+                "hands": hands,
+                "drops": _parse_drops(rnd["drops"]),
+                "drawn": drawn,
+                "order": [r["user_id"] for r in seats],
+            },
+            gone,
+            penalties,
+            rnd["turn_seconds"],
         )
-        SELECT 
-            t.id, t.status, t.is_member, 
-            r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id,
-            json_agg(s.user_id ORDER BY s.seat) AS user_order
-        FROM table_check t
-        LEFT JOIN round_data r ON true
-        LEFT JOIN seat_order s ON true
-        GROUP BY t.id, t.status, t.is_member, r.id, r.number, r.stock, r.hands, r.discard, r.active_user_id
-        """,
-        body.table_id,
-        user.sub,
-    )
-    
-    if not result or not result["id"]:
-        raise HTTPException(status_code=404, detail="Table not found")
-    if result["status"] != "playing":
-        raise HTTPException(status_code=400, detail="Game not in playing state")
-    if not result["is_member"]:
-        raise HTTPException(status_code=403, detail="Not part of the table")
-    if not result["round_id"]:
-        raise HTTPException(status_code=404, detail="No active round")
-    if result["active_user_id"] != user.sub:
-        raise HTTPException(status_code=403, detail="Not your turn")
-
-    # Parse JSON fields
-    hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
-    stock = json.loads(result["stock"]) if isinstance(result["stock"], str) else result["stock"]
-    discard = json.loads(result["discard"]) if isinstance(result["discard"], str) else result["discard"]
-    order = json.loads(result["user_order"]) if isinstance(result["user_order"], str) else result["user_order"]
-
-    my = hands.get(user.sub)
-    if my is None:
-        raise HTTPException(status_code=404, detail="No hand for this player")
-    if len(my) != 14:
-        raise HTTPException(status_code=400, detail="You must draw first before discarding")
-
-    # Remove first matching card
-    idx_to_remove = None
-    for i, c in enumerate(my):
-        if (
-            c.get("rank") == body.card.rank
-            and (c.get("suit") or None) == (body.card.suit or None)
-            and bool(c.get("joker")) == bool(body.card.joker)
-        ):
-            idx_to_remove = i
-            break
-    if idx_to_remove is None:
-        raise HTTPException(status_code=400, detail="Card not found in hand")
-
-    removed = my.pop(idx_to_remove)
-    discard.append(removed)
-
-    # Find next active user
-    if user.sub not in order:
-        raise HTTPException(status_code=400, detail="Player has no seat")
-    cur_idx = order.index(user.sub)
-    next_user = order[(cur_idx + 1) % len(order)]
 
-    await execute(
-        """
-        UPDATE public.rummy_rounds
-        SET discard = $1::jsonb, hands = $2::jsonb, active_user_id = $3, updated_at = now()
-        WHERE id = $4
-        """,
-        json.dumps(discard),
+
+def _turn_deadline(turn_seconds: Optional[int]) -> Optional[datetime]:
+    """When a turn that starts now runs out, or None if the table has no timer."""
+    if not turn_seconds:
+        return None
+    return datetime.now(timezone.utc) + timedelta(seconds=turn_seconds)
+
+
+async def _enforce_turn_timer(table_id: str) -> None:
+    """Play out the active player's turn once their time and time bank are spent.
+
+    There is no background scheduler, so every action that changes the round
+    calls this first, through `_enforce_deadlines`, and clients call POST
+    /round/deadlines when a deadline they display runs out. A timed-out
+    player loses their remaining time bank; with 13 cards the top of the
+    stock goes straight to the discard pile (an empty stock is reshuffled or
+    ends the round, as on a manual draw), with 14 the last drawn card is
+    discarded. After `max_timeouts` timeouts in a row the player is dropped
+    from the deal instead.
+
+    A disconnected player's turn is played the same way after
+    DISCONNECTED_AUTO_PLAY_SECONDS, timer or not, without counting as a
+    timeout or spending their time bank: only their reconnect grace running
+    out costs them (see `_enforce_reconnect_grace`).
+    """
+    rnd = await fetchrow(
+        """SELECT r.id, r.number, r.version, r.hands, r.stock, r.discard, r.active_user_id, r.turn_deadline, r.time_banks,
+                  r.timeouts, r.drops, r.drawn_user_ids, r.arrangements, r.phase, r.show_deadline, r.reshuffles,
+                  t.turn_seconds, t.max_timeouts, t.game_type, t.pool_limit, t.stock_exhausted_rule,
+                  t.first_drop_penalty, t.middle_drop_penalty, t.full_count_penalty,
+                  tp.disconnected_at
+           FROM public.rummy_rounds r
+           JOIN public.rummy_tables t ON t.id = r.table_id
+           LEFT JOIN public.rummy_table_players tp ON tp.table_id = r.table_id AND tp.user_id = r.active_user_id
+           WHERE r.table_id = $1 AND t.status = 'playing' AND r.finished_at IS NULL
+           ORDER BY r.number DESC LIMIT 1""",
+        table_id,
+    )
+    if not rnd:
+        return
+    uid = rnd["active_user_id"]
+    banks = json.loads(rnd["time_banks"]) if isinstance(rnd["time_banks"], str) else (rnd["time_banks"] or {})
+    now = datetime.now(timezone.utc)
+    away = rnd["disconnected_at"] is not None and (
+        now >= rnd["disconnected_at"] + timedelta(seconds=DISCONNECTED_AUTO_PLAY_SECONDS)
+    )
+    if away:
+        if _phase_of(rnd) not in (round_phase.DRAWING, round_phase.DISCARDING):
+            return
+    elif not rnd["turn_deadline"] or now < rnd["turn_deadline"] + timedelta(seconds=int(banks.get(uid, 0))):
+        return
+
+    hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else rnd["hands"]
+    timeouts = json.loads(rnd["timeouts"]) if isinstance(rnd["timeouts"], str) else (rnd["timeouts"] or {})
+    drawn = json.loads(rnd["drawn_user_ids"]) if isinstance(rnd["drawn_user_ids"], str) else (rnd["drawn_user_ids"] or [])
+    seats = await fetch(
+        "SELECT user_id FROM public.rummy_table_players WHERE table_id = $1 AND is_spectator = false ORDER BY seat ASC",
+        table_id,
+    )
+    order = [r["user_id"] for r in seats]
+    if not away:
+        timeouts[uid] = int(timeouts.get(uid, 0)) + 1
+        banks[uid] = 0
+
+    if not away and timeouts[uid] >= rnd["max_timeouts"] and len(hands) >= 2 and uid in hands:
+        # Claim the timeout first so concurrent requests don't drop twice
+        claimed = await fetchrow(
+            """UPDATE public.rummy_rounds
+               SET time_banks = $1::jsonb, timeouts = $2::jsonb, version = version + 1, updated_at = now()
+               WHERE id = $3 AND turn_deadline = $4 AND finished_at IS NULL
+               RETURNING id, version""",
+            json.dumps(banks),
+            json.dumps(timeouts),
+            rnd["id"],
+            rnd["turn_deadline"],
+        )
+        if not claimed:
+            return
+        penalties = _drop_penalties(
+            rnd["game_type"], rnd["pool_limit"],
+            rnd["first_drop_penalty"], rnd["middle_drop_penalty"], rnd["full_count_penalty"],
+        )
+        await _drop_from_deal(
+            table_id,
+            {
+                "id": rnd["id"],
+                "number": rnd["number"],
+                "phase": _phase_of(rnd, hands),
+                "version": claimed["version"],
+                "active_user_id": uid,
+                "hands": hands,
+                "drops": _parse_drops(rnd["drops"]),
+                "drawn": drawn,
+                "order": order,
+            },
+            uid,
+            penalties,
+            rnd["turn_seconds"],
+        )
+        return
+
+    stock = json.loads(rnd["stock"]) if isinstance(rnd["stock"], str) else rnd["stock"]
+    discard = json.loads(rnd["discard"]) if isinstance(rnd["discard"], str) else rnd["discard"]
+    my = hands.get(uid) or []
+    phase = _phase_of(rnd, hands)
+    reshuffles = _parse_reshuffles(rnd["reshuffles"])
+    if phase == round_phase.DISCARDING:
+        discarded = my.pop()
+    else:
+        # An empty stock is handled exactly as for a manual draw
+        if not stock:
+            refilled = _refill_stock(discard, reshuffles, rnd["stock_exhausted_rule"], uid)
+            if refilled is None:
+                await _finish_exhausted_round(table_id, rnd["id"], hands, rnd["drops"], phase, rnd["version"])
+                return
+            stock, discard = refilled
+        discarded = stock.pop()
+        if uid not in drawn:
+            drawn.append(uid)
+    discard.append(discarded)
+    next_user = _next_player(order, hands, uid)
+    deadline = _turn_deadline(rnd["turn_seconds"])
+
+    played = await fetchrow(
+        """UPDATE public.rummy_rounds
+           SET hands = $1::jsonb, stock = $2::jsonb, discard = $3::jsonb, drawn_user_ids = $4::jsonb,
+               time_banks = $5::jsonb, timeouts = $6::jsonb, active_user_id = $7, turn_deadline = $8,
+               arrangements = $11::jsonb, phase = $12, reshuffles = $13::jsonb, version = version + 1, updated_at = now()
+           WHERE id = $9 AND turn_deadline IS NOT DISTINCT FROM $10 AND finished_at IS NULL
+           RETURNING id""",
         json.dumps(hands),
+        json.dumps(stock),
+        json.dumps(discard),
+        json.dumps(drawn),
+        json.dumps(banks),
+        json.dumps(timeouts),
         next_user,
-        result["round_id"],
+        deadline,
+        rnd["id"],
+        rnd["turn_deadline"],
+        json.dumps(_prune_arrangements(_parse_arrangements(rnd["arrangements"]), hands)),
+        check_transition(phase, round_phase.DRAWING),
+        json.dumps([r.model_dump() for r in reshuffles]),
     )
+    if not played:
+        # Someone else played this turn out first
+        return
+    _publish_turn(table_id, rnd["number"], uid, discarded, next_user, deadline)
 
-    return DiscardResponse(
-        table_id=body.table_id,
-        round_number=result["number"],
-        hand=_hand_view(my),
-        stock_count=len(stock),
-        discard_top=_serialize_card_code(discard[-1]) if discard else None,
-        next_active_user_id=next_user,
-    )
+
+@router.post("/draw/stock")
+async def draw_stock(
+    body: DrawRequest,
+    user: AuthorizedUser,
+    idempotency_key: Optional[str] = Header(default=None, alias="Idempotency-Key"),
+) -> RoundMeResponse:
+    return await _idempotent(body.table_id, user.sub, idempotency_key, "draw_stock", RoundMeResponse, lambda: _draw_stock(body, user))
+
+
+async def _draw_stock(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse:
+    async with transaction():
+        await _enforce_deadlines(body.table_id)
+        locked = await _lock_round(body.table_id, body.version)
+        start_time = time.time()
+        # Single query: validate + fetch + update in one transaction
+        result = await fetchrow(
+            """
+            WITH table_check AS (
+                SELECT t.id, t.status, t.stock_exhausted_rule,
+                       EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
+                FROM public.rummy_tables t
+                WHERE t.id = $1
+            ),
+            round_data AS (
+                SELECT id, number, stock, hands, discard, active_user_id, finished_at, reshuffles, drops,
+                       phase, show_deadline, points_accumulated
+                FROM public.rummy_rounds
+                WHERE table_id = $1
+                ORDER BY number DESC
+                LIMIT 1
+            )
+            SELECT t.id, t.status, t.stock_exhausted_rule, t.is_member, r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id, r.finished_at, r.reshuffles, r.drops,
+                   r.phase, r.show_deadline, r.points_accumulated
+            FROM table_check t
+            LEFT JOIN round_data r ON true
+            """,
+            body.table_id,
+            user.sub,
+        )
+    
+        if not result or not result["id"]:
+            raise HTTPException(status_code=404, detail="Table not found")
+        if result["status"] != "playing":
+            raise HTTPException(status_code=400, detail="Game not in playing state")
+        if not result["is_member"]:
+            raise HTTPException(status_code=403, detail="Not part of the table")
+        if not result["round_id"]:
+            raise GameError(404, round_phase.NO_ACTIVE_ROUND, "No active round")
+
+        # Parse JSON fields
+        hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
+        phase = _phase_of(result, hands)
+        require_phase(phase, round_phase.DRAWING)
+        if result["active_user_id"] != user.sub:
+            raise GameError(403, round_phase.NOT_YOUR_TURN, "Not your turn")
+        stock = json.loads(result["stock"]) if isinstance(result["stock"], str) else result["stock"]
+        discard = json.loads(result["discard"]) if isinstance(result["discard"], str) else result["discard"]
+
+        my = hands.get(user.sub)
+        if my is None:
+            raise HTTPException(status_code=404, detail="No hand for this player")
+        reshuffles = _parse_reshuffles(result["reshuffles"])
+
+        if not stock:
+            refilled = _refill_stock(discard, reshuffles, result["stock_exhausted_rule"], user.sub)
+            if refilled is None:
+                finished = await _finish_exhausted_round(
+                    body.table_id, result["round_id"], hands, result["drops"], phase, locked["version"]
+                )
+                return RoundMeResponse(
+                    table_id=body.table_id,
+                    round_number=result["number"],
+                    hand=_hand_view(my),
+                    stock_count=0,
+                    discard_top=_serialize_card_code(discard[-1]) if discard else None,
+                    finished_at=finished["finished_at"].isoformat(),
+                    reshuffles=reshuffles,
+                    version=finished["version"],
+                )
+            stock, discard = refilled
+
+        drawn = stock.pop()  # take top
+        my.append(drawn)
+
+        written = await fetchrow(
+            """
+            UPDATE public.rummy_rounds
+            SET stock = $1::jsonb, hands = $2::jsonb, discard = $3::jsonb, reshuffles = $4::jsonb,
+                drawn_user_ids = (COALESCE(drawn_user_ids, '[]'::jsonb) - $6::text) || to_jsonb($6::text),
+                phase = $7, version = version + 1, updated_at = now()
+            WHERE id = $5 AND version = $8
+            RETURNING version
+            """,
+            json.dumps(stock),
+            json.dumps(hands),
+            json.dumps(discard),
+            json.dumps([r.model_dump() for r in reshuffles]),
+            result["round_id"],
+            user.sub,
+            check_transition(phase, round_phase.DISCARDING),
+            locked["version"],
+        )
+        _require_written(written)
+        table_events.publish(body.table_id, table_events.CARD_DRAWN, {
+            "user_id": user.sub, "source": "stock", "stock_count": len(stock),
+        })
+
+        return RoundMeResponse(
+            table_id=body.table_id,
+            round_number=result["number"],
+            hand=_hand_view(my),
+            stock_count=len(stock),
+            discard_top=_serialize_card_code(discard[-1]) if discard else None,
+            finished_at=result["finished_at"].isoformat() if result["finished_at"] else None,
+            reshuffles=reshuffles,
+            version=written["version"],
+        )
+
+
+@router.post("/draw/discard")
+async def draw_discard(
+    body: DrawRequest,
+    user: AuthorizedUser,
+    idempotency_key: Optional[str] = Header(default=None, alias="Idempotency-Key"),
+) -> RoundMeResponse:
+    return await _idempotent(body.table_id, user.sub, idempotency_key, "draw_discard", RoundMeResponse, lambda: _draw_discard(body, user))
+
+
+async def _draw_discard(body: DrawRequest, user: AuthorizedUser) -> RoundMeResponse:
+    async with transaction():
+        await _enforce_deadlines(body.table_id)
+        locked = await _lock_round(body.table_id, body.version)
+        start_time = time.time()
+        # Single query: validate + fetch + update in one transaction
+        result = await fetchrow(
+            """
+            WITH table_check AS (
+                SELECT t.id, t.status,
+                       EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
+                FROM public.rummy_tables t
+                WHERE t.id = $1
+            ),
+            round_data AS (
+                SELECT id, number, stock, hands, discard, active_user_id, finished_at, phase, show_deadline, points_accumulated
+                FROM public.rummy_rounds
+                WHERE table_id = $1
+                ORDER BY number DESC
+                LIMIT 1
+            )
+            SELECT t.id, t.status, t.is_member, r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id, r.finished_at,
+                   r.phase, r.show_deadline, r.points_accumulated
+            FROM table_check t
+            LEFT JOIN round_data r ON true
+            """,
+            body.table_id,
+            user.sub,
+        )
+    
+        if not result or not result["id"]:
+            raise HTTPException(status_code=404, detail="Table not found")
+        if result["status"] != "playing":
+            raise HTTPException(status_code=400, detail="Game not in playing state")
+        if not result["is_member"]:
+            raise HTTPException(status_code=403, detail="Not part of the table")
+        if not result["round_id"]:
+            raise GameError(404, round_phase.NO_ACTIVE_ROUND, "No active round")
+
+        # Parse JSON fields
+        hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
+        phase = _phase_of(result, hands)
+        require_phase(phase, round_phase.DRAWING)
+        if result["active_user_id"] != user.sub:
+            raise GameError(403, round_phase.NOT_YOUR_TURN, "Not your turn")
+        stock = json.loads(result["stock"]) if isinstance(result["stock"], str) else result["stock"]
+        discard = json.loads(result["discard"]) if isinstance(result["discard"], str) else result["discard"]
+
+        my = hands.get(user.sub)
+        if my is None:
+            raise HTTPException(status_code=404, detail="No hand for this player")
+        if not discard:
+            raise HTTPException(status_code=400, detail="Discard pile is empty")
+
+        drawn = discard.pop()
+        my.append(drawn)
+
+        written = await fetchrow(
+            """
+            UPDATE public.rummy_rounds
+            SET discard = $1::jsonb, hands = $2::jsonb,
+                drawn_user_ids = (COALESCE(drawn_user_ids, '[]'::jsonb) - $4::text) || to_jsonb($4::text),
+                phase = $5, version = version + 1, updated_at = now()
+            WHERE id = $3 AND version = $6
+            RETURNING version
+            """,
+            json.dumps(discard),
+            json.dumps(hands),
+            result["round_id"],
+            user.sub,
+            check_transition(phase, round_phase.DISCARDING),
+            locked["version"],
+        )
+        _require_written(written)
+        table_events.publish(body.table_id, table_events.CARD_DRAWN, {
+            "user_id": user.sub,
+            "source": "discard",
+            "discard_top": _serialize_card_code(discard[-1]) if discard else None,
+        })
+
+        return RoundMeResponse(
+            table_id=body.table_id,
+            round_number=result["number"],
+            hand=_hand_view(my),
+            stock_count=len(stock),
+            discard_top=_serialize_card_code(discard[-1]) if discard else None,
+            finished_at=result["finished_at"].isoformat() if result["finished_at"] else None,
+            version=written["version"],
+        )
+
+
+@router.post("/discard")
+async def discard_card(
+    body: DiscardRequest,
+    user: AuthorizedUser,
+    idempotency_key: Optional[str] = Header(default=None, alias="Idempotency-Key"),
+) -> DiscardResponse:
+    return await _idempotent(body.table_id, user.sub, idempotency_key, "discard_card", DiscardResponse, lambda: _discard_card(body, user))
+
+
+async def _discard_card(body: DiscardRequest, user: AuthorizedUser) -> DiscardResponse:
+    async with transaction():
+        await _enforce_deadlines(body.table_id)
+        locked = await _lock_round(body.table_id, body.version)
+        start_time = time.time()
+        # Single query: validate + fetch seats + round data
+        result = await fetchrow(
+            """
+            WITH table_check AS (
+                SELECT t.id, t.status, t.turn_seconds,
+                       EXISTS(SELECT 1 FROM public.rummy_table_players WHERE table_id = $1 AND user_id = $2) AS is_member
+                FROM public.rummy_tables t
+                WHERE t.id = $1
+            ),
+            round_data AS (
+                SELECT id, number, stock, hands, discard, active_user_id, turn_deadline, time_banks, timeouts, arrangements,
+                       finished_at, phase, show_deadline, points_accumulated
+                FROM public.rummy_rounds
+                WHERE table_id = $1
+                ORDER BY number DESC
+                LIMIT 1
+            ),
+            seat_order AS (
+                SELECT user_id, seat
+                FROM public.rummy_table_players
+                WHERE table_id = $1 AND is_spectator = false
+                ORDER BY seat ASC
+            )
+            SELECT 
+                t.id, t.status, t.is_member, t.turn_seconds,
+                r.id AS round_id, r.number, r.stock, r.hands, r.discard, r.active_user_id,
+                r.turn_deadline, r.time_banks, r.timeouts, r.arrangements,
+                r.finished_at, r.phase, r.show_deadline, r.points_accumulated,
+                json_agg(s.user_id ORDER BY s.seat) AS user_order
+            FROM table_check t
+            LEFT JOIN round_data r ON true
+            LEFT JOIN seat_order s ON true
+            GROUP BY t.id, t.status, t.is_member, t.turn_seconds, r.id, r.number, r.stock, r.hands, r.discard, r.active_user_id,
+                     r.turn_deadline, r.time_banks, r.timeouts, r.arrangements,
+                     r.finished_at, r.phase, r.show_deadline, r.points_accumulated
+            """,
+            body.table_id,
+            user.sub,
+        )
+    
+        if not result or not result["id"]:
+            raise HTTPException(status_code=404, detail="Table not found")
+        if result["status"] != "playing":
+            raise HTTPException(status_code=400, detail="Game not in playing state")
+        if not result["is_member"]:
+            raise HTTPException(status_code=403, detail="Not part of the table")
+        if not result["round_id"]:
+            raise GameError(404, round_phase.NO_ACTIVE_ROUND, "No active round")
+
+        # Parse JSON fields
+        hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
+        phase = _phase_of(result, hands)
+        require_phase(phase, round_phase.DISCARDING)
+        if result["active_user_id"] != user.sub:
+            raise GameError(403, round_phase.NOT_YOUR_TURN, "Not your turn")
+        stock = json.loads(result["stock"]) if isinstance(result["stock"], str) else result["stock"]
+        discard = json.loads(result["discard"]) if isinstance(result["discard"], str) else result["discard"]
+        order = json.loads(result["user_order"]) if isinstance(result["user_order"], str) else result["user_order"]
+
+        my = hands.get(user.sub)
+        if my is None:
+            raise HTTPException(status_code=404, detail="No hand for this player")
+
+        # Remove first matching card
+        idx_to_remove = None
+        for i, c in enumerate(my):
+            if (
+                c.get("rank") == body.card.rank
+                and (c.get("suit") or None) == (body.card.suit or None)
+                and bool(c.get("joker")) == bool(body.card.joker)
+            ):
+                idx_to_remove = i
+                break
+        if idx_to_remove is None:
+            raise HTTPException(status_code=400, detail="Card not found in hand")
+
+        removed = my.pop(idx_to_remove)
+        discard.append(removed)
+
+        # Find next active user
+        if user.sub not in order:
+            raise HTTPException(status_code=400, detail="Player has no seat")
+        next_user = _next_player(order, hands, user.sub)
+
+        # Time used past the deadline comes out of the player's time bank
+        banks = json.loads(result["time_banks"]) if isinstance(result["time_banks"], str) else (result["time_banks"] or {})
+        timeouts = json.loads(result["timeouts"]) if isinstance(result["timeouts"], str) else (result["timeouts"] or {})
+        if result["turn_deadline"]:
+            overrun = (datetime.now(timezone.utc) - result["turn_deadline"]).total_seconds()
+            if overrun > 0:
+                banks[user.sub] = max(0, int(banks.get(user.sub, 0)) - math.ceil(overrun))
+        timeouts[user.sub] = 0
+        # The discarded card leaves the player's saved grouping too
+        arrangements = _prune_arrangements(_parse_arrangements(result["arrangements"]), hands)
+        deadline = _turn_deadline(result["turn_seconds"])
+
+        written = await fetchrow(
+            """
+            UPDATE public.rummy_rounds
+            SET discard = $1::jsonb, hands = $2::jsonb, active_user_id = $3, turn_deadline = $5,
+                time_banks = $6::jsonb, timeouts = $7::jsonb, arrangements = $8::jsonb, phase = $9,
+                version = version + 1, updated_at = now()
+            WHERE id = $4 AND version = $10
+            RETURNING version
+            """,
+            json.dumps(discard),
+            json.dumps(hands),
+            next_user,
+            result["round_id"],
+            deadline,
+            json.dumps(banks),
+            json.dumps(timeouts),
+            json.dumps(arrangements),
+            check_transition(phase, round_phase.DRAWING),
+            locked["version"],
+        )
+        _require_written(written)
+        _publish_turn(body.table_id, result["number"], user.sub, removed, next_user, deadline)
+
+        return DiscardResponse(
+            table_id=body.table_id,
+            round_number=result["number"],
+            hand=_hand_view(my),
+            stock_count=len(stock),
+            discard_top=_serialize_card_code(discard[-1]) if discard else None,
+            next_active_user_id=next_user,
+            version=written["version"],
+        )
 
 
 # -------- Declaration and scoring --------
 class DeclareRequest(BaseModel):
     table_id: str
-    # For now, accept a simple client-declared payload; server will validate later
-    # We'll store player's grouped melds as-is and compute naive score 0 if valid later
+    # 13 cards grouped into melds; the 14th card is auto-discarded.
+    # Validated server-side against the declarer's actual hand.
     groups: Optional[List[List[DiscardCard]]] = None
 
 
+class GroupVerdict(BaseModel):
+    cards: List[str]  # card codes, in declared order
+    type: str  # "pure_sequence", "impure_sequence", "set" or "invalid"
+    valid: bool
+    reason: str
+
+
 class DeclareResponse(BaseModel):
     table_id: str
     round_number: int
     declared_by: str
     status: str
+    reason: str = ""
+    groups: List[GroupVerdict] = []
+    show_deadline: Optional[str] = None  # set while opponents may still group their cards
+
+
+class DeclarePreviewResponse(BaseModel):
+    table_id: str
+    round_number: int
+    would_succeed: bool
+    reason: str
+    groups: List[GroupVerdict] = []
+    leftover: List[str] = []  # card codes not in any group
+    deadwood: int  # points charged if the hand stayed as grouped
 
 
 class ScoreEntry(BaseModel):
@@ -958,229 +1957,480 @@ class ScoreboardResponse(BaseModel):
 
 
 @router.post("/declare")
-async def declare(body: DeclareRequest, user: AuthorizedUser) -> DeclareResponse:
-    try:
-        # Declare endpoint - validates meld groups (13 cards) not full hand (can be 14 after draw)
-        # Only the active player can declare for now
-        tbl = await fetchrow(
-            "SELECT id, status FROM public.rummy_tables WHERE id = $1",
-            body.table_id,
-        )
-        if not tbl:
-            raise HTTPException(status_code=404, detail="Table not found")
-        if tbl["status"] != "playing":
-            raise HTTPException(status_code=400, detail="Game not in playing state")
-        await _assert_member(body.table_id, user.sub)
-
-        rnd = await _get_latest_round(body.table_id)
-        if not rnd:
-            raise HTTPException(status_code=404, detail="No active round")
-        if rnd["active_user_id"] != user.sub:
-            raise HTTPException(status_code=403, detail="Only active player may declare")
-
-        # Parse JSON fields from database
-        hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else rnd["hands"]
-        
-        # Get wild joker rank and ace value for validation and scoring
-        wild_joker_rank = rnd["wild_joker_rank"]
-        ace_value = rnd.get("ace_value", 10)  # Default to 10 if not set
+async def declare(
+    body: DeclareRequest,
+    user: AuthorizedUser,
+    idempotency_key: Optional[str] = Header(default=None, alias="Idempotency-Key"),
+) -> DeclareResponse:
+    return await _idempotent(body.table_id, user.sub, idempotency_key, "declare", DeclareResponse, lambda: _declare(body, user))
+
+
+async def _declare(body: DeclareRequest, user: AuthorizedUser) -> DeclareResponse:
+    async with transaction():
+        await _enforce_deadlines(body.table_id)
+        locked = await _lock_round(body.table_id)
+        try:
+            # Declare endpoint - validates meld groups (13 cards) not full hand (can be 14 after draw)
+            # Only the active player can declare for now
+            tbl = await fetchrow(
+                """SELECT id, status, game_type, pool_limit, first_drop_penalty, middle_drop_penalty, full_count_penalty,
+                          rules, ace_value, wild_joker_mode
+                   FROM public.rummy_tables WHERE id = $1""",
+                body.table_id,
+            )
+            if not tbl:
+                raise HTTPException(status_code=404, detail="Table not found")
+            if tbl["status"] != "playing":
+                raise HTTPException(status_code=400, detail="Game not in playing state")
+            await _assert_member(body.table_id, user.sub)
+            full_count = _drop_penalties(
+                tbl["game_type"], tbl["pool_limit"],
+                tbl["first_drop_penalty"], tbl["middle_drop_penalty"], tbl["full_count_penalty"],
+            )["full_count"]
+
+            rnd = await _get_latest_round(body.table_id)
+            if not rnd:
+                raise GameError(404, round_phase.NO_ACTIVE_ROUND, "No active round")
+
+            # Parse JSON fields from database
+            hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else rnd["hands"]
+            phase = _phase_of(rnd, hands)
+            # Declaring needs the 14th card in hand, so only the discarding phase allows it
+            require_phase(phase, round_phase.DISCARDING)
+            if rnd["active_user_id"] != user.sub:
+                raise GameError(403, round_phase.NOT_YOUR_TURN, "Only active player may declare")
         
-        # Check if player has revealed wild joker
-        players_with_first_sequence = rnd.get("players_with_first_sequence") or []
-        if isinstance(players_with_first_sequence, str):
-            try:
-                players_with_first_sequence = json.loads(players_with_first_sequence)
-            except:
-                players_with_first_sequence = []
-        has_wild_joker_revealed = user.sub in players_with_first_sequence
+            # Get wild joker rank and house rules for validation and scoring
+            wild_joker_rank = rnd["wild_joker_rank"]
+            rules = _table_rules(tbl["rules"], rnd.get("ace_value") or tbl["ace_value"])
+            ace_value = rules.ace_value
         
-        # Get declarer's hand
-        declarer_hand = hands.get(user.sub)
-        if not declarer_hand:
-            raise HTTPException(status_code=404, detail="No hand found for player")
+            has_wild_joker_revealed = _wild_joker_revealed(tbl, rnd, user.sub)
         
-        # Check that player has exactly 14 cards (must have drawn before declaring)
-        if len(declarer_hand) != 14:
-            raise HTTPException(
-                status_code=400, 
-                detail=f"Must have exactly 14 cards to declare. You have {len(declarer_hand)} cards. Please draw a card first."
-            )
+            # Get declarer's hand
+            declarer_hand = hands.get(user.sub)
+            if not declarer_hand:
+                raise HTTPException(status_code=404, detail="No hand found for player")
         
-        # Validate hand if groups are provided
-        is_valid = False
-        validation_reason = ""
-        if body.groups:
-            # Check that groups contain exactly 13 cards total
-            total_cards_in_groups = sum(len(group) for group in body.groups)
-            if total_cards_in_groups != 13:
-                raise HTTPException(
-                    status_code=400, 
-                    detail=f"Groups must contain exactly 13 cards. You provided {total_cards_in_groups} cards."
-                )
-            
-            # Extract the 14th card (leftover) from hand that's not in groups
-            # Build count map of declared cards
-            declared_counts = {}
-            for group in body.groups:
-                for card in group:
-                    card_dict = card.model_dump() if hasattr(card, 'model_dump') else card
-                    key = f"{card_dict['rank']}-{card_dict.get('suit', 'null')}"
-                    declared_counts[key] = declared_counts.get(key, 0) + 1
+            # Validate the show against the declarer's real hand
+            is_valid = False
+            validation_reason = "No meld groups provided"
+            declared_groups: list = []
+            group_verdicts: List[GroupVerdict] = []
+            scores: dict = {}
+            organized_melds_all_players = {}
+            if body.groups:
+                # Check that groups contain exactly 13 cards total
+                total_cards_in_groups = sum(len(group) for group in body.groups)
+                if total_cards_in_groups != 13:
+                    raise HTTPException(
+                        status_code=400, 
+                        detail=f"Groups must contain exactly 13 cards. You provided {total_cards_in_groups} cards."
+                    )
             
-            # Find the 14th card (not in declared melds)
-            auto_discard_card = None
-            temp_counts = declared_counts.copy()
-            for card in declarer_hand:
-                key = f"{card['rank']}-{card.get('suit', 'null')}"
-                if key not in temp_counts or temp_counts[key] == 0:
-                    auto_discard_card = card
-                    break
-                else:
-                    temp_counts[key] -= 1
+                validation = validate_declaration(
+                    [[card.model_dump() for card in group] for group in body.groups],
+                    declarer_hand,
+                    wild_joker_rank,
+                    has_wild_joker_revealed,
+                    rules,
+                )
+                # Groups that don't match the hand are a bad request, not a wrong show
+                if validation["hand_mismatch"]:
+                    raise HTTPException(status_code=400, detail=validation["reason"])
             
-            if not auto_discard_card:
-                raise HTTPException(status_code=500, detail="Could not identify 14th card")
+                is_valid = validation["valid"]
+                validation_reason = validation["reason"]
+                declared_groups = validation["groups"]
+                group_verdicts = [
+                    GroupVerdict(
+                        cards=[_serialize_card_code(c) for c in group],
+                        type=verdict["type"],
+                        valid=verdict["valid"],
+                        reason=verdict["reason"],
+                    )
+                    for group, verdict in zip(declared_groups, validation["verdicts"])
+                ]
             
-            # Remove card from declarer's hand
-            updated_hand = [c for c in declarer_hand if c != auto_discard_card]
-            hands[user.sub] = updated_hand
+                # The 14th card (not in any group) is auto-discarded
+                auto_discard_card = validation["discard"]
+                hands[user.sub] = [c for c in declarer_hand if c is not auto_discard_card]
             
-            # Add to discard pile
-            discard_pile = json.loads(rnd["discard"]) if isinstance(rnd["discard"], str) else (rnd["discard"] or [])
-            discard_pile.append(auto_discard_card)
+                # Add to discard pile
+                discard_pile = json.loads(rnd["discard"]) if isinstance(rnd["discard"], str) else (rnd["discard"] or [])
+                discard_pile.append(auto_discard_card)
             
-            # Update game state with auto-discard
-            await execute(
-                "UPDATE public.rummy_rounds SET hands = $1::jsonb, discard = $2::jsonb WHERE id = $3",
-                json.dumps(hands),
-                json.dumps(discard_pile),
-                rnd["id"]
-            )
+                # Update game state with auto-discard
+                await execute(
+                    "UPDATE public.rummy_rounds SET hands = $1::jsonb, discard = $2::jsonb WHERE id = $3",
+                    json.dumps(hands),
+                    json.dumps(discard_pile),
+                    rnd["id"]
+                )
             
-            # Valid declaration: declarer gets 0 points, others get deadwood points
-            scores: dict = {}
-            organized_melds_all_players = {}
-            for uid, cards in hands.items():
-                if uid == user.sub:
-                    scores[uid] = 0
-                    # Store winner's declared melds - categorize them properly
-                    winner_pure_seqs = []
-                    winner_seqs = []
-                    winner_sets = []
-                    for group in body.groups:
-                        # Convert DiscardCard to dict for JSON serialization
-                        group_dicts = [card.model_dump() if hasattr(card, 'model_dump') else card for card in group]
-                        if is_pure_sequence(group_dicts, wild_joker_rank, has_wild_joker_revealed):
-                            winner_pure_seqs.append(group_dicts)
-                        elif is_sequence(group_dicts, wild_joker_rank, has_wild_joker_revealed):
-                            winner_seqs.append(group_dicts)
-                        elif is_set(group_dicts, wild_joker_rank, has_wild_joker_revealed):
-                            winner_sets.append(group_dicts)
-                    
-                    organized_melds_all_players[uid] = {
-                        "pure_sequences": winner_pure_seqs,
-                        "sequences": winner_seqs,
-                        "sets": winner_sets,
-                        "deadwood": []
-                    }
-                else:
-                    # Auto-organize opponent's hand to find best possible melds
-                    opponent_has_revealed = uid in players_with_first_sequence
-                    opponent_melds, opponent_leftover = auto_organize_hand(
-                        cards, wild_joker_rank, opponent_has_revealed
-                    )
-                    # Score only the ungrouped deadwood cards
-                    scores[uid] = calculate_deadwood_points(
-                        opponent_leftover, wild_joker_rank, opponent_has_revealed, ace_value
-                    )
-                    # Convert opponent melds to plain dicts and categorize them
-                    opponent_melds_dicts = [
-                        [card.dict() if hasattr(card, 'dict') else card for card in meld]
-                        for meld in opponent_melds
-                    ]
-                    opponent_leftover_dicts = [
-                        card.dict() if hasattr(card, 'dict') else card for card in opponent_leftover
-                    ]
-                    
-                    # Categorize opponent melds
-                    opp_pure_seqs = []
-                    opp_seqs = []
-                    opp_sets = []
-                    for meld in opponent_melds_dicts:
-                        if is_pure_sequence(meld, wild_joker_rank, opponent_has_revealed):
-                            opp_pure_seqs.append(meld)
-                        elif is_sequence(meld, wild_joker_rank, opponent_has_revealed):
-                            opp_seqs.append(meld)
-                        elif is_set(meld, wild_joker_rank, opponent_has_revealed):
-                            opp_sets.append(meld)
-                    
-                    # Store opponent's auto-organized melds
-                    organized_melds_all_players[uid] = {
-                        "pure_sequences": opp_pure_seqs,
-                        "sequences": opp_seqs,
-                        "sets": opp_sets,
-                        "deadwood": opponent_leftover_dicts
-                    }
-        else:
-            # Invalid declaration: declarer gets FULL hand deadwood points (80 cap), others get 0
-            has_revealed = user.sub in players_with_first_sequence
-            declarer_deadwood_pts = calculate_deadwood_points(declarer_hand, wild_joker_rank, has_revealed, ace_value)
-            for uid, cards in hands.items():
-                if uid == user.sub:
-                    scores[uid] = min(declarer_deadwood_pts, 80)  # Cap at 80
-                    # Store declarer's ungrouped cards as all deadwood
-                    declarer_cards_dicts = [
-                        card.dict() if hasattr(card, 'dict') else card for card in declarer_hand
-                    ]
-                    organized_melds_all_players[uid] = {
-                        "pure_sequences": [],
-                        "sequences": [],
-                        "sets": [],
-                        "deadwood": declarer_cards_dicts
-                    }
-                else:
-                    scores[uid] = 0
-                    # Opponents don't lose points when someone else's declaration fails
-                    organized_melds_all_players[uid] = {
-                        "pure_sequences": [],
-                        "sequences": [],
-                        "sets": [],
-                        "deadwood": []
-                    }
+            if is_valid:
+                # Valid declaration: declarer gets 0 points. Opponents are scored
+                # when the show phase closes, from their own grouping if they send one.
+                scores[user.sub] = 0
+                organized_melds_all_players[user.sub] = {
+                    "pure_sequences": [g for g, v in zip(declared_groups, group_verdicts) if v.type == "pure_sequence"],
+                    "impure_sequences": [g for g, v in zip(declared_groups, group_verdicts) if v.type == "impure_sequence"],
+                    "sets": [g for g, v in zip(declared_groups, group_verdicts) if v.type == "set"],
+                    "ungrouped": []
+                }
+            else:
+                # Invalid declaration: declarer gets FULL hand deadwood points (full-count cap), others get 0
+                declarer_deadwood_pts = calculate_deadwood_points(
+                    declarer_hand, wild_joker_rank, has_wild_joker_revealed, ace_value, rules
+                )
+                for uid, cards in hands.items():
+                    if uid == user.sub:
+                        scores[uid] = min(declarer_deadwood_pts, full_count)
+                        # Store declarer's ungrouped cards as all deadwood
+                        declarer_cards_dicts = [
+                            card.dict() if hasattr(card, 'dict') else card for card in declarer_hand
+                        ]
+                        organized_melds_all_players[uid] = {
+                            "pure_sequences": [],
+                            "impure_sequences": [],
+                            "sets": [],
+                            "ungrouped": declarer_cards_dicts
+                        }
+                    else:
+                        scores[uid] = 0
+                        # Opponents don't lose points when someone else's declaration fails
+                        organized_melds_all_players[uid] = {
+                            "pure_sequences": [],
+                            "impure_sequences": [],
+                            "sets": [],
+                            "ungrouped": []
+                        }
+
+            # Players who dropped out of the deal keep their drop penalty
+            scores.update(_drop_scores(_parse_drops(rnd["drops"])))
         
-        # Store the declaration with validation status
-        declaration_data = {
-            "groups": [[card.model_dump() if hasattr(card, 'model_dump') else card for card in group] for group in body.groups] if body.groups else [],
-            "valid": is_valid,
-            "reason": validation_reason,
-            "revealed_hands": hands,  # Already plain dicts from JSON parse
-            "organized_melds": organized_melds_all_players
+            # Store the declaration with validation status
+            declaration_data = {
+                "groups": declared_groups,
+                "valid": is_valid,
+                "reason": validation_reason,
+                "verdicts": [v.model_dump() for v in group_verdicts],
+                "revealed_hands": hands,  # Already plain dicts from JSON parse
+                "organized_melds": organized_melds_all_players,
+                "shows": {},  # opponent user_id -> grouping sent during the show phase
+            }
+
+            if is_valid:
+                show_deadline = datetime.now(timezone.utc) + timedelta(seconds=SHOW_WINDOW_SECONDS)
+                written = await execute(
+                    """
+                    UPDATE public.rummy_rounds
+                    SET winner_user_id = $1, scores = $2::jsonb, declarations = jsonb_set(COALESCE(declarations, '{}'::jsonb), $3, $4::jsonb, true),
+                        show_deadline = $5, active_user_id = NULL, turn_deadline = NULL, phase = $7,
+                        version = version + 1, updated_at = now()
+                    WHERE id = $6 AND version = $8
+                    """,
+                    user.sub,
+                    json.dumps(scores),
+                    [user.sub],
+                    json.dumps(declaration_data),
+                    show_deadline,
+                    rnd["id"],
+                    check_transition(phase, round_phase.SHOWING),
+                    locked["version"],
+                )
+                _require_written(written)
+                table_events.publish(body.table_id, table_events.DECLARED, {
+                    "user_id": user.sub, "valid": True, "show_deadline": show_deadline.isoformat(),
+                })
+                # With no opponents left in the deal there is nobody to wait for
+                await _close_show_phase(body.table_id)
+                return DeclareResponse(
+                    table_id=body.table_id,
+                    round_number=rnd["number"],
+                    declared_by=user.sub,
+                    status="valid",
+                    reason=validation_reason,
+                    groups=group_verdicts,
+                    show_deadline=show_deadline.isoformat(),
+                )
+
+            written = await execute(
+                """
+                UPDATE public.rummy_rounds
+                SET winner_user_id = $1, scores = $2::jsonb, declarations = jsonb_set(COALESCE(declarations, '{}'::jsonb), $3, $4::jsonb, true), finished_at = now(),
+                    phase = $6, version = version + 1, updated_at = now()
+                WHERE id = $5 AND version = $7
+                """,
+                None,  # an invalid show has no winner
+                json.dumps(scores),  # Convert dict to JSON string for JSONB
+                [user.sub],
+                json.dumps(declaration_data),  # Convert dict to JSON string for JSONB
+                rnd["id"],
+                check_transition(phase, round_phase.SCORING),
+                locked["version"],
+            )
+            _require_written(written)
+            table_events.publish(body.table_id, table_events.DECLARED, {
+                "user_id": user.sub, "valid": False, "show_deadline": None,
+            })
+            await _settle_round(body.table_id, rnd["id"])
+
+            # An invalid declaration completes the round straight away
+            return DeclareResponse(
+                table_id=body.table_id,
+                round_number=rnd["number"],
+                declared_by=user.sub,
+                status="invalid",
+                reason=validation_reason,
+                groups=group_verdicts,
+            )
+        except HTTPException:
+            raise  # Re-raise HTTP exceptions as-is
+        except Exception as e:
+            raise HTTPException(status_code=500, detail=f"Internal error: {str(e)}")
+
+
+@router.post("/declare/preview")
+async def declare_preview(body: DeclareRequest, user: AuthorizedUser) -> DeclarePreviewResponse:
+    """Dry-run a show with the caller's grouping. Read-only: the round is left untouched,
+    and overdue turns are left for the next real action to enforce."""
+    tbl = await fetchrow(
+        "SELECT status, rules, ace_value, wild_joker_mode FROM public.rummy_tables WHERE id = $1",
+        body.table_id,
+    )
+    if not tbl:
+        raise HTTPException(status_code=404, detail="Table not found")
+    if tbl["status"] != "playing":
+        raise HTTPException(status_code=400, detail="Game not in playing state")
+    await _assert_member(body.table_id, user.sub)
+
+    rnd = await _get_latest_round(body.table_id)
+    if not rnd:
+        raise HTTPException(status_code=404, detail="No active round")
+    hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else rnd["hands"]
+    hand = hands.get(user.sub)
+    if not hand:
+        raise HTTPException(status_code=404, detail="No hand found for player")
+
+    wild_joker_rank = rnd["wild_joker_rank"]
+    rules = _table_rules(tbl["rules"], rnd.get("ace_value") or tbl["ace_value"])
+
+    preview = preview_declaration(
+        [[card.model_dump() for card in group] for group in body.groups or []],
+        hand,
+        wild_joker_rank,
+        _wild_joker_revealed(tbl, rnd, user.sub),
+        rules,
+    )
+    if preview["hand_mismatch"]:
+        raise HTTPException(status_code=400, detail=preview["reason"])
+
+    return DeclarePreviewResponse(
+        table_id=body.table_id,
+        round_number=rnd["number"],
+        would_succeed=preview["valid"],
+        reason=preview["reason"],
+        groups=[
+            GroupVerdict(
+                cards=[_serialize_card_code(c) for c in group],
+                type=verdict["type"],
+                valid=verdict["valid"],
+                reason=verdict["reason"],
+            )
+            for group, verdict in zip(preview["groups"], preview["verdicts"])
+        ],
+        leftover=[_serialize_card_code(c) for c in preview["leftover"]],
+        deadwood=preview["deadwood"],
+    )
+
+
+# -------- Show phase --------
+# After a valid declaration each opponent has this long to group their own
+# cards; only what they leave ungrouped counts against them.
+SHOW_WINDOW_SECONDS = 45
+
+
+class ShowRequest(BaseModel):
+    table_id: str
+    groups: List[List[DiscardCard]]
+
+
+class ShowResponse(BaseModel):
+    table_id: str
+    round_number: int
+    points: int
+    groups: List[GroupVerdict] = []
+    round_finished: bool  # true once every opponent has shown
+
+
+def _organized_from_show(groups: list, verdicts: list, leftover: list, hand: list) -> dict:
+    """Bucket an opponent's own grouping like `organize_hand_by_melds` does.
+
+    Invalid groups count as ungrouped, and without a pure sequence the whole
+    hand does.
+    """
+    if not any(v["type"] == "pure_sequence" for v in verdicts):
+        return {"pure_sequences": [], "impure_sequences": [], "sets": [], "ungrouped": hand}
+    return {
+        "pure_sequences": [g for g, v in zip(groups, verdicts) if v["type"] == "pure_sequence"],
+        "impure_sequences": [g for g, v in zip(groups, verdicts) if v["type"] == "impure_sequence"],
+        "sets": [g for g, v in zip(groups, verdicts) if v["type"] == "set"],
+        "ungrouped": leftover + [c for g, v in zip(groups, verdicts) if not v["valid"] for c in g],
+    }
+
+
+async def _close_show_phase(table_id: str) -> None:
+    """Finish a round in its show phase once every opponent has shown or the window ran out.
+
+    Opponents who didn't show are scored on their best automatic arrangement.
+    """
+    rnd = await fetchrow(
+        """SELECT r.id, r.hands, r.winner_user_id, r.declarations, r.scores, r.show_deadline, r.drops,
+                  r.players_with_first_sequence, r.wild_joker_rank, r.ace_value, t.rules, t.ace_value AS table_ace_value,
+                  t.wild_joker_mode
+           FROM public.rummy_rounds r
+           JOIN public.rummy_tables t ON t.id = r.table_id
+           WHERE r.table_id = $1 AND r.show_deadline IS NOT NULL AND r.finished_at IS NULL
+           ORDER BY r.number DESC LIMIT 1""",
+        table_id,
+    )
+    if not rnd:
+        return
+    hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else rnd["hands"]
+    declarations = json.loads(rnd["declarations"]) if isinstance(rnd["declarations"], str) else rnd["declarations"]
+    winner = rnd["winner_user_id"]
+    declaration = declarations[winner]
+    shows = declaration.get("shows") or {}
+    opponents = [uid for uid in hands if uid != winner]
+    if datetime.now(timezone.utc) < rnd["show_deadline"] and any(uid not in shows for uid in opponents):
+        return
+
+    rules = _table_rules(rnd["rules"], rnd["ace_value"] or rnd["table_ace_value"])
+    scores = {winner: 0}
+    organized_melds = dict(declaration["organized_melds"])
+    for uid in opponents:
+        if uid in shows:
+            scores[uid] = shows[uid]["points"]
+            organized_melds[uid] = shows[uid]["organized"]
+            continue
+        # No show in time: fall back to the opponent's minimum-deadwood arrangement
+        has_revealed = _wild_joker_revealed(rnd, rnd, uid)
+        organized = organize_hand_by_melds(
+            hands[uid], rnd["wild_joker_rank"], has_revealed, rules.ace_value, rules
+        )
+        scores[uid] = calculate_deadwood_points(
+            organized["ungrouped"], rnd["wild_joker_rank"], has_revealed, rules.ace_value, rules
+        )
+        organized_melds[uid] = organized
+    scores.update(_drop_scores(_parse_drops(rnd["drops"])))
+
+    finished = await fetchrow(
+        """UPDATE public.rummy_rounds
+           SET scores = $1::jsonb, declarations = jsonb_set(declarations, $2, $3::jsonb), finished_at = now(),
+               phase = $5, version = version + 1, updated_at = now()
+           WHERE id = $4 AND finished_at IS NULL
+           RETURNING id""",
+        json.dumps(scores),
+        [winner, "organized_melds"],
+        json.dumps(organized_melds),
+        rnd["id"],
+        check_transition(round_phase.SHOWING, round_phase.SCORING),
+    )
+    if finished:
+        await _settle_round(table_id, rnd["id"])
+
+
+@router.post("/round/show")
+async def submit_show(
+    body: ShowRequest,
+    user: AuthorizedUser,
+    idempotency_key: Optional[str] = Header(default=None, alias="Idempotency-Key"),
+) -> ShowResponse:
+    """Group your own cards after an opponent's valid declaration.
+
+    Allowed once per opponent until the show deadline. Only cards left out of
+    valid groups count, and every card counts without a pure sequence.
+    """
+    return await _idempotent(body.table_id, user.sub, idempotency_key, "submit_show", ShowResponse, lambda: _submit_show(body, user))
+
+
+async def _submit_show(body: ShowRequest, user: AuthorizedUser) -> ShowResponse:
+    async with transaction():
+        await _enforce_deadlines(body.table_id)
+        locked = await _lock_round(body.table_id)
+        await _assert_member(body.table_id, user.sub)
+        rnd = await fetchrow(
+            """SELECT r.id, r.number, r.hands, r.winner_user_id, r.declarations, r.show_deadline, r.finished_at,
+                      r.phase, r.points_accumulated, r.active_user_id,
+                      r.players_with_first_sequence, r.wild_joker_rank, r.ace_value, t.rules, t.ace_value AS table_ace_value,
+                      t.wild_joker_mode
+               FROM public.rummy_rounds r
+               JOIN public.rummy_tables t ON t.id = r.table_id
+               WHERE r.table_id = $1
+               ORDER BY r.number DESC LIMIT 1""",
+            body.table_id,
+        )
+        if not rnd:
+            raise GameError(404, round_phase.NO_ACTIVE_ROUND, "No active round")
+        phase = _phase_of(rnd)
+        if phase in (round_phase.DRAWING, round_phase.DISCARDING):
+            raise GameError(409, round_phase.WRONG_PHASE, "Nobody has declared yet")
+        require_phase(phase, round_phase.SHOWING)
+        winner = rnd["winner_user_id"]
+        if user.sub == winner:
+            raise HTTPException(status_code=400, detail="You declared this round")
+        hands = json.loads(rnd["hands"]) if isinstance(rnd["hands"], str) else rnd["hands"]
+        hand = hands.get(user.sub)
+        if not hand:
+            raise HTTPException(status_code=400, detail="You are not playing this deal")
+        declarations = json.loads(rnd["declarations"]) if isinstance(rnd["declarations"], str) else rnd["declarations"]
+        if user.sub in (declarations[winner].get("shows") or {}):
+            raise HTTPException(status_code=400, detail="You have already shown your cards")
+
+        rules = _table_rules(rnd["rules"], rnd["ace_value"] or rnd["table_ace_value"])
+        preview = preview_declaration(
+            [[card.model_dump() for card in group] for group in body.groups],
+            hand,
+            rnd["wild_joker_rank"],
+            _wild_joker_revealed(rnd, rnd, user.sub),
+            rules,
+        )
+        if preview["hand_mismatch"]:
+            raise HTTPException(status_code=400, detail=preview["reason"])
+
+        show = {
+            "points": preview["deadwood"],
+            "organized": _organized_from_show(preview["groups"], preview["verdicts"], preview["leftover"], hand),
         }
-        
-        await execute(
-            """
-            UPDATE public.rummy_rounds
-            SET winner_user_id = $1, scores = $2::jsonb, declarations = jsonb_set(COALESCE(declarations, '{}'::jsonb), $3, $4::jsonb, true), finished_at = now(), updated_at = now()
-            WHERE id = $5
-            """,
-            user.sub if is_valid else None,  # Only set winner if valid
-            json.dumps(scores),  # Convert dict to JSON string for JSONB
-            [user.sub],
-            json.dumps(declaration_data),  # Convert dict to JSON string for JSONB
+        written = await execute(
+            """UPDATE public.rummy_rounds
+               SET declarations = jsonb_set(declarations, $1, $2::jsonb, true), version = version + 1, updated_at = now()
+               WHERE id = $3 AND finished_at IS NULL AND version = $4""",
+            [winner, "shows", user.sub],
+            json.dumps(show),
             rnd["id"],
+            locked["version"],
         )
+        _require_written(written)
+        await _close_show_phase(body.table_id)
+        finished = await fetchrow("SELECT finished_at FROM public.rummy_rounds WHERE id = $1", rnd["id"])
 
-        # Return success response (valid or invalid declaration both complete the round)
-        return DeclareResponse(
+        return ShowResponse(
             table_id=body.table_id,
             round_number=rnd["number"],
-            declared_by=user.sub,
-            status="valid" if is_valid else "invalid"
+            points=preview["deadwood"],
+            groups=[
+                GroupVerdict(
+                    cards=[_serialize_card_code(c) for c in group],
+                    type=verdict["type"],
+                    valid=verdict["valid"],
+                    reason=verdict["reason"],
+                )
+                for group, verdict in zip(preview["groups"], preview["verdicts"])
+            ],
+            round_finished=finished["finished_at"] is not None,
         )
-    except HTTPException:
-        raise  # Re-raise HTTP exceptions as-is
-    except Exception as e:
-        raise HTTPException(status_code=500, detail=f"Internal error: {str(e)}")
 
 
 class RevealedHandsResponse(BaseModel):
@@ -1192,6 +2442,10 @@ class RevealedHandsResponse(BaseModel):
     scores: dict[str, int]  # user_id -> points
     player_names: dict[str, str]  # user_id -> display_name
     is_finished: bool
+    game_over: bool = False  # the table finished with this round
+    deal_count: Optional[int] = None  # deals games only
+    chip_transfers: dict[str, int] = {}  # user_id -> chips won (+) or paid (-) this deal
+    chips: dict[str, int] = {}  # user_id -> chips held after this deal
 
 
 @router.get("/round/revealed-hands")
@@ -1219,31 +2473,47 @@ async def get_revealed_hands(table_id: str, user: AuthorizedUser) -> RevealedHan
         # Get player information for names
         players_rows = await fetch(
             """
-            SELECT user_id, display_name
+            SELECT user_id, display_name, chips
             FROM public.rummy_table_players
             WHERE table_id=$1
             """,
             table_id
         )
         player_names = {p["user_id"]: p["display_name"] or "Player" for p in players_rows}
+
+        # Game-type state written when the round was settled
+        settled = await fetchrow(
+            """
+            SELECT t.status, t.game_type, t.deal_count, r.chip_transfers
+            FROM public.rummy_tables t
+            JOIN public.rummy_rounds r ON r.table_id = t.id
+            WHERE t.id = $1 AND r.id = $2
+            """,
+            table_id,
+            rnd["id"],
+        )
+        chip_transfers = settled["chip_transfers"] or {}
+        if isinstance(chip_transfers, str):
+            chip_transfers = json.loads(chip_transfers)
+        is_deals = settled["game_type"] == "deals"
         
         # Extract data from the round
         revealed_hands = rnd.get("hands", {})
         scores = rnd.get("scores", {})
         declarations = rnd.get("declarations", {})
         
-        # Extract organized_melds from declarations
+        # Extract organized_melds from declarations (each holds every player's melds)
         organized_melds = {}
         for uid, decl_data in declarations.items():
             if isinstance(decl_data, dict) and "organized_melds" in decl_data:
-                organized_melds[uid] = decl_data["organized_melds"]
-            else:
-                organized_melds[uid] = {
-                    "pure_sequences": [],
-                    "sequences": [],
-                    "sets": [],
-                    "deadwood": []
-                }
+                organized_melds.update(decl_data["organized_melds"])
+        for uid in revealed_hands:
+            organized_melds.setdefault(uid, {
+                "pure_sequences": [],
+                "impure_sequences": [],
+                "sets": [],
+                "ungrouped": []
+            })
 
         try:
             response = RevealedHandsResponse(
@@ -1254,7 +2524,11 @@ async def get_revealed_hands(table_id: str, user: AuthorizedUser) -> RevealedHan
                 organized_melds=organized_melds,
                 scores=scores,
                 player_names=player_names,
-                is_finished=rnd["finished_at"] is not None
+                is_finished=rnd["finished_at"] is not None,
+                game_over=settled["status"] == "finished",
+                deal_count=settled["deal_count"] if is_deals else None,
+                chip_transfers=chip_transfers,
+                chips={p["user_id"]: int(p["chips"] or 0) for p in players_rows} if is_deals else {},
             )
             return response
         except Exception as e:
@@ -1270,7 +2544,7 @@ async def round_scoreboard(table_id: str, user: AuthorizedUser) -> ScoreboardRes
     await _assert_member(table_id, user.sub)
     rnd = await fetchrow(
         """
-        SELECT number, scores, winner_user_id, points_accumulated
+        SELECT id, number, scores, winner_user_id
         FROM public.rummy_rounds
         WHERE table_id = $1
         ORDER BY number DESC
@@ -1281,29 +2555,7 @@ async def round_scoreboard(table_id: str, user: AuthorizedUser) -> ScoreboardRes
     if not rnd:
         raise HTTPException(status_code=404, detail="No round found")
     
-    scores = rnd["scores"] or {}
-    
-    # CRITICAL: Accumulate round scores to total_points ONLY ONCE
-    # Check if points have already been accumulated for this round
-    if not rnd.get("points_accumulated", False):
-        for user_id, round_points in scores.items():
-            await execute(
-                """UPDATE public.rummy_table_players 
-                   SET total_points = total_points + $1 
-                   WHERE table_id = $2 AND user_id = $3""",
-                int(round_points),
-                table_id,
-                user_id
-            )
-        
-        # Mark this round as accumulated
-        await execute(
-            """UPDATE public.rummy_rounds 
-               SET points_accumulated = TRUE 
-               WHERE table_id = $1 AND number = $2""",
-            table_id,
-            rnd["number"]
-        )
+    scores = json.loads(rnd["scores"]) if isinstance(rnd["scores"], str) else (rnd["scores"] or {})
     
     entries = [ScoreEntry(user_id=uid, points=int(val)) for uid, val in scores.items()]
     return ScoreboardResponse(
@@ -1314,6 +2566,167 @@ async def round_scoreboard(table_id: str, user: AuthorizedUser) -> ScoreboardRes
     )
 
 
+async def _settle_round(table_id: str, round_id: str) -> None:
+    """Add a finished round's scores to the players' totals, exactly once.
+
+    Called from every path that finishes a round. Claiming the round through
+    `points_accumulated` makes repeat calls harmless. Pool and deals tables
+    then apply their own end-of-deal rules.
+    """
+    rnd = await fetchrow(
+        """UPDATE public.rummy_rounds
+           SET points_accumulated = TRUE, phase = $2, version = version + 1
+           WHERE id = $1 AND finished_at IS NOT NULL AND points_accumulated IS NOT TRUE
+           RETURNING id, number, scores, winner_user_id""",
+        round_id,
+        check_transition(round_phase.SCORING, round_phase.FINISHED),
+    )
+    if not rnd:
+        return
+    table_events.publish(table_id, table_events.ROUND_FINISHED, {
+        "round_number": rnd["number"], "winner_user_id": rnd["winner_user_id"],
+    })
+
+    scores = json.loads(rnd["scores"]) if isinstance(rnd["scores"], str) else (rnd["scores"] or {})
+    for user_id, round_points in scores.items():
+        await execute(
+            """UPDATE public.rummy_table_players 
+               SET total_points = total_points + $1 
+               WHERE table_id = $2 AND user_id = $3""",
+            int(round_points),
+            table_id,
+            user_id
+        )
+
+    tbl = await fetchrow(
+        "SELECT game_type, pool_limit, deal_count, point_value FROM public.rummy_tables WHERE id = $1",
+        table_id,
+    )
+    if tbl["game_type"] == "pool":
+        await _settle_pool(table_id, tbl["pool_limit"])
+    elif tbl["game_type"] == "deals":
+        await _settle_deal(table_id, rnd, scores, tbl["deal_count"])
+    elif tbl["game_type"] == "points":
+        await _settle_points(table_id, rnd, scores, float(tbl["point_value"]))
+
+
+async def _settle_pool(table_id: str, pool_limit: int) -> None:
+    """Eliminate pool players who reached the pool size; end the game when one is left."""
+    await execute(
+        """UPDATE public.rummy_table_players
+           SET disqualified = true, eliminated_at = now()
+           WHERE table_id = $1 AND disqualified IS NOT TRUE AND total_points >= $2""",
+        table_id,
+        pool_limit,
+    )
+    remaining = await fetch(
+        """SELECT user_id
+           FROM public.rummy_table_players
+           WHERE table_id = $1 AND is_spectator = false AND disqualified IS NOT TRUE""",
+        table_id,
+    )
+    if len(remaining) <= 1:
+        await execute(
+            "UPDATE public.rummy_tables SET status = 'finished', winner_user_id = $2, updated_at = now() WHERE id = $1",
+            table_id,
+            remaining[0]["user_id"] if remaining else None,
+        )
+
+
+async def _settle_deal(table_id: str, rnd, scores: dict, deal_count: int) -> None:
+    """Pay the deal winner in chips and finish the table after the last deal.
+
+    Each loser pays chips equal to their points, capped at the chips they
+    still hold. A drawn deal (no winner) moves no chips.
+    """
+    transfers: dict = {}
+    winner = rnd["winner_user_id"]
+    if winner:
+        rows = await fetch(
+            "SELECT user_id, chips FROM public.rummy_table_players WHERE table_id = $1",
+            table_id,
+        )
+        chips = {r["user_id"]: int(r["chips"] or 0) for r in rows}
+        for uid, points in scores.items():
+            if uid == winner:
+                continue
+            amount = min(int(points), chips.get(uid, 0))
+            if amount > 0:
+                transfers[uid] = -amount
+                transfers[winner] = transfers.get(winner, 0) + amount
+        for uid, delta in transfers.items():
+            await execute(
+                "UPDATE public.rummy_table_players SET chips = chips + $1 WHERE table_id = $2 AND user_id = $3",
+                delta,
+                table_id,
+                uid,
+            )
+    await execute(
+        "UPDATE public.rummy_rounds SET chip_transfers = $1::jsonb, version = version + 1 WHERE id = $2",
+        json.dumps(transfers),
+        rnd["id"],
+    )
+
+    if rnd["number"] >= deal_count:
+        standings = await fetch(
+            """SELECT user_id, chips
+               FROM public.rummy_table_players
+               WHERE table_id = $1 AND is_spectator = false
+               ORDER BY chips DESC
+               LIMIT 2""",
+            table_id,
+        )
+        # A tie for the chip lead leaves the table without a single winner
+        leader = None
+        if standings and (len(standings) == 1 or standings[0]["chips"] > standings[1]["chips"]):
+            leader = standings[0]["user_id"]
+        await execute(
+            "UPDATE public.rummy_tables SET status = 'finished', winner_user_id = $2, updated_at = now() WHERE id = $1",
+            table_id,
+            leader,
+        )
+
+
+async def _settle_points(table_id: str, rnd, scores: dict, point_value: float) -> None:
+    """Record what each loser owes the round winner at the table's point value.
+
+    One ledger row per transfer; a round without a winner settles nothing.
+    """
+    winner = rnd["winner_user_id"]
+    if not winner:
+        return
+    rows = [
+        (table_id, rnd["id"], rnd["number"], uid, winner, int(points), round(int(points) * point_value, 2))
+        for uid, points in scores.items()
+        if uid != winner and int(points) > 0
+    ]
+    if rows:
+        await executemany(
+            """INSERT INTO public.rummy_settlements
+                   (table_id, round_id, round_number, from_user_id, to_user_id, points, amount)
+               VALUES ($1, $2, $3, $4, $5, $6, $7)""",
+            rows,
+        )
+
+
+def _next_deal_seats(players: list, threshold: Optional[int]) -> Tuple[list, list, list]:
+    """Split seated players into (dealt, eliminated, sitting_out) for the next deal.
+
+    Players at or over `threshold` are eliminated. Players whose reconnect
+    grace ran out sit the deal out until they come back: they already paid
+    for the deal they left, and dealing them in would charge them again.
+    """
+    dealt, eliminated, sitting_out = [], [], []
+    for p in players:
+        if threshold is not None and int(p["total_points"]) >= threshold:
+            eliminated.append(p["user_id"])
+        elif p["expired"]:
+            sitting_out.append(p["user_id"])
+        else:
+            dealt.append(p["user_id"])
+    return dealt, eliminated, sitting_out
+
+
 class NextRoundRequest(BaseModel):
     table_id: str
 
@@ -1326,114 +2739,135 @@ class NextRoundResponse(BaseModel):
 
 @router.post("/round/next")
 async def start_next_round(body: NextRoundRequest, user: AuthorizedUser) -> NextRoundResponse:
-    # Host only for next-round
-    tbl = await fetchrow(
-        "SELECT id, host_user_id, status, disqualify_score FROM public.rummy_tables WHERE id = $1",
-        body.table_id,
-    )
-    if not tbl:
-        raise HTTPException(status_code=404, detail="Table not found")
-    await _assert_member(body.table_id, user.sub)
-    if tbl["host_user_id"] != user.sub:
-        raise HTTPException(status_code=403, detail="Only host can start next round")
-
-    # Check last round is finished
-    last = await fetchrow(
-        """
-        SELECT id, number, finished_at
-        FROM public.rummy_rounds
-        WHERE table_id = $1
-        ORDER BY number DESC
-        LIMIT 1
-        """,
-        body.table_id,
-    )
-    if not last or not last["finished_at"]:
-        raise HTTPException(status_code=400, detail="Last round not finished yet")
+    async with transaction():
+        # A second call waits here, then finds the round this one deals
+        await _lock_round(body.table_id)
+        # Host only for next-round
+        tbl = await fetchrow(
+            "SELECT id, host_user_id, status, disqualify_score, game_type, deal_count FROM public.rummy_tables WHERE id = $1",
+            body.table_id,
+        )
+        if not tbl:
+            raise HTTPException(status_code=404, detail="Table not found")
+        if tbl["status"] == "finished":
+            raise HTTPException(status_code=400, detail="Game is over")
+        await _assert_member(body.table_id, user.sub)
+        if tbl["host_user_id"] != user.sub:
+            raise HTTPException(status_code=403, detail="Only host can start next round")
 
-    # Disqualify any players reaching threshold
-    th = int(tbl["disqualify_score"])
-    players = await fetch(
-        "SELECT user_id, total_points FROM public.rummy_table_players WHERE table_id = $1 ORDER BY seat ASC",
-        body.table_id,
-    )
-    active_user_ids = []
-    for p in players:
-        uid = p["user_id"]
-        total = int(p["total_points"])
-        if total >= th:
+        # Check last round is finished
+        last = await fetchrow(
+            """
+            SELECT id, number, hands, active_user_id, finished_at, phase, show_deadline, points_accumulated
+            FROM public.rummy_rounds
+            WHERE table_id = $1
+            ORDER BY number DESC
+            LIMIT 1
+            """,
+            body.table_id,
+        )
+        if not last:
+            raise GameError(404, round_phase.NO_ACTIVE_ROUND, "No active round")
+        # A round still scoring is settled just below
+        if _phase_of(last) not in (round_phase.SCORING, round_phase.FINISHED):
+            raise GameError(409, round_phase.ROUND_NOT_FINISHED, "Last round not finished yet")
+        if tbl["game_type"] == "deals" and int(last["number"]) >= tbl["deal_count"]:
+            raise HTTPException(status_code=400, detail="All deals have been played")
+        await _settle_round(body.table_id, last["id"])
+
+        # Disqualify any players reaching threshold (deals and points games never eliminate)
+        th = int(tbl["disqualify_score"]) if tbl["game_type"] not in ("deals", "points") else None
+        players = await fetch(
+            """SELECT tp.user_id, tp.total_points,
+                      tp.disconnected_at + make_interval(secs => t.reconnect_grace_seconds) <= now() AS expired
+               FROM public.rummy_table_players tp
+               JOIN public.rummy_tables t ON t.id = tp.table_id
+               WHERE tp.table_id = $1 AND tp.is_spectator = false
+               ORDER BY tp.seat ASC""",
+            body.table_id,
+        )
+        active_user_ids, eliminated, sitting_out = _next_deal_seats(players, th)
+        for uid in eliminated:
             await execute(
                 "UPDATE public.rummy_table_players SET disqualified = true, eliminated_at = now() WHERE table_id = $1 AND user_id = $2",
                 body.table_id,
                 uid,
             )
-        else:
-            active_user_ids.append(uid)
 
-    if len(active_user_ids) < 2:
-        # End table
-        await execute("UPDATE public.rummy_tables SET status = 'finished', updated_at = now() WHERE id = $1", body.table_id)
-        raise HTTPException(status_code=400, detail="Not enough players for next round; table finished")
+        if len(active_user_ids) < 2 and sitting_out:
+            raise HTTPException(status_code=409, detail="Waiting for disconnected players to come back")
+        if len(active_user_ids) < 2:
+            # End table, committed before the error below
+            await execute("UPDATE public.rummy_tables SET status = 'finished', updated_at = now() WHERE id = $1", body.table_id)
+        else:
+            # Fetch table settings including game mode, ace value and deck policy
+            tbl = await fetchrow(
+                """SELECT id, status, host_user_id, max_players, wild_joker_mode, ace_value, deck_count, printed_jokers_per_deck,
+                          turn_seconds, time_bank_seconds
+                   FROM public.rummy_tables WHERE id = $1""",
+                body.table_id,
+            )
 
-    # Create new round with fresh deal, rotate starting player (winner starts)
-    cfg = DeckConfig(decks=2, include_printed_jokers=True)
-    deal = deal_initial(active_user_ids, cfg, None)
+            # Create new round with fresh deal, rotate starting player (winner starts)
+            wild_joker_mode = tbl["wild_joker_mode"]
+            ace_value = tbl["ace_value"]
 
-    new_round_id = str(uuid.uuid4())
-    next_round_number = int(last["number"]) + 1
+            cfg = select_deck_config(len(active_user_ids), tbl["deck_count"], tbl["printed_jokers_per_deck"])
+            deal = deal_initial(active_user_ids, cfg, None, cut_joker=wild_joker_mode != "no_joker")
 
-    hands_serialized = {uid: [c.model_dump() for c in cards] for uid, cards in deal.hands.items()}
-    stock_serialized = [c.model_dump() for c in deal.stock]
-    discard_serialized = [c.model_dump() for c in deal.discard]
+            new_round_id = str(uuid.uuid4())
+            next_round_number = int(last["number"]) + 1
 
-    # Fetch table settings including game mode and ace value
-    tbl = await fetchrow(
-        "SELECT id, status, host_user_id, max_players, wild_joker_mode, ace_value FROM public.rummy_tables WHERE id = $1",
-        body.table_id,
-    )
+            hands_serialized = {uid: [c.model_dump() for c in cards] for uid, cards in deal.hands.items()}
+            stock_serialized = [c.model_dump() for c in deal.stock]
+            discard_serialized = [c.model_dump() for c in deal.discard]
 
-    wild_joker_mode = tbl["wild_joker_mode"]
-    ace_value = tbl["ace_value"]
-    
-    # Determine wild joker based on game mode
-    if wild_joker_mode == "no_joker":
-        wild_joker_rank = None  # No wild joker in this mode
-    else:
-        # Pick a random wild joker rank (excluding printed joker)
-        ranks = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']
-        wild_joker_rank = random.choice(ranks)
+            # The cut card picks the wild joker; none is cut in no_joker mode
+            wild_joker_rank = cut_joker_rank(deal.printed_joker) if deal.printed_joker else None
+            deadline = _turn_deadline(tbl["turn_seconds"])
 
-    await execute(
-        """
-        INSERT INTO public.rummy_rounds (
-            id, table_id, number, printed_joker, wild_joker_rank,
-            stock, discard, hands, active_user_id, game_mode, ace_value
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        """,
-        new_round_id,
-        body.table_id,
-        next_round_number,
-        None,
-        wild_joker_rank,
-        json.dumps(stock_serialized),
-        json.dumps(discard_serialized),
-        json.dumps(hands_serialized),
-        active_user_ids[0],
-        wild_joker_mode,
-        ace_value,
-    )
+            await execute(
+                """
+                INSERT INTO public.rummy_rounds (
+                    id, table_id, number, printed_joker, wild_joker_rank,
+                    stock, discard, hands, active_user_id, game_mode, ace_value, deck_config,
+                    turn_deadline, time_banks, phase
+                )
+                VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8, $9, $10, $11, $12::jsonb, $13, $14::jsonb, $15)
+                """,
+                new_round_id,
+                body.table_id,
+                next_round_number,
+                json.dumps(deal.printed_joker.model_dump()) if deal.printed_joker else None,
+                wild_joker_rank,
+                json.dumps(stock_serialized),
+                json.dumps(discard_serialized),
+                json.dumps(hands_serialized),
+                active_user_ids[0],
+                wild_joker_mode,
+                ace_value,
+                json.dumps(cfg.model_dump()),
+                deadline,
+                json.dumps({uid: tbl["time_bank_seconds"] for uid in active_user_ids}),
+                check_transition(round_phase.DEALING, round_phase.DRAWING),
+            )
 
-    await execute(
-        "UPDATE public.rummy_tables SET status = 'playing', updated_at = now() WHERE id = $1",
-        body.table_id,
-    )
+            await execute(
+                "UPDATE public.rummy_tables SET status = 'playing', updated_at = now() WHERE id = $1",
+                body.table_id,
+            )
 
-    return NextRoundResponse(
-        table_id=body.table_id,
-        number=next_round_number,
-        active_user_id=active_user_ids[0],
-    )
+            table_events.publish(body.table_id, table_events.ROUND_STARTED, {
+                "round_number": next_round_number,
+                "active_user_id": active_user_ids[0],
+                "turn_deadline": deadline.isoformat() if deadline else None,
+            })
+            return NextRoundResponse(
+                table_id=body.table_id,
+                number=next_round_number,
+                active_user_id=active_user_ids[0],
+            )
+    raise HTTPException(status_code=400, detail="Not enough players for next round; table finished")
 
 @router.get("/round/history")
 async def get_round_history(table_id: str, user: AuthorizedUser):
@@ -1459,6 +2893,8 @@ async def get_round_history(table_id: str, user: AuthorizedUser):
             r.number AS round_number,
             r.winner_user_id,
             r.scores,
+            r.drops,
+            r.finished_at,
             COALESCE(
                 json_object_agg(
                     p.user_id, 
@@ -1471,7 +2907,7 @@ async def get_round_history(table_id: str, user: AuthorizedUser):
         FROM public.rummy_rounds r
         LEFT JOIN player_names p ON true
         WHERE r.table_id = $1 AND r.finished_at IS NOT NULL
-        GROUP BY r.id, r.number, r.winner_user_id, r.scores
+        GROUP BY r.id, r.number, r.winner_user_id, r.scores, r.drops, r.finished_at
         ORDER BY r.number ASC
         """,
         table_id,
@@ -1490,11 +2926,13 @@ async def get_round_history(table_id: str, user: AuthorizedUser):
     for row in rows:
         player_names = json.loads(row["player_names_map"])
         scores_dict = row["scores"] or {}
+        drops = _parse_drops(row["drops"])
         players_list = [
             {
                 "user_id": user_id,
                 "player_name": player_names.get(user_id, "Player"),
-                "score": score
+                "score": score,
+                "drop_type": drops[user_id]["type"] if user_id in drops else None,
             }
             for user_id, score in scores_dict.items()
         ]
@@ -1504,12 +2942,84 @@ async def get_round_history(table_id: str, user: AuthorizedUser):
         round_history.append({
             "round_number": row["round_number"],
             "winner_user_id": row["winner_user_id"],
-            "players": players_list
+            "winner_name": player_names.get(row["winner_user_id"]) if row["winner_user_id"] else None,
+            "completed_at": row["finished_at"].isoformat() if row["finished_at"] else None,
+            "scores": scores_dict,
+            "players": players_list,
+            "drops": [
+                {
+                    "user_id": user_id,
+                    "player_name": player_names.get(user_id, "Player"),
+                    "drop_type": d["type"],
+                    "points": d["points"],
+                }
+                for user_id, d in drops.items()
+            ],
         })
     
     return {"rounds": round_history}
 
 
+# ===== SETTLEMENT LEDGER (Points Rummy) =====
+
+class SettlementEntry(BaseModel):
+    round_number: int
+    from_user_id: str
+    to_user_id: str
+    points: int
+    amount: float
+
+
+class SettlementLedgerResponse(BaseModel):
+    table_id: str
+    point_value: Optional[float] = None
+    entries: List[SettlementEntry]
+    balances: dict[str, float]  # user_id -> net chips won (+) or lost (-)
+
+
+@router.get("/tables/settlements")
+async def get_settlement_ledger(table_id: str, user: AuthorizedUser) -> SettlementLedgerResponse:
+    """Every chip transfer recorded for a points table, oldest first."""
+    tbl = await fetchrow(
+        "SELECT id, game_type, point_value FROM public.rummy_tables WHERE id = $1",
+        table_id,
+    )
+    if not tbl:
+        raise HTTPException(status_code=404, detail="Table not found")
+    await _assert_member(table_id, user.sub)
+
+    rows = await fetch(
+        """
+        SELECT round_number, from_user_id, to_user_id, points, amount
+        FROM public.rummy_settlements
+        WHERE table_id = $1
+        ORDER BY round_number ASC, created_at ASC
+        """,
+        table_id,
+    )
+    entries = [
+        SettlementEntry(
+            round_number=r["round_number"],
+            from_user_id=r["from_user_id"],
+            to_user_id=r["to_user_id"],
+            points=r["points"],
+            amount=float(r["amount"]),
+        )
+        for r in rows
+    ]
+    balances: dict = {}
+    for e in entries:
+        balances[e.from_user_id] = round(balances.get(e.from_user_id, 0) - e.amount, 2)
+        balances[e.to_user_id] = round(balances.get(e.to_user_id, 0) + e.amount, 2)
+
+    return SettlementLedgerResponse(
+        table_id=table_id,
+        point_value=float(tbl["point_value"]) if tbl["point_value"] is not None else None,
+        entries=entries,
+        balances=balances,
+    )
+
+
 # ===== DROP ENDPOINT =====
 
 class DropRequest(BaseModel):
@@ -1518,45 +3028,246 @@ class DropRequest(BaseModel):
 class DropResponse(BaseModel):
     success: bool
     penalty_points: int
+    drop_type: str = "first"  # "first" or "middle"
+
+# Drop type -> key in the table's penalty config
+DROP_PENALTY_KEYS = {"first": "first_drop", "middle": "middle_drop"}
+
+def _drop_charge(uid: str, drawn: list, penalties: dict) -> Tuple[str, int]:
+    """(drop_type, penalty) for `uid` leaving the deal: a middle drop once they have drawn."""
+    drop_type = "middle" if uid in drawn else "first"
+    return drop_type, penalties[DROP_PENALTY_KEYS[drop_type]]
+
+async def _drop_from_deal(table_id: str, rnd: dict, uid: str, penalties: dict, turn_seconds: int) -> Tuple[str, int]:
+    """Take `uid` out of the current deal and charge the drop penalty.
+
+    `rnd` holds the round's id, number, phase, version and active_user_id plus its
+    parsed hands, drops, drawn user ids and seat order. The caller holds the
+    round lock. Used by POST /game/drop, by the
+    turn timer and when a reconnect grace runs out. Returns (drop_type, penalty).
+    """
+    hands = rnd["hands"]
+    drops = rnd["drops"]
+    drop_type, penalty = _drop_charge(uid, rnd["drawn"], penalties)
+    drops[uid] = {"type": drop_type, "points": penalty}
+    # The dropped hand, including any card drawn this turn, leaves play
+    del hands[uid]
+
+    active_user_id = rnd["active_user_id"]
+    deadline = None
+    phase = rnd["phase"]
+    if active_user_id == uid:
+        active_user_id = _next_player(rnd["order"], hands, uid)
+        deadline = _turn_deadline(turn_seconds)
+        phase = check_transition(phase, round_phase.DRAWING)
+
+    if len(hands) == 1:
+        # Everyone else dropped: the last player wins the deal
+        winner = next(iter(hands))
+        written = await execute(
+            """UPDATE public.rummy_rounds
+               SET hands = $1::jsonb, drops = $2::jsonb, scores = $3::jsonb, winner_user_id = $4,
+                   active_user_id = $4, turn_deadline = NULL, finished_at = now(), phase = $6,
+                   version = version + 1, updated_at = now()
+               WHERE id = $5 AND version = $7""",
+            json.dumps(hands),
+            json.dumps(drops),
+            json.dumps({winner: 0, **_drop_scores(drops)}),
+            winner,
+            rnd["id"],
+            check_transition(rnd["phase"], round_phase.SCORING),
+            rnd["version"],
+        )
+        _require_written(written)
+        table_events.publish(table_id, table_events.PLAYER_DROPPED, {
+            "user_id": uid, "drop_type": drop_type, "penalty": penalty,
+        })
+        await _settle_round(table_id, rnd["id"])
+    else:
+        written = await execute(
+            """UPDATE public.rummy_rounds
+               SET hands = $1::jsonb, drops = $2::jsonb, active_user_id = $3,
+                   turn_deadline = COALESCE($5, turn_deadline), phase = $6, version = version + 1, updated_at = now()
+               WHERE id = $4 AND version = $7""",
+            json.dumps(hands),
+            json.dumps(drops),
+            active_user_id,
+            rnd["id"],
+            deadline,
+            phase,
+            rnd["version"],
+        )
+        _require_written(written)
+        table_events.publish(table_id, table_events.PLAYER_DROPPED, {
+            "user_id": uid, "drop_type": drop_type, "penalty": penalty,
+        })
+        if deadline:
+            _publish_turn(table_id, rnd["number"], uid, None, active_user_id, deadline)
+    return drop_type, penalty
+
 
 @router.post("/game/drop")
-async def drop_game(body: DropRequest, user: AuthorizedUser) -> DropResponse:
-    """Player drops before first draw (20pt penalty, 2+ players)."""
-    result = await fetchrow(
-        """WITH round_data AS (
-               SELECT id, hands, active_user_id
-               FROM public.rummy_rounds
-               WHERE table_id = $1
-               ORDER BY number DESC LIMIT 1
-           ),
-           player_count AS (
-               SELECT COUNT(*) as cnt
-               FROM public.rummy_table_players
-               WHERE table_id = $1 AND is_spectator = false
-           )
-           SELECT r.id, r.hands, r.active_user_id, p.cnt as player_count
-           FROM round_data r, player_count p""",
-        body.table_id
-    )
-    
-    if not result:
-        raise HTTPException(status_code=404, detail="No active round")
-    if result["player_count"] < 2:
-        raise HTTPException(status_code=400, detail="Need 2+ players to drop")
+async def drop_game(
+    body: DropRequest,
+    user: AuthorizedUser,
+    idempotency_key: Optional[str] = Header(default=None, alias="Idempotency-Key"),
+) -> DropResponse:
+    """Player drops out of the current deal.
+
+    Only the player to move can drop, and only before drawing. Dropping before
+    your first draw is a first drop and any later turn is a middle drop. The
+    penalty is the player's score for the deal; they are dealt back in next
+    round.
+    """
+    return await _idempotent(body.table_id, user.sub, idempotency_key, "drop_game", DropResponse, lambda: _drop_game(body, user))
+
+
+async def _drop_game(body: DropRequest, user: AuthorizedUser) -> DropResponse:
+    async with transaction():
+        await _enforce_deadlines(body.table_id)
+        locked = await _lock_round(body.table_id)
+        result = await fetchrow(
+            """WITH table_data AS (
+                   SELECT game_type, pool_limit, first_drop_penalty, middle_drop_penalty, full_count_penalty, turn_seconds
+                   FROM public.rummy_tables
+                   WHERE id = $1
+               ),
+               round_data AS (
+                   SELECT id, number, hands, active_user_id, finished_at, drops, drawn_user_ids, show_deadline, phase, points_accumulated
+                   FROM public.rummy_rounds
+                   WHERE table_id = $1
+                   ORDER BY number DESC LIMIT 1
+               ),
+               seat_order AS (
+                   SELECT user_id, seat
+                   FROM public.rummy_table_players
+                   WHERE table_id = $1 AND is_spectator = false
+               )
+               SELECT r.id, r.number, r.hands, r.active_user_id, r.finished_at, r.drops, r.drawn_user_ids, r.show_deadline,
+                      r.phase, r.points_accumulated, t.game_type, t.pool_limit, t.first_drop_penalty, t.middle_drop_penalty, t.full_count_penalty,
+                      t.turn_seconds, json_agg(s.user_id ORDER BY s.seat) AS user_order
+               FROM round_data r
+               CROSS JOIN table_data t
+               LEFT JOIN seat_order s ON true
+               GROUP BY r.id, r.number, r.hands, r.active_user_id, r.finished_at, r.drops, r.drawn_user_ids, r.show_deadline,
+                        r.phase, r.points_accumulated, t.game_type, t.pool_limit, t.first_drop_penalty, t.middle_drop_penalty, t.full_count_penalty,
+                        t.turn_seconds""",
+            body.table_id
+        )
     
-    hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
-    my_hand = hands.get(user.sub)
-    if not my_hand or len(my_hand) != 13:
-        raise HTTPException(status_code=400, detail="Can only drop before drawing first card")
+        if not result:
+            raise GameError(404, round_phase.NO_ACTIVE_ROUND, "No active round")
+        await _assert_member(body.table_id, user.sub)
     
-    await execute(
-        """UPDATE public.rummy_table_players 
-           SET is_spectator = true, total_points = total_points + 20, eliminated_at = now()
-           WHERE table_id = $1 AND user_id = $2""",
-        body.table_id, user.sub
-    )
+        hands = json.loads(result["hands"]) if isinstance(result["hands"], str) else result["hands"]
+        phase = _phase_of(result, hands)
+        if phase == round_phase.SHOWING:
+            raise GameError(409, round_phase.SHOW_IN_PROGRESS, "Someone has declared - show your cards instead")
+        require_phase(phase, round_phase.DRAWING, round_phase.DISCARDING)
+        drops = _parse_drops(result["drops"])
+        drawn = json.loads(result["drawn_user_ids"]) if isinstance(result["drawn_user_ids"], str) else (result["drawn_user_ids"] or [])
+        order = json.loads(result["user_order"]) if isinstance(result["user_order"], str) else result["user_order"]
+
+        if user.sub not in hands:
+            raise HTTPException(status_code=400, detail="You are not playing this deal")
+        if len(hands) < 2:
+            raise HTTPException(status_code=400, detail="Need 2+ players to drop")
+        if result["active_user_id"] != user.sub:
+            raise GameError(403, round_phase.NOT_YOUR_TURN, "You can only drop on your turn")
+        if phase != round_phase.DRAWING:
+            raise GameError(409, round_phase.ALREADY_DRAWN, "You can only drop before drawing")
+
+        penalties = _drop_penalties(
+            result["game_type"], result["pool_limit"],
+            result["first_drop_penalty"], result["middle_drop_penalty"], result["full_count_penalty"],
+        )
+        drop_type, penalty = await _drop_from_deal(
+            body.table_id,
+            {
+                "id": result["id"],
+                "number": result["number"],
+                "phase": phase,
+                "version": locked["version"],
+                "active_user_id": result["active_user_id"],
+                "hands": hands,
+                "drops": drops,
+                "drawn": drawn,
+                "order": order,
+            },
+            user.sub,
+            penalties,
+            result["turn_seconds"],
+        )
     
-    return DropResponse(success=True, penalty_points=20)
+        return DropResponse(success=True, penalty_points=penalty, drop_type=drop_type)
+
+
+# ===== POOL REJOIN =====
+
+class RejoinRequest(BaseModel):
+    table_id: str
+
+class RejoinResponse(BaseModel):
+    table_id: str
+    total_points: int
+    rejoins: int
+
+@router.post("/game/rejoin")
+async def rejoin_pool(body: RejoinRequest, user: AuthorizedUser) -> RejoinResponse:
+    """Buy an eliminated player back into a pool game between deals.
+
+    The player re-enters at the highest remaining score plus one.
+    """
+    async with transaction():
+        await _lock_round(body.table_id)
+        tbl = await fetchrow(
+            "SELECT id, status, game_type, pool_limit FROM public.rummy_tables WHERE id = $1",
+            body.table_id,
+        )
+        if not tbl:
+            raise HTTPException(status_code=404, detail="Table not found")
+        if tbl["game_type"] != "pool":
+            raise HTTPException(status_code=400, detail="Rejoining is only available in pool games")
+        if tbl["status"] != "playing":
+            raise HTTPException(status_code=400, detail="Game not in playing state")
+        await _assert_member(body.table_id, user.sub)
+
+        last = await fetchrow(
+            "SELECT finished_at FROM public.rummy_rounds WHERE table_id = $1 ORDER BY number DESC LIMIT 1",
+            body.table_id,
+        )
+        if last and not last["finished_at"]:
+            raise HTTPException(status_code=400, detail="You can only rejoin between deals")
+
+        players = await fetch(
+            """SELECT user_id, total_points, disqualified
+               FROM public.rummy_table_players
+               WHERE table_id = $1 AND is_spectator = false""",
+            body.table_id,
+        )
+        me = next((p for p in players if p["user_id"] == user.sub), None)
+        if not me or not me["disqualified"]:
+            raise HTTPException(status_code=400, detail="Only eliminated players can rejoin")
+
+        rejoin_score = _pool_rejoin_score(tbl["pool_limit"], [dict(p) for p in players])
+        if rejoin_score is None:
+            raise HTTPException(status_code=400, detail="Rejoining is closed for this pool")
+
+        row = await fetchrow(
+            """UPDATE public.rummy_table_players
+               SET disqualified = false, eliminated_at = NULL, total_points = $3, rejoins = rejoins + 1
+               WHERE table_id = $1 AND user_id = $2
+               RETURNING total_points, rejoins""",
+            body.table_id,
+            user.sub,
+            rejoin_score,
+        )
+
+        return RejoinResponse(
+            table_id=body.table_id,
+            total_points=row["total_points"],
+            rejoins=row["rejoins"],
+        )
 
 
 # ===== SPECTATE ENDPOINTS =====
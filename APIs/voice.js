@@ -5,6 +5,7 @@ import asyncpg
 import os
 from typing import List, Optional
 from app.auth import AuthorizedUser
+from app.libs import table_events
 
 router = APIRouter()
 
@@ -37,6 +38,7 @@ async def update_voice_settings(body: VoiceSettingsRequest, user: AuthorizedUser
             body.table_id,
             user.sub
         )
+        table_events.publish(body.table_id, table_events.VOICE_UPDATED, {"user_id": user.sub})
         
         return {"success": True}
     
@@ -67,6 +69,7 @@ async def mute_player(body: MutePlayerRequest, user: AuthorizedUser):
             body.table_id,
             body.target_user_id
         )
+        table_events.publish(body.table_id, table_events.VOICE_UPDATED, {"user_id": body.target_user_id})
         
         return {"success": True}
     
@@ -94,6 +97,7 @@ async def update_table_voice_settings(body: TableVoiceSettingsRequest, user: Aut
             body.voice_enabled,
             body.table_id
         )
+        table_events.publish(body.table_id, table_events.VOICE_UPDATED, {"voice_enabled": body.voice_enabled})
         
         return {"success": True}
     
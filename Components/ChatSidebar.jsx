@@ -6,6 +6,7 @@ import { Input } from '@/components/ui/input';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { MessageCircle, X, Send, Lock, MessageSquare, ChevronRight } from 'lucide-react';
 import { toast } from 'sonner';
+import { useTableEvents } from 'utils/tableEvents';
 
 interface Props {
   tableId: string;
@@ -29,33 +30,35 @@ export default function ChatSidebar({ tableId, currentUserId, players }: Props)
     }
   }, [messages]);
 
-  // Poll for new messages every 2 seconds
-  useEffect(() => {
-    const fetchMessages = async () => {
-      if (!tableId) return;
-      try {
-        const response = await apiClient.get_messages({ table_id: tableId });
-        const data = await response.json();
-        
-        setMessages(data.messages || []);
-        
-        // Update unread count if sidebar is closed
-        if (!isOpen) {
-          const newMessages = (data.messages || []).filter((msg: ChatMessage) => 
-            msg.user_id !== currentUserId && 
-            new Date(msg.timestamp).getTime() > Date.now() - 4000 // Match polling interval
-          );
-          setUnreadCount(prev => prev + newMessages.length);
-        }
-      } catch (error) {
-        console.error('Failed to fetch chat messages:', error);
-      }
-    };
+  const fetchMessages = async () => {
+    if (!tableId) return;
+    try {
+      const response = await apiClient.get_messages({ table_id: tableId });
+      const data = await response.json();
+      setMessages(data.messages || []);
+    } catch (error) {
+      console.error('Failed to fetch chat messages:', error);
+    }
+  };
 
+  // Load the history once, then take new messages from the table event stream
+  useEffect(() => {
     fetchMessages();
-    const interval = setInterval(fetchMessages, 4000); // Increased from 2000ms to 4000ms (4 seconds)
-    return () => clearInterval(interval);
-  }, [tableId, isOpen, currentUserId]);
+  }, [tableId]);
+
+  useTableEvents(tableId, (event) => {
+    if (event.type === 'resync') {
+      fetchMessages();
+      return;
+    }
+    if (event.type !== 'chat_message') return;
+    const msg = event.message;
+    // Our own sends are already added from the send_message response
+    setMessages(prev => (prev.some(m => m.id === msg.id) ? prev : [...prev, msg]));
+    if (!isOpen && msg.user_id !== currentUserId) {
+      setUnreadCount(prev => prev + 1);
+    }
+  });
 
   // Clear unread count when sidebar opens
   useEffect(() => {
@@ -76,7 +79,7 @@ export default function ChatSidebar({ tableId, currentUserId, players }: Props)
       });
 
       const newMessage = await response.json();
-      setMessages([...messages, newMessage]);
+      setMessages(prev => (prev.some(m => m.id === newMessage.id) ? prev : [...prev, newMessage]));
       setMessageText('');
       setRecipient(null);
     } catch (error) {
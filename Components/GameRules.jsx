@@ -60,6 +60,14 @@ export const GameRules: React.FC<Props> = ({ defaultOpen = false }) => {
           </ul>
         </div>
 
+        <div>
+          <h4 className="font-medium text-foreground mb-1">Wild Joker</h4>
+          <ul className="space-y-1 text-xs text-muted-foreground">
+            <li>• After the deal one card is cut from the deck and placed face-up under the stock</li>
+            <li>• Every card of that rank is wild; if the cut card is a printed joker, Aces are wild</li>
+          </ul>
+        </div>
+
         <div>
           <h4 className="font-medium text-foreground mb-1">Turn Flow</h4>
           <ol className="space-y-1 text-xs text-muted-foreground list-decimal list-inside">
@@ -90,11 +98,40 @@ export const GameRules: React.FC<Props> = ({ defaultOpen = false }) => {
           </ul>
         </div>
 
+        <div>
+          <h4 className="font-medium text-foreground mb-1">Dropping</h4>
+          <ul className="space-y-1 text-xs text-muted-foreground">
+            <li>• First drop (before your first draw) = 20 points</li>
+            <li>• Middle drop (after your first draw) = 40 points</li>
+            <li>• You can only drop on your turn, before drawing</li>
+            <li>• Hosts can change these when creating the table</li>
+          </ul>
+        </div>
+
+        <div>
+          <h4 className="font-medium text-foreground mb-1">Turn Timer</h4>
+          <ul className="space-y-1 text-xs text-muted-foreground">
+            <li>• Each turn has a clock (30s by default), then your time bank</li>
+            <li>• When both run out your turn is played for you and your bank is spent</li>
+            <li>• Time out 3 turns in a row and you are dropped from the deal</li>
+          </ul>
+        </div>
+
         <div className="bg-amber-900/20 border border-amber-700/50 rounded p-2">
           <p className="text-xs text-amber-200">
             <strong>Disqualification:</strong> First player to reach the target score (default 200) is eliminated.
           </p>
         </div>
+
+        <div>
+          <h4 className="font-medium text-foreground mb-1">Pool Rummy (101 / 201)</h4>
+          <ul className="space-y-1 text-xs text-muted-foreground">
+            <li>• Reaching the pool size (101 or 201) eliminates you</li>
+            <li>• Drop: 20 first / 40 middle (101), 25 / 50 (201)</li>
+            <li>• Eliminated players may rejoin at the highest remaining score + 1 while rejoins are open</li>
+            <li>• The last player left wins the pool</li>
+          </ul>
+        </div>
       </div>
     </div>
   );
@@ -1,6 +1,8 @@
 import React, { useState } from "react";
-import type { RoundMeResponse } from "../apiclient/data-contracts";
+import type { CardView, GroupVerdict, RoundMeResponse } from "../apiclient/data-contracts";
 import { PlayingCard } from "./PlayingCard";
+import { createGroup, mergeGroups, moveCard, splitGroup, type HandGroup } from "utils/handArrangement";
+import { RANK_ORDER, SUIT_ORDER } from "utils/rummyRules.mjs";
 
 export interface Props {
   hand: RoundMeResponse["hand"];
@@ -8,9 +10,164 @@ export interface Props {
   selectedIndex?: number;
   highlightIndex?: number;
   onReorder?: (reorderedHand: RoundMeResponse["hand"]) => void;
+  // Free-form grouping; `hand` is then the loose cards outside every group
+  groups?: HandGroup[];
+  onGroupsChange?: (groups: HandGroup[]) => void;
+  verdicts?: Record<string, GroupVerdict>; // group id -> validation verdict
+  onLockGroup?: (group: HandGroup) => void; // lock as first pure sequence (reveals wild joker)
+  selectedCode?: string; // selected card inside a group
+  onSuggestGroups?: () => void; // replace the arrangement with the scorer's best grouping
+  suggesting?: boolean;
 }
 
-export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, highlightIndex, onReorder }) => {
+// Printed jokers sort last
+const rankIndex = (card: CardView) => (card.rank === 'JOKER' ? RANK_ORDER.length : RANK_ORDER.indexOf(card.rank));
+const suitIndex = (card: CardView) => (card.suit ? SUIT_ORDER.indexOf(card.suit) : SUIT_ORDER.length);
+
+const sortBySuit = (cards: CardView[]) =>
+  [...cards].sort((a, b) => suitIndex(a) - suitIndex(b) || rankIndex(a) - rankIndex(b));
+
+const sortByRank = (cards: CardView[]) =>
+  [...cards].sort((a, b) => rankIndex(a) - rankIndex(b) || suitIndex(a) - suitIndex(b));
+
+// Drag payload for cards moving between groups; null group = loose hand
+const setDragSource = (e: React.DragEvent, card: CardView, groupId: string | null) => {
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData('card', JSON.stringify(card));
+  e.dataTransfer.setData('groupId', groupId ?? '');
+};
+
+const readDragSource = (e: React.DragEvent): { card: CardView; groupId: string | null } | null => {
+  const cardData = e.dataTransfer.getData('card');
+  if (!cardData) return null;
+  return { card: JSON.parse(cardData), groupId: e.dataTransfer.getData('groupId') || null };
+};
+
+interface GroupRowProps {
+  group: HandGroup;
+  groups: HandGroup[];
+  onGroupsChange: (groups: HandGroup[]) => void;
+  verdict?: GroupVerdict;
+  onLockGroup?: (group: HandGroup) => void;
+  onCardClick?: (card: CardView) => void;
+  selectedCode?: string;
+}
+
+const GroupRow: React.FC<GroupRowProps> = ({ group, groups, onGroupsChange, verdict, onLockGroup, onCardClick, selectedCode }) => {
+  const [over, setOver] = useState(false);
+  const position = groups.findIndex(g => g.id === group.id);
+  const nextGroup = groups[position + 1];
+
+  const dropAt = (e: React.DragEvent, index?: number) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setOver(false);
+    const source = readDragSource(e);
+    if (!source || group.locked) return;
+    onGroupsChange(moveCard(groups, source.card, source.groupId, group.id, index));
+  };
+
+  const setLocked = (locked: boolean) =>
+    onGroupsChange(groups.map(g => (g.id === group.id ? { ...g, locked } : g)));
+
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setOver(true); }}
+      onDragLeave={() => setOver(false)}
+      onDrop={(e) => dropAt(e)}
+      className={`border border-dashed rounded p-2 transition-colors ${
+        group.locked
+          ? 'border-amber-500/50 bg-amber-900/20'
+          : verdict
+            ? verdict.valid ? 'border-green-500/60 bg-green-900/10' : 'border-red-500/60 bg-red-900/10'
+            : 'border-purple-500/30 bg-purple-900/10'
+      } ${over ? 'ring-2 ring-purple-400' : ''}`}
+    >
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <p className="text-[10px] text-purple-400">Group {position + 1} ({group.cards.length})</p>
+        <div className="flex items-center gap-1">
+          {verdict && (
+            <span
+              className={`text-[10px] px-1.5 py-0.5 rounded ${verdict.valid ? 'bg-green-900/40 text-green-300' : 'bg-red-900/40 text-red-300'}`}
+              title={verdict.reason}
+            >
+              {verdict.valid ? verdict.reason : 'Invalid'}
+            </span>
+          )}
+          {onLockGroup && !group.locked && group.cards.length >= 3 && (
+            <button
+              onClick={() => onLockGroup(group)}
+              className="text-[10px] px-2 py-0.5 bg-green-700 text-green-100 rounded hover:bg-green-600"
+              title="Lock this sequence to reveal wild joker"
+            >
+              🔒 Lock
+            </button>
+          )}
+          {nextGroup && !group.locked && !nextGroup.locked && (
+            <button
+              onClick={() => onGroupsChange(mergeGroups(groups, group.id, nextGroup.id))}
+              className="text-[10px] px-1.5 py-0.5 rounded bg-gray-500/20 text-gray-400 hover:bg-gray-500/30"
+              title="Merge with the next group"
+            >
+              Merge ↓
+            </button>
+          )}
+          <button
+            onClick={() => setLocked(!group.locked)}
+            className={`text-[10px] px-1.5 py-0.5 rounded ${
+              group.locked
+                ? 'bg-amber-500/20 text-amber-400 hover:bg-amber-500/30'
+                : 'bg-gray-500/20 text-gray-400 hover:bg-gray-500/30'
+            }`}
+            title={group.locked ? 'Click to unlock' : 'Click to lock'}
+          >
+            {group.locked ? '🔒' : '🔓'}
+          </button>
+          {!group.locked && (
+            <button
+              onClick={() => onGroupsChange(groups.filter(g => g.id !== group.id))}
+              className="text-[10px] px-1.5 py-0.5 rounded bg-red-500/20 text-red-300 hover:bg-red-500/30"
+              title="Ungroup - return these cards to your hand"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="flex items-center gap-1 flex-wrap">
+        {group.cards.map((card, i) => (
+          <React.Fragment key={`${card.code}-${i}`}>
+            {i > 0 && !group.locked && (
+              <button
+                onClick={() => onGroupsChange(splitGroup(groups, group.id, i))}
+                className="text-[10px] text-muted-foreground hover:text-purple-300 px-0.5"
+                title="Split the group here"
+              >
+                ✂
+              </button>
+            )}
+            <div
+              draggable={!group.locked}
+              onDragStart={(e) => setDragSource(e, card, group.id)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => dropAt(e, i)}
+              className="w-[60px]"
+            >
+              <PlayingCard
+                card={card}
+                onClick={onCardClick ? () => onCardClick(card) : undefined}
+                selected={selectedCode === card.code}
+              />
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, highlightIndex, onReorder, groups, onGroupsChange, verdicts, onLockGroup, selectedCode, onSuggestGroups, suggesting }) => {
+  const [newGroupOver, setNewGroupOver] = useState(false);
   const [draggedIndex, setDraggedIndex] = useState<number | null>(null);
   const [dropTargetIndex, setDropTargetIndex] = useState<number | null>(null);
   const [touchStartIndex, setTouchStartIndex] = useState<number | null>(null);
@@ -19,9 +176,7 @@ export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, h
   // Mouse/Desktop drag handlers
   const handleDragStart = (e: React.DragEvent, index: number) => {
     setDraggedIndex(index);
-    e.dataTransfer.effectAllowed = "move";
-    const card = hand[index];
-    e.dataTransfer.setData('card', JSON.stringify(card));
+    setDragSource(e, hand[index], null);
   };
 
   const handleDragOver = (e: React.DragEvent, index: number) => {
@@ -37,7 +192,12 @@ export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, h
 
   const handleDrop = (e: React.DragEvent, dropIndex: number) => {
     e.preventDefault();
-    if (draggedIndex === null || draggedIndex === dropIndex) {
+    e.stopPropagation();
+    if (draggedIndex === null) {
+      handleDropToLoose(e);
+      return;
+    }
+    if (draggedIndex === dropIndex) {
       setDraggedIndex(null);
       setDropTargetIndex(null);
       return;
@@ -55,6 +215,26 @@ export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, h
     setDropTargetIndex(null);
   };
 
+  // A grouped card dropped on the loose hand leaves its group
+  const handleDropToLoose = (e: React.DragEvent) => {
+    e.preventDefault();
+    const source = readDragSource(e);
+    if (groups && onGroupsChange && source?.groupId) {
+      onGroupsChange(moveCard(groups, source.card, source.groupId, null));
+    }
+    setDropTargetIndex(null);
+  };
+
+  const handleDropToNewGroup = (e: React.DragEvent) => {
+    e.preventDefault();
+    setNewGroupOver(false);
+    const source = readDragSource(e);
+    if (groups && onGroupsChange && source) {
+      onGroupsChange(createGroup(groups, source.card, source.groupId));
+    }
+    setDraggedIndex(null);
+  };
+
   const handleDragEnd = () => {
     setDraggedIndex(null);
     setDropTargetIndex(null);
@@ -108,7 +288,66 @@ export const HandStrip: React.FC<Props> = ({ hand, onCardClick, selectedIndex, h
 
   return (
     <div className="w-full overflow-x-auto">
-      <div className="grid grid-cols-3 sm:grid-cols-5 md:grid-cols-7 gap-2 py-4">
+      {(onReorder || onSuggestGroups) && (
+        <div className="flex flex-wrap gap-2 pb-2">
+          {onReorder && (
+            <>
+              <button
+                onClick={() => onReorder(sortBySuit(hand))}
+                className="text-xs px-2 py-1 rounded bg-gray-500/20 text-gray-300 hover:bg-gray-500/30"
+              >
+                Sort by suit
+              </button>
+              <button
+                onClick={() => onReorder(sortByRank(hand))}
+                className="text-xs px-2 py-1 rounded bg-gray-500/20 text-gray-300 hover:bg-gray-500/30"
+              >
+                Sort by rank
+              </button>
+            </>
+          )}
+          {onSuggestGroups && (
+            <button
+              onClick={onSuggestGroups}
+              disabled={suggesting}
+              className="text-xs px-2 py-1 rounded bg-purple-700/70 text-purple-100 hover:bg-purple-600 disabled:opacity-50"
+            >
+              {suggesting ? 'Thinking...' : '✨ Suggest groups'}
+            </button>
+          )}
+        </div>
+      )}
+      {groups && onGroupsChange && (
+        <div className="space-y-2 pb-2">
+          {groups.map(group => (
+            <GroupRow
+              key={group.id}
+              group={group}
+              groups={groups}
+              onGroupsChange={onGroupsChange}
+              verdict={verdicts?.[group.id]}
+              onLockGroup={onLockGroup}
+              onCardClick={onCardClick ? (card) => onCardClick(card, -1) : undefined}
+              selectedCode={selectedCode}
+            />
+          ))}
+          <div
+            onDragOver={(e) => { e.preventDefault(); setNewGroupOver(true); }}
+            onDragLeave={() => setNewGroupOver(false)}
+            onDrop={handleDropToNewGroup}
+            className={`border border-dashed rounded p-3 text-center text-xs text-muted-foreground transition-colors ${
+              newGroupOver ? 'border-purple-400 bg-purple-900/20' : 'border-border'
+            }`}
+          >
+            Drop a card here to start a new group
+          </div>
+        </div>
+      )}
+      <div
+        className="grid grid-cols-3 sm:grid-cols-5 md:grid-cols-7 gap-2 py-4 min-h-[80px]"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleDropToLoose}
+      >
         {hand.map((card, idx) => (
           <div
             key={`${card.code}-${idx}`}
@@ -1,17 +1,31 @@
 import { useState, useEffect } from 'react';
 import { apiClient } from 'app';
 import { ScrollArea } from '@/components/ui/scroll-area';
-import { Trophy, Users, Crown, XCircle } from 'lucide-react';
+import { Trophy, Users, Crown, XCircle, UserX } from 'lucide-react';
 import { toast } from 'sonner';
 
+interface DropEntry {
+  user_id: string;
+  player_name: string;
+  drop_type: 'first' | 'middle' | 'full';
+  points: number;
+}
+
 interface HistoryEntry {
   round_number: number;
   winner_user_id: string | null;
   winner_name: string | null;
-  disqualified_users: string[];
+  disqualified_users?: string[];
+  drops?: DropEntry[];
   completed_at: string;
 }
 
+const DROP_LABELS: Record<DropEntry['drop_type'], string> = {
+  first: 'First drop',
+  middle: 'Middle drop',
+  full: 'Full count',
+};
+
 interface Props {
   tableId: string;
 }
@@ -94,8 +108,25 @@ export default function HistoryTable({ tableId }: Props) {
               </div>
             )}
 
+            {/* Drops */}
+            {round.drops && round.drops.length > 0 && (
+              <div className="flex items-start gap-2 mb-2">
+                <UserX className="w-4 h-4 text-orange-400 mt-0.5" />
+                <div className="flex flex-wrap gap-1">
+                  {round.drops.map((drop) => (
+                    <span
+                      key={drop.user_id}
+                      className="text-xs bg-orange-900/30 text-orange-300 px-2 py-0.5 rounded"
+                    >
+                      {drop.player_name}: {DROP_LABELS[drop.drop_type]} ({drop.points})
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Disqualified Players */}
-            {round.disqualified_users.length > 0 && (
+            {round.disqualified_users && round.disqualified_users.length > 0 && (
               <div className="flex items-start gap-2">
                 <XCircle className="w-4 h-4 text-red-400 mt-0.5" />
                 <div className="flex-1">
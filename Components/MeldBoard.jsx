@@ -1,12 +1,13 @@
 import React, { useEffect, useState } from 'react';
 import socket from '../socket'; // your socket instance - adapt path if needed
+import { validateHand } from 'utils/rummyRules.mjs';
 
-export default function MeldBoard({ roomId, playerId }) {
+export default function MeldBoard({ roomId, playerId, rules = null, wildJokerRank = null }) {
   const [melds, setMelds] = useState([[], [], [], []]);
   const [locked, setLocked] = useState(false);
 
   useEffect(() => {
-    socket.emit('getPlayerMelds', { roomId, playerId });
+    socket.emit('getPlayerMelds', { roomId });
     socket.on('playerMelds', ({ melds: serverMelds, locked: serverLocked }) => {
       if (serverMelds) {
         setMelds(serverMelds);
@@ -22,21 +23,27 @@ export default function MeldBoard({ roomId, playerId }) {
       // could show toast for other players; no-op here
     });
 
+    socket.on('meldsRejected', ({ playerId: pid, reason }) => {
+      if (pid !== playerId) return;
+      setLocked(false);
+      alert(reason);
+    });
+
     return () => {
       socket.off('playerMelds');
       socket.off('playerMeldsUpdated');
+      socket.off('meldsRejected');
     };
   }, [roomId, playerId]);
 
   function handleLock() {
-    const sizes = melds.map(m => m.length);
-    const isShapeValid = sizes[0] === 3 && sizes[1] === 3 && sizes[2] === 3 && sizes[3] === 4;
-    if (!isShapeValid) {
-      alert('Melds should be arranged as 3,3,3,4');
+    const [valid, reason] = validateHand(melds.filter(m => m.length), wildJokerRank, true, rules);
+    if (!valid) {
+      alert(reason);
       return;
     }
     setLocked(true);
-    socket.emit('lockMelds', { roomId, playerId, melds });
+    socket.emit('lockMelds', { roomId, melds });
     try { localStorage.setItem(`melds_${roomId}_${playerId}`, JSON.stringify(melds)); } catch(e) {}
   }
 
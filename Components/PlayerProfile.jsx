@@ -1,5 +1,6 @@
 import React from 'react';
 import { User } from 'lucide-react';
+import { TurnCountdownRing } from './TurnCountdownRing';
 
 interface Props {
   position: string;
@@ -7,9 +8,21 @@ interface Props {
   profilePic?: string | null;
   isActive?: boolean;
   isCurrentUser?: boolean;
+  turnDeadline?: string | null;
+  turnSeconds?: number;
+  timeBank?: number;
 }
 
-export const PlayerProfile: React.FC<Props> = ({ position, name, profilePic, isActive = false, isCurrentUser = false }) => {
+export const PlayerProfile: React.FC<Props> = ({
+  position,
+  name,
+  profilePic,
+  isActive = false,
+  isCurrentUser = false,
+  turnDeadline,
+  turnSeconds,
+  timeBank,
+}) => {
   return (
     <div 
       className={`pointer-events-auto flex flex-col items-center gap-2 p-3 rounded-lg transition-all ${
@@ -20,7 +33,8 @@ export const PlayerProfile: React.FC<Props> = ({ position, name, profilePic, isA
           : 'bg-slate-800/80 border-2 border-slate-600/50'
       }`}
     >
-      {/* Avatar with Profile Picture */}
+      {/* Avatar with Profile Picture, ringed by the turn clock while active */}
+      <TurnCountdownRing turnDeadline={isActive ? turnDeadline : null} turnSeconds={turnSeconds} timeBank={timeBank}>
       <div className={`w-12 h-12 rounded-full flex items-center justify-center overflow-hidden ${
         isActive 
           ? 'bg-amber-400 border-2 border-white' 
@@ -36,6 +50,7 @@ export const PlayerProfile: React.FC<Props> = ({ position, name, profilePic, isA
           }`} />
         )}
       </div>
+      </TurnCountdownRing>
       
       {/* Name */}
       <div className="text-center">
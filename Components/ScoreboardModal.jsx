@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { Button } from "@/components/ui/button";
 import { Trophy, Crown } from "lucide-react";
@@ -6,6 +6,7 @@ import { PlayingCard } from "./PlayingCard";
 import type { RevealedHandsResponse } from "../apiclient/data-contracts";
 import { toast } from 'sonner';
 import apiclient from '../apiclient';
+import { gameErrorMessage } from 'utils/gameErrors';
 
 export interface Props {
   isOpen: boolean;
@@ -16,11 +17,42 @@ export interface Props {
   tableId: string;
   hostUserId: string;
   onNextRound?: () => void;
+  showDeadline?: string | null; // opponents are still grouping their cards until then
 }
 
-export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, players, currentUserId, tableId, hostUserId, onNextRound }) => {
+export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, players, currentUserId, tableId, hostUserId, onNextRound, showDeadline }) => {
   const [startingNextRound, setStartingNextRound] = useState(false);
-  
+  const [showSecondsLeft, setShowSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (!showDeadline) return;
+    const deadline = new Date(showDeadline).getTime();
+    const tick = () => setShowSecondsLeft(Math.max(0, Math.ceil((deadline - Date.now()) / 1000)));
+    tick();
+    const interval = setInterval(tick, 500);
+    return () => clearInterval(interval);
+  }, [showDeadline]);
+
+  // Scores aren't final until the show phase closes
+  if (!data && showDeadline) {
+    return (
+      <Dialog open={isOpen} onOpenChange={onClose}>
+        <DialogContent className="max-w-md bg-slate-900 border-amber-600/30">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-3 text-xl text-amber-400">
+              <Trophy className="w-6 h-6 text-yellow-400" />
+              Waiting for the show
+            </DialogTitle>
+          </DialogHeader>
+          <p className="text-slate-300 text-sm">
+            Opponents are grouping their cards. The scoreboard appears once everyone has shown
+            {showSecondsLeft > 0 ? ` or in ${showSecondsLeft}s.` : '.'}
+          </p>
+        </DialogContent>
+      </Dialog>
+    );
+  }
+
   if (!data) return null;
 
   // Sort players by score (lowest first, as lower is better)
@@ -38,6 +70,15 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
   const winnerName = sortedPlayers.find(p => p.isWinner)?.display_name || "Winner";
   const isHost = currentUserId === hostUserId;
 
+  // Deals Rummy: chip movement for this deal and, after the last deal, final standings
+  const isDeals = !!data.deal_count;
+  const isFinalDeal = isDeals && data.round_number >= (data.deal_count || 0);
+  const chipStandings = players
+    .filter(p => data.chips?.[p.user_id] !== undefined)
+    .map(p => ({ ...p, chips: data.chips[p.user_id] }))
+    .sort((a, b) => b.chips - a.chips);
+  const chipLeaders = chipStandings.filter(p => p.chips === chipStandings[0]?.chips);
+
   const handleStartNextRound = async () => {
     setStartingNextRound(true);
     try {
@@ -46,7 +87,7 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
       onClose();
       if (onNextRound) onNextRound();
     } catch (error: any) {
-      const errorMessage = error?.error?.detail || error?.message || 'Failed to start next round';
+      const errorMessage = gameErrorMessage(error, 'Failed to start next round');
       toast.error(errorMessage);
     } finally {
       setStartingNextRound(false);
@@ -59,7 +100,7 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
         <DialogHeader>
           <DialogTitle className="flex items-center gap-3 text-2xl text-amber-400">
             <Trophy className="w-8 h-8 text-yellow-400" />
-            Round {data.round_number} Complete!
+            {isDeals ? `Deal ${data.round_number} of ${data.deal_count} Complete!` : `Round ${data.round_number} Complete!`}
           </DialogTitle>
         </DialogHeader>
 
@@ -72,6 +113,25 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
             </div>
           </div>
 
+          {/* Final deal summary */}
+          {isFinalDeal && chipStandings.length > 0 && (
+            <div className="bg-slate-800/70 border border-amber-600/40 rounded-lg p-4">
+              <div className="text-lg font-bold text-amber-300 mb-3 text-center">
+                {chipLeaders.length === 1
+                  ? `🏆 ${chipLeaders[0].display_name || 'Player'} wins the game with ${chipLeaders[0].chips} chips!`
+                  : `🤝 Tie for the chip lead at ${chipLeaders[0].chips} chips`}
+              </div>
+              <div className="space-y-1">
+                {chipStandings.map((p, idx) => (
+                  <div key={p.user_id} className="flex justify-between text-sm text-slate-200">
+                    <span>{idx + 1}. {p.display_name || `Player ${p.user_id.slice(0, 8)}`}</span>
+                    <span className="font-semibold text-yellow-300">🪙 {p.chips}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Players list */}
           <div className="space-y-4">
             {sortedPlayers.map((player, idx) => (
@@ -93,8 +153,15 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
                       <span className="text-xs bg-blue-600/30 text-blue-300 px-2 py-1 rounded">You</span>
                     )}
                   </div>
-                  <div className="text-xl font-bold text-amber-400">
-                    {player.score} pts
+                  <div className="text-right">
+                    <div className="text-xl font-bold text-amber-400">
+                      {player.score} pts
+                    </div>
+                    {isDeals && data.chip_transfers?.[player.user_id] !== undefined && (
+                      <div className={`text-sm font-semibold ${data.chip_transfers[player.user_id] > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        {data.chip_transfers[player.user_id] > 0 ? '+' : ''}{data.chip_transfers[player.user_id]} chips
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -228,7 +295,7 @@ export const ScoreboardModal: React.FC<Props> = ({ isOpen, onClose, data, player
           </div>
 
           <div className="flex gap-3 justify-end">
-            {isHost && (
+            {isHost && !data.game_over && (
               <Button 
                 onClick={handleStartNextRound} 
                 disabled={startingNextRound}
@@ -1,14 +1,18 @@
 import React from "react";
 import type { PlayerInfo } from "../apiclient/data-contracts";
 import { User2 } from "lucide-react";
+import { TurnCountdownRing } from "./TurnCountdownRing";
 
 export interface Props {
   players: PlayerInfo[];
   activeUserId?: string | null;
   currentUserId?: string;
+  turnDeadline?: string | null;
+  turnSeconds?: number;
+  timeBank?: number;
 }
 
-export const TableDiagram: React.FC<Props> = ({ players, activeUserId, currentUserId }) => {
+export const TableDiagram: React.FC<Props> = ({ players, activeUserId, currentUserId, turnDeadline, turnSeconds, timeBank }) => {
   // Position players around the table perimeter in a circular pattern
   const getSeatPosition = (seat: number, totalSeats: number) => {
     // Calculate angle for circular positioning
@@ -54,6 +58,7 @@ export const TableDiagram: React.FC<Props> = ({ players, activeUserId, currentUs
                   : ""
               }
             `}>
+              <TurnCountdownRing turnDeadline={isActive ? turnDeadline : null} turnSeconds={turnSeconds} timeBank={timeBank} size={72}>
               <div className={`
                 w-14 h-14 rounded-full flex items-center justify-center border-2 overflow-hidden
                 ${
@@ -72,6 +77,7 @@ export const TableDiagram: React.FC<Props> = ({ players, activeUserId, currentUs
                   <User2 className="w-7 h-7 text-white" />
                 )}
               </div>
+              </TurnCountdownRing>
               <div className="text-center">
                 <div className="text-sm font-bold text-white truncate max-w-[80px] drop-shadow">
                   {isCurrent ? "You" : player.display_name?.slice(0, 10) || `Player ${player.seat}`}
@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+
+interface Props {
+  turnDeadline?: string | null;
+  turnSeconds?: number;
+  timeBank?: number;
+  size?: number;
+  children: React.ReactNode;
+}
+
+/**
+ * Countdown ring drawn around the active player's avatar. Turns red once the
+ * turn clock has run out and the player is spending their time bank.
+ */
+export const TurnCountdownRing: React.FC<Props> = ({ turnDeadline, turnSeconds = 0, timeBank = 0, size = 64, children }) => {
+  // Seconds left on the turn clock; negative once the player is into their time bank
+  const [secondsLeft, setSecondsLeft] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (!turnDeadline) {
+      setSecondsLeft(null);
+      return;
+    }
+    const deadline = new Date(turnDeadline).getTime();
+    const tick = () => setSecondsLeft(Math.ceil((deadline - Date.now()) / 1000));
+    tick();
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [turnDeadline]);
+
+  if (secondsLeft === null) {
+    return <>{children}</>;
+  }
+
+  const onBank = secondsLeft <= 0;
+  const remaining = onBank ? Math.max(0, timeBank + secondsLeft) : secondsLeft;
+  const total = onBank ? timeBank : turnSeconds;
+  const fraction = total > 0 ? Math.min(1, remaining / total) : 0;
+  const radius = size / 2 - 4;
+  const circumference = 2 * Math.PI * radius;
+
+  return (
+    <div className="flex flex-col items-center gap-1">
+      <div className="relative flex items-center justify-center" style={{ width: size, height: size }}>
+        <svg className="absolute inset-0 -rotate-90" width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+          <circle cx={size / 2} cy={size / 2} r={radius} fill="none" stroke="rgba(255,255,255,0.2)" strokeWidth="4" />
+          <circle
+            cx={size / 2}
+            cy={size / 2}
+            r={radius}
+            fill="none"
+            stroke={onBank ? '#ef4444' : fraction < 0.34 ? '#f97316' : '#22c55e'}
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeDasharray={circumference}
+            strokeDashoffset={circumference * (1 - fraction)}
+            className="transition-[stroke-dashoffset] duration-200"
+          />
+        </svg>
+        {children}
+      </div>
+      <p className={`text-[10px] font-mono font-bold ${onBank ? 'text-red-200' : 'text-white'}`}>
+        {onBank ? `Time bank ${remaining}s` : `${remaining}s`}
+      </p>
+    </div>
+  );
+};
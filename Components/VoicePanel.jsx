@@ -4,6 +4,7 @@ import { Button } from '@/components/ui/button';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Phone, PhoneOff, Mic, MicOff, Volume2, X, Users, ChevronRight } from 'lucide-react';
 import { toast } from 'sonner';
+import { useTableEvents } from 'utils/tableEvents';
 
 interface Participant {
   user_id: string;
@@ -25,25 +26,29 @@ export default function VoicePanel({ tableId, currentUserId, isHost, players }:
   const [participants, setParticipants] = useState<Participant[]>([]);
   const [myMuted, setMyMuted] = useState(false);
 
-  // Poll for voice participants every 2 seconds when in call
+  const fetchParticipants = async () => {
+    try {
+      const res = await apiClient.get_voice_participants({ table_id: tableId });
+      const data = await res.json();
+      setParticipants(data.participants || []);
+    } catch (error) {
+      console.error('Failed to fetch voice participants:', error);
+    }
+  };
+
+  // Load participants on joining the call, then again whenever the table reports a change
   useEffect(() => {
     if (!inCall) return;
-
-    const fetchParticipants = async () => {
-      try {
-        const res = await apiClient.get_voice_participants({ table_id: tableId });
-        const data = await res.json();
-        setParticipants(data.participants || []);
-      } catch (error) {
-        console.error('Failed to fetch voice participants:', error);
-      }
-    };
-
     fetchParticipants();
-    const interval = setInterval(fetchParticipants, 2000);
-    return () => clearInterval(interval);
   }, [tableId, inCall]);
 
+  useTableEvents(tableId, (event) => {
+    if (!inCall) return;
+    if (['voice_updated', 'player_joined', 'player_left', 'resync'].includes(event.type)) {
+      fetchParticipants();
+    }
+  });
+
   const toggleCall = () => {
     setInCall(!inCall);
     if (!inCall) {
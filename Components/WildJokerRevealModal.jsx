@@ -1,13 +1,15 @@
 import React, { useEffect, useState } from "react";
 import { Dialog, DialogContent } from "@/components/ui/dialog";
+import type { CardView } from "../apiclient/data-contracts";
 
 interface Props {
   isOpen: boolean;
   onClose: () => void;
   wildJokerRank: string;
+  cutCard?: CardView | null; // the card cut from the deck, shown face-up
 }
 
-export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJokerRank }) => {
+export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJokerRank, cutCard }) => {
   const [isFlipping, setIsFlipping] = useState(false);
 
   // Start flip animation shortly after modal opens
@@ -35,7 +37,12 @@ export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJok
     return { rank, suitSymbol: "♠", suitColor: "text-gray-900" };
   };
 
-  const { rank, suitSymbol, suitColor } = formatCardDisplay(wildJokerRank);
+  // Show the physical cut card when we have it; a cut printed joker makes Aces wild
+  const cutIsPrintedJoker = cutCard?.rank === "JOKER";
+  const { rank: cutRank, suitSymbol, suitColor } = cutIsPrintedJoker
+    ? { rank: "🃏", suitSymbol: "JOKER", suitColor: "text-purple-700" }
+    : formatCardDisplay(cutCard ? cutCard.code : wildJokerRank);
+  const rank = wildJokerRank;
 
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
@@ -58,7 +65,7 @@ export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJok
                 <div className="flip-card-front">
                   <div className="w-32 h-48 bg-white rounded-lg border-2 border-gray-800 flex flex-col items-center justify-center gap-2 shadow-2xl">
                     <div className={`text-6xl font-bold ${suitColor}`}>
-                      {rank}
+                      {cutRank}
                     </div>
                     <div className={`text-5xl ${suitColor}`}>
                       {suitSymbol}
@@ -72,6 +79,11 @@ export const WildJokerRevealModal: React.FC<Props> = ({ isOpen, onClose, wildJok
           <p className="text-center text-green-300 text-lg">
             All <span className="font-bold text-yellow-400">{rank}</span> cards are now wild jokers!
           </p>
+          {cutIsPrintedJoker && (
+            <p className="text-center text-green-400 text-sm -mt-4">
+              A printed joker was cut, so Aces are wild
+            </p>
+          )}
 
           <button
             onClick={onClose}
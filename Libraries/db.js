@@ -3,9 +3,15 @@
 
 import os
 import asyncpg
-from typing import Optional
+from contextlib import asynccontextmanager
+from contextvars import ContextVar
+from typing import Callable, List, Optional
 
 _pool: Optional[asyncpg.Pool] = None
+# Connection of the transaction open in the current task, if any
+_tx_conn: ContextVar[Optional[asyncpg.Connection]] = ContextVar("_tx_conn", default=None)
+# Callbacks waiting for that transaction to commit
+_tx_callbacks: ContextVar[Optional[List[Callable[[], None]]]] = ContextVar("_tx_callbacks", default=None)
 
 
 async def get_pool() -> asyncpg.Pool:
@@ -24,25 +30,71 @@ async def get_pool() -> asyncpg.Pool:
     return _pool
 
 
-async def fetchrow(query: str, *args):
+@asynccontextmanager
+async def _connection():
+    """The current transaction's connection, or a pooled one for a single query."""
+    conn = _tx_conn.get()
+    if conn is not None:
+        yield conn
+        return
     pool = await get_pool()
     async with pool.acquire() as conn:
-        return await conn.fetchrow(query, *args)
+        yield conn
 
 
-async def fetch(query: str, *args):
+@asynccontextmanager
+async def transaction():
+    """Run every helper call inside the block in one database transaction.
+
+    fetchrow/fetch/execute/executemany pick up the open transaction on their
+    own, so callers don't pass a connection around. Nested blocks join the
+    outer transaction. Leaving the block with an exception rolls it back.
+    """
+    if _tx_conn.get() is not None:
+        yield
+        return
     pool = await get_pool()
+    callbacks: List[Callable[[], None]] = []
     async with pool.acquire() as conn:
+        async with conn.transaction():
+            token = _tx_conn.set(conn)
+            callbacks_token = _tx_callbacks.set(callbacks)
+            try:
+                yield
+            finally:
+                _tx_callbacks.reset(callbacks_token)
+                _tx_conn.reset(token)
+    for callback in callbacks:
+        callback()
+
+
+def on_commit(callback: Callable[[], None]) -> None:
+    """Call `callback()` once the open transaction commits, or right away outside one.
+
+    Callbacks of a rolled back transaction are dropped.
+    """
+    callbacks = _tx_callbacks.get()
+    if callbacks is None:
+        callback()
+    else:
+        callbacks.append(callback)
+
+
+async def fetchrow(query: str, *args):
+    async with _connection() as conn:
+        return await conn.fetchrow(query, *args)
+
+
+async def fetch(query: str, *args):
+    async with _connection() as conn:
         return await conn.fetch(query, *args)
 
 
 async def execute(query: str, *args) -> str:
-    pool = await get_pool()
-    async with pool.acquire() as conn:
+    async with _connection() as conn:
         return await conn.execute(query, *args)
 
 
 async def executemany(query: str, args_list):
-    pool = await get_pool()
-    async with pool.acquire() as conn:
+    async with _connection() as conn:
         return await conn.executemany(query, args_list)
@@ -0,0 +1,57 @@
+# Seat presence for players who lose their connection mid-game
+# A seated player whose last event stream closes is marked disconnected
+# instead of losing their seat. For the table's reconnect_grace_seconds their
+# turns are auto-played (see _enforce_turn_timer in APIs/game.js); once the
+# grace runs out they are dropped from the deal with the usual drop penalty
+# and sit out later deals until they return. Rejoining the table or reopening
+# the event stream clears the mark.
+
+from datetime import timedelta
+from typing import Optional
+
+from app.libs import table_events
+from app.libs.db import fetchrow
+
+
+async def resume(table_id: str, user_id: str) -> Optional[int]:
+    """Clear a seated player's disconnect mark. Returns their seat, or None if they aren't seated."""
+    row = await fetchrow(
+        """UPDATE public.rummy_table_players tp
+           SET disconnected_at = NULL
+           FROM public.rummy_table_players prev
+           WHERE tp.table_id = $1 AND tp.user_id = $2
+             AND prev.table_id = tp.table_id AND prev.user_id = tp.user_id
+           RETURNING tp.seat, prev.disconnected_at""",
+        table_id,
+        user_id,
+    )
+    if not row:
+        return None
+    if row["disconnected_at"] is not None:
+        table_events.publish(table_id, table_events.PLAYER_RECONNECTED, {"user_id": user_id})
+    return row["seat"]
+
+
+async def disconnect(table_id: str, user_id: str) -> None:
+    """Mark a seated player as gone; their reconnect grace starts now."""
+    row = await fetchrow(
+        """UPDATE public.rummy_table_players tp
+           SET disconnected_at = now()
+           FROM public.rummy_tables t
+           WHERE tp.table_id = $1 AND tp.user_id = $2 AND t.id = tp.table_id AND tp.disconnected_at IS NULL
+           RETURNING tp.disconnected_at, t.reconnect_grace_seconds""",
+        table_id,
+        user_id,
+    )
+    if row:
+        table_events.publish(table_id, table_events.PLAYER_LEFT, {
+            "user_id": user_id,
+            "reconnect_deadline": reconnect_deadline(row["disconnected_at"], row["reconnect_grace_seconds"]),
+        })
+
+
+def reconnect_deadline(disconnected_at, grace_seconds: Optional[int]) -> Optional[str]:
+    """When a disconnected player's grace runs out, as an ISO string; None while they're connected."""
+    if disconnected_at is None:
+        return None
+    return (disconnected_at + timedelta(seconds=grace_seconds or 0)).isoformat()
@@ -0,0 +1,82 @@
+# Round phase state machine
+# Every round row carries an explicit `phase`; game endpoints check it before
+# acting and move it only along TRANSITIONS.
+
+from typing import Optional
+from fastapi import HTTPException
+
+DEALING = "dealing"  # cards being dealt; the round row is written already dealt
+DRAWING = "drawing"  # active player must draw
+DISCARDING = "discarding"  # active player holds 14 cards and must discard or declare
+SHOWING = "showing"  # valid declaration made; opponents group their cards
+SCORING = "scoring"  # finished_at set, scores not yet added to totals
+FINISHED = "finished"  # scores settled; the next deal may start
+
+PHASES = (DEALING, DRAWING, DISCARDING, SHOWING, SCORING, FINISHED)
+
+TRANSITIONS = {
+    DEALING: {DRAWING},
+    # A drop or timeout keeps the round drawing for the next player
+    DRAWING: {DRAWING, DISCARDING, SCORING},
+    DISCARDING: {DRAWING, SHOWING, SCORING},
+    SHOWING: {SCORING},
+    SCORING: {FINISHED},
+    FINISHED: set(),
+}
+
+
+# Machine-readable error codes, returned as `detail.code`
+NO_ACTIVE_ROUND = "no_active_round"
+NOT_YOUR_TURN = "not_your_turn"
+MUST_DRAW_FIRST = "must_draw_first"
+ALREADY_DRAWN = "already_drawn"
+SHOW_IN_PROGRESS = "show_in_progress"
+ROUND_FINISHED = "round_finished"
+ROUND_NOT_FINISHED = "round_not_finished"
+WRONG_PHASE = "wrong_phase"
+ILLEGAL_TRANSITION = "illegal_transition"
+STALE_ROUND = "stale_round"  # the round changed since the client or the request last read it
+
+
+class GameError(HTTPException):
+    """HTTPException whose detail is {"code": ..., "message": ...}."""
+
+    def __init__(self, status_code: int, code: str, message: str):
+        super().__init__(status_code=status_code, detail={"code": code, "message": message})
+        self.code = code
+
+
+def derive_phase(
+    finished_at,
+    points_accumulated: Optional[bool],
+    show_deadline,
+    active_hand_size: int,
+) -> str:
+    """Phase of a round written before the `phase` column existed."""
+    if finished_at:
+        return FINISHED if points_accumulated else SCORING
+    if show_deadline:
+        return SHOWING
+    return DISCARDING if active_hand_size == 14 else DRAWING
+
+
+def require_phase(phase: str, *allowed: str) -> None:
+    """Raise a GameError naming why `phase` doesn't allow the action."""
+    if phase in allowed:
+        return
+    if phase == SHOWING:
+        raise GameError(409, SHOW_IN_PROGRESS, "Someone has declared - the round is in the show phase")
+    if phase in (SCORING, FINISHED):
+        raise GameError(409, ROUND_FINISHED, "The round has finished")
+    if phase == DISCARDING and DRAWING in allowed:
+        raise GameError(409, ALREADY_DRAWN, "You must discard before drawing again")
+    if phase == DRAWING and DISCARDING in allowed:
+        raise GameError(409, MUST_DRAW_FIRST, "You must draw a card first")
+    raise GameError(409, WRONG_PHASE, f"Not allowed while the round is {phase}")
+
+
+def check_transition(current: str, target: str) -> str:
+    """Return `target` if the round may move there from `current`."""
+    if target not in TRANSITIONS.get(current, set()):
+        raise GameError(409, ILLEGAL_TRANSITION, f"Round cannot go from {current} to {target}")
+    return target
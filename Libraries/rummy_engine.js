@@ -2,6 +2,8 @@
 import asyncpg
 import random
 from typing import List, Dict, Tuple, Optional
+from app.libs.rummy_models import RuleSet, auto_deck_count
+from app.libs.scoring import card_points, is_pure_sequence, is_sequence, is_set
 
 # Card deck constants
 SUITS = ['H', 'D', 'C', 'S']  # Hearts, Diamonds, Clubs, Spades
@@ -22,74 +24,34 @@ def create_deck(num_decks: int = 2) -> List[str]:
     random.shuffle(deck)
     return deck
 
-def calculate_card_points(card: str) -> int:
-    """Calculate points for a single card"""
+def _to_card(card: str) -> dict:
+    """Legacy card string ("10H", "JKR") as the card dict `app.libs.scoring` uses."""
     if card == "JKR":
-        return 0
-    
-    rank = card[:-1]  # Remove suit
-    if rank in ['J', 'Q', 'K', 'A']:
-        return 10
-    return int(rank)
+        return {"rank": "JOKER", "suit": None, "joker": True}
+    return {"rank": card[:-1], "suit": card[-1], "joker": False}
 
-def validate_sequence(cards: List[str]) -> Tuple[bool, bool]:
-    """Validate if cards form a sequence. Returns (is_valid, is_pure)"""
-    if len(cards) < 3:
-        return False, False
-    
-    # Check for jokers
-    has_joker = any(c == "JKR" for c in cards)
-    
-    # Extract suits and ranks
-    suits = [c[-1] for c in cards if c != "JKR"]
-    ranks = [c[:-1] for c in cards if c != "JKR"]
-    
-    # All non-joker cards must be same suit
-    if len(set(suits)) > 1:
+def calculate_card_points(card: str, rules: Optional[RuleSet] = None) -> int:
+    """Calculate points for a single card"""
+    return card_points(_to_card(card), (rules or RuleSet()).ace_value)
+
+def validate_sequence(cards: List[str], rules: Optional[RuleSet] = None) -> Tuple[bool, bool]:
+    """Validate if cards form a sequence. Returns (is_valid, is_pure)
+
+    Uses the same validators as the live game, so both engines agree.
+    """
+    card_dicts = [_to_card(c) for c in cards]
+    if not is_sequence(card_dicts, None, True, rules):
         return False, False
-    
-    # Check consecutive ranks
-    rank_order = {'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13}
-    rank_values = sorted([rank_order[r] for r in ranks])
-    
-    # With jokers, check if remaining cards can form sequence
-    if has_joker:
-        # Simple validation for now
-        return True, False
-    
-    # Pure sequence check
-    for i in range(1, len(rank_values)):
-        if rank_values[i] != rank_values[i-1] + 1:
-            return False, False
-    
-    return True, True
+    return True, is_pure_sequence(card_dicts, None, True, rules)
 
-def validate_set(cards: List[str]) -> bool:
+def validate_set(cards: List[str], rules: Optional[RuleSet] = None) -> bool:
     """Validate if cards form a set (same rank, different suits)"""
-    if len(cards) < 3:
-        return False
-    
-    # Remove jokers for validation
-    non_jokers = [c for c in cards if c != "JKR"]
-    if len(non_jokers) < 2:
-        return False
-    
-    # All non-joker cards must have same rank
-    ranks = [c[:-1] for c in non_jokers]
-    if len(set(ranks)) > 1:
-        return False
-    
-    # All non-joker cards must have different suits
-    suits = [c[-1] for c in non_jokers]
-    if len(suits) != len(set(suits)):
-        return False
-    
-    return True
+    return is_set([_to_card(c) for c in cards], None, True, rules)
 
 async def deal_initial_hands(conn: asyncpg.Connection, table_id: str, round_num: int, player_ids: List[str]):
     """Deal initial 13 cards to each player for a new round"""
     num_players = len(player_ids)
-    deck = create_deck(num_decks=2 if num_players <= 4 else 3)
+    deck = create_deck(num_decks=auto_deck_count(num_players))
     
     # Deal 13 cards to each player
     for i, player_id in enumerate(player_ids):
@@ -118,7 +80,13 @@ async def deal_initial_hands(conn: asyncpg.Connection, table_id: str, round_num:
         table_id, round_num, stock_pile
     )
 
-async def validate_declaration(conn: asyncpg.Connection, table_id: str, round_num: int, user_id: str) -> Tuple[bool, int, str]:
+async def validate_declaration(
+    conn: asyncpg.Connection,
+    table_id: str,
+    round_num: int,
+    user_id: str,
+    rules: Optional[RuleSet] = None,
+) -> Tuple[bool, int, str]:
     """Validate a player's declaration. Returns (is_valid, points, message)"""
     # Get player's melds
     melds = await conn.fetchval(
@@ -133,15 +101,20 @@ async def validate_declaration(conn: asyncpg.Connection, table_id: str, round_nu
     if len(melds) < 2:
         return False, 0, "Need at least 2 melds (1 pure sequence + 1 other)"
     
+    rules = rules or RuleSet()
     has_pure_sequence = False
+    sequences = 0
     for meld in melds:
-        is_valid, is_pure = validate_sequence(meld)
+        is_valid, is_pure = validate_sequence(meld, rules)
+        if is_valid:
+            sequences += 1
         if is_valid and is_pure:
             has_pure_sequence = True
-            break
     
     if not has_pure_sequence:
         return False, 0, "Must have at least one pure sequence"
+    if sequences < rules.min_sequences:
+        return False, 0, f"Need at least {rules.min_sequences} sequences"
     
     # Valid declaration = 0 points
     return True, 0, "Valid declaration!"
@@ -18,9 +18,31 @@ class Card(BaseModel):
             return "JOKER"
         return f"{self.rank}{self.suit or ''}"
 
+# How far an Ace can wrap in a sequence:
+#   "ace_low"          A-2-3 only
+#   "ace_high"         A-2-3 or Q-K-A
+#   "round_the_corner" also through the Ace, e.g. K-A-2
+AceWrap = Literal["ace_low", "ace_high", "round_the_corner"]
+
+
+class RuleSet(BaseModel):
+    """House rules a table plays by, chosen at table creation.
+
+    Stored on the table and passed to every meld validator and scorer in
+    `app.libs.scoring`; the defaults are the rules the game has always used.
+    """
+    ace_wrap: AceWrap = "ace_high"
+    max_set_size: int = Field(default=4, ge=3, le=8)
+    same_suit_in_set: bool = False  # allow two cards of one suit in a set (multi-deck)
+    min_sequences: int = Field(default=1, ge=1, le=3)  # at least one of them must be pure
+    deadwood_cap: int = Field(default=80, ge=1, le=200)
+    ace_value: Literal[1, 10] = 10
+
+
 class DeckConfig(BaseModel):
     decks: int = 2  # standard: 2 decks for up to 6 players
     include_printed_jokers: bool = True
+    printed_jokers_per_deck: int = 2
 
 RANKS: List[Rank] = ["A","2","3","4","5","6","7","8","9","10","J","Q","K"]
 SUITS: List[Suit] = ["S","H","D","C"]
@@ -39,12 +61,46 @@ def build_deck(cfg: DeckConfig) -> List[Card]:
             for r in RANKS:
                 cards.append(Card(rank=r, suit=s, joker=False))
         if cfg.include_printed_jokers:
-            # Two printed jokers per deck typical
-            cards.append(Card(rank="JOKER", suit=None, joker=True))
-            cards.append(Card(rank="JOKER", suit=None, joker=True))
+            for _ in range(cfg.printed_jokers_per_deck):
+                cards.append(Card(rank="JOKER", suit=None, joker=True))
     return cards
 
 
+# Cards that must be left in the stock after dealing 13 to everyone
+MIN_STOCK_AFTER_DEAL = 20
+
+
+def auto_deck_count(player_count: int) -> int:
+    """Decks for a table of this size: 1 for 2 players, 2 for 3-4, 3 for 5-6."""
+    if player_count <= 2:
+        return 1
+    if player_count <= 4:
+        return 2
+    return 3
+
+
+def deck_supports(decks: int, player_count: int) -> bool:
+    return decks * 52 >= player_count * 13 + MIN_STOCK_AFTER_DEAL
+
+
+def select_deck_config(
+    player_count: int,
+    decks: Optional[int] = None,
+    printed_jokers_per_deck: int = 2,
+) -> DeckConfig:
+    """The single deck policy used for every deal.
+
+    `decks` is the host's override from table creation; when it is unset the
+    count follows the number of players dealt in.
+    """
+    n = decks or auto_deck_count(player_count)
+    return DeckConfig(
+        decks=n,
+        include_printed_jokers=printed_jokers_per_deck > 0,
+        printed_jokers_per_deck=printed_jokers_per_deck,
+    )
+
+
 def fair_shuffle(cards: List[Card], seed: Optional[int] = None) -> ShuffledDeck:
     rnd = random.Random(seed)
     # Use Fisher-Yates via random.shuffle
@@ -53,16 +109,45 @@ def fair_shuffle(cards: List[Card], seed: Optional[int] = None) -> ShuffledDeck:
     return ShuffledDeck(cards=cards_copy)
 
 
+def reshuffle_discard_into_stock(discard: List[dict], seed: Optional[int] = None) -> Tuple[List[dict], List[dict]]:
+    """Turn the discard pile into a fresh stock once the stock runs out.
+
+    The top discard stays face up; every card under it is shuffled with
+    `fair_shuffle`, so the new stock can be reproduced from `seed`.
+
+    Returns (new_stock, new_discard) as plain card dicts.
+    """
+    if len(discard) < 2:
+        return [], list(discard)
+    top = discard[-1]
+    deck = fair_shuffle([Card(**c) for c in discard[:-1]], seed)
+    return [c.model_dump() for c in deck.cards], [top]
+
+
 class DealResult(BaseModel):
     hands: Dict[str, List[Card]]  # user_id -> 13 cards
     stock: List[Card]
     discard: List[Card]
-    printed_joker: Optional[Card]
+    printed_joker: Optional[Card]  # the cut card, face-up under the stock
+
+
+def cut_joker_rank(card: Card) -> Rank:
+    """Wild rank picked by a cut card. Cutting a printed joker makes Aces wild."""
+    return "A" if card.rank == "JOKER" else card.rank
 
 
-def deal_initial(user_ids: List[str], cfg: DeckConfig, seed: Optional[int] = None) -> DealResult:
+def deal_initial(
+    user_ids: List[str],
+    cfg: DeckConfig,
+    seed: Optional[int] = None,
+    cut_joker: bool = False,
+) -> DealResult:
+    """Deal 13 cards each and turn up the first discard.
+
+    With `cut_joker`, the next card is cut from the deck to pick the wild
+    joker; it leaves the stock and is returned as `printed_joker`.
+    """
     deck = fair_shuffle(build_deck(cfg), seed)
-    # Flip printed joker from stock top (non-player)
     printed_joker: Optional[Card] = None
 
     # Deal 13 to each player, round-robin
@@ -89,6 +174,9 @@ def deal_initial(user_ids: List[str], cfg: DeckConfig, seed: Optional[int] = Non
         discard.append(top)
         break
 
+    if cut_joker and deck.cards:
+        printed_joker = deck.draw()
+
     return DealResult(hands=hands, stock=deck.cards, discard=discard, printed_joker=printed_joker)
 
 
@@ -4,8 +4,11 @@
 
 # Simple Rummy scoring utilities
 # Points: Face cards (J,Q,K,A)=10, 2-10 face value, jokers=0. Cap per hand: 80.
+# Every validator and scorer takes an optional RuleSet for the table's house
+# rules; without one the defaults above apply.
 from __future__ import annotations
 from typing import List, Dict, Tuple, Optional, Union
+from app.libs.rummy_models import RuleSet
 
 # Card dict shape: {rank: str, suit: str | None, joker: bool}
 # Can also be Pydantic models with rank, suit, joker attributes
@@ -28,6 +31,25 @@ RANK_POINTS = {
 
 RANK_ORDER = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"]
 
+DEFAULT_RULES = RuleSet()
+
+# Rotations of RANK_ORDER a sequence may be read in. Rotation 1 puts the Ace
+# after the King; every rotation lets a sequence run through the Ace.
+WRAP_ROTATIONS = {
+    "ace_low": (0,),
+    "ace_high": (0, 1),
+    "round_the_corner": tuple(range(len(RANK_ORDER))),
+}
+
+
+def _fits_run(rank_indices: list[int], length: int, rules: RuleSet) -> bool:
+    """Whether distinct rank indices fit inside a run of `length` cards."""
+    for rotation in WRAP_ROTATIONS[rules.ace_wrap]:
+        rotated = [(idx - rotation) % len(RANK_ORDER) for idx in rank_indices]
+        if max(rotated) - min(rotated) + 1 <= length:
+            return True
+    return False
+
 
 def _get_card_attr(card: Union[dict, object], attr: str, default=None):
     """Get attribute from card whether it's a dict or Pydantic model."""
@@ -75,18 +97,24 @@ def card_points(card: Union[dict, object], ace_value: int = 10) -> int:
     return RANK_POINTS.get(rank, 0)
 
 
-def naive_hand_points(hand: List[Union[dict, object]]) -> int:
-    # Naive pre-validation: full sum capped to 80
-    total = sum(card_points(c) for c in hand)
-    return min(total, 80)
+def naive_hand_points(hand: List[Union[dict, object]], rules: RuleSet | None = None) -> int:
+    # Naive pre-validation: full sum capped at the deadwood cap
+    rules = rules or DEFAULT_RULES
+    total = sum(card_points(c, rules.ace_value) for c in hand)
+    return min(total, rules.deadwood_cap)
 
 
 def is_sequence(
     cards: list[dict | tuple], 
     wild_joker_rank: str | None = None,
-    has_wild_joker_revealed: bool = True
+    has_wild_joker_revealed: bool = True,
+    rules: RuleSet | None = None
 ) -> bool:
-    """Check if cards form a valid sequence (consecutive ranks, same suit)."""
+    """Check if cards form a valid sequence (consecutive ranks, same suit).
+
+    How an Ace may wrap follows `rules.ace_wrap`.
+    """
+    rules = rules or DEFAULT_RULES
     if len(cards) < 3:
         return False
     
@@ -105,40 +133,27 @@ def is_sequence(
     # Get rank indices for non-joker cards
     rank_indices = sorted([RANK_ORDER.index(_get_card_attr(c, "rank")) for c in non_jokers])
     
-    # Check for normal consecutive sequence
-    first_idx = rank_indices[0]
-    last_idx = rank_indices[-1]
-    required_span = last_idx - first_idx + 1
-    
-    if required_span <= len(cards):
-        return True
-    
-    # Check for wrap-around sequence (Ace can be high: Q-K-A or K-A-2)
-    # If we have an Ace (index 0) and high cards (J, Q, K at indices 10, 11, 12)
-    if 0 in rank_indices and any(idx >= 10 for idx in rank_indices):
-        # Try treating Ace as high (after King)
-        # Create alternate indices where Ace = 13
-        alt_indices = [idx if idx != 0 else 13 for idx in rank_indices]
-        alt_indices.sort()
-        alt_span = alt_indices[-1] - alt_indices[0] + 1
-        
-        if alt_span <= len(cards):
-            return True
+    # A rank can appear only once in a sequence
+    if len(set(rank_indices)) != len(rank_indices):
+        return False
     
-    return False
+    # Jokers fill the gaps, so the naturals must fit in a run as long as the meld
+    return len(cards) <= len(RANK_ORDER) and _fits_run(rank_indices, len(cards), rules)
 
 
 def is_pure_sequence(
     cards: list[dict | tuple], 
     wild_joker_rank: str | None = None,
-    has_wild_joker_revealed: bool = True
+    has_wild_joker_revealed: bool = True,
+    rules: RuleSet | None = None
 ) -> bool:
     """Check if cards form a pure sequence (no jokers as substitutes).
     
     Wild joker cards in their natural position (same suit, consecutive rank) are allowed.
     Only reject if wild joker is used as a substitute.
     """
-    if not is_sequence(cards, wild_joker_rank, has_wild_joker_revealed):
+    rules = rules or DEFAULT_RULES
+    if not is_sequence(cards, wild_joker_rank, has_wild_joker_revealed, rules):
         return False
     
     # Check for printed jokers (always impure)
@@ -166,42 +181,26 @@ def is_pure_sequence(
         if rank in RANK_ORDER:
             rank_indices.append(RANK_ORDER.index(rank))
     
-    if len(rank_indices) != len(cards):
+    if len(rank_indices) != len(cards) or len(set(rank_indices)) != len(rank_indices):
         return False
     
-    rank_indices.sort()
-    
-    # Check if this is a consecutive sequence
-    is_consecutive = all(
-        rank_indices[i+1] - rank_indices[i] == 1 
-        for i in range(len(rank_indices) - 1)
-    )
-    
-    # Check for wrap-around (Q-K-A or K-A-2)
-    is_wraparound = False
-    if 0 in rank_indices and any(idx >= 10 for idx in rank_indices):
-        alt_indices = [idx if idx != 0 else 13 for idx in rank_indices]
-        alt_indices.sort()
-        is_wraparound = all(
-            alt_indices[i+1] - alt_indices[i] == 1 
-            for i in range(len(alt_indices) - 1)
-        )
-    
-    # If cards form a natural consecutive sequence, all wild jokers are in natural positions
-    if is_consecutive or is_wraparound:
-        return True
-    
-    # Otherwise, sequence has gaps - must be using wild jokers as substitutes
-    return False
+    # Distinct ranks filling a run exactly are consecutive, so every wild
+    # joker is in its natural position. Otherwise a wild card fills a gap.
+    return _fits_run(rank_indices, len(cards), rules)
 
 
 def is_set(
     cards: list[dict | tuple], 
     wild_joker_rank: str | None = None,
-    has_wild_joker_revealed: bool = True
+    has_wild_joker_revealed: bool = True,
+    rules: RuleSet | None = None
 ) -> bool:
-    """Check if cards form a valid set (3-4 cards of same rank, different suits)."""
-    if len(cards) < 3 or len(cards) > 4:
+    """Check if cards form a valid set (3 to `rules.max_set_size` cards of one rank).
+
+    Suits must differ unless `rules.same_suit_in_set` allows repeats.
+    """
+    rules = rules or DEFAULT_RULES
+    if len(cards) < 3 or len(cards) > rules.max_set_size:
         return False
     
     # All non-joker cards must have the same rank
@@ -211,19 +210,64 @@ def is_set(
     
     # All non-joker cards must have different suits
     suits = [_get_card_attr(c, "suit") for c in cards if not _is_joker_card(c, wild_joker_rank, has_wild_joker_revealed) and _get_card_attr(c, "suit")]
-    if len(suits) != len(set(suits)):
+    if not rules.same_suit_in_set and len(suits) != len(set(suits)):
         return False
     
     return True
 
 
+def classify_meld(
+    cards: list[dict | tuple],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    rules: RuleSet | None = None
+) -> dict:
+    """Classify a single declared group.
+
+    Returns:
+        {"type": "pure_sequence" | "impure_sequence" | "set" | "invalid",
+         "valid": bool, "reason": str}
+    """
+    if len(cards) < 3:
+        return {
+            "type": "invalid",
+            "valid": False,
+            "reason": f"A meld needs at least 3 cards, found {len(cards)}",
+        }
+
+    if is_pure_sequence(cards, wild_joker_rank, has_wild_joker_revealed, rules):
+        return {"type": "pure_sequence", "valid": True, "reason": "Pure sequence"}
+    if is_sequence(cards, wild_joker_rank, has_wild_joker_revealed, rules):
+        return {"type": "impure_sequence", "valid": True, "reason": "Impure sequence (uses jokers)"}
+    if is_set(cards, wild_joker_rank, has_wild_joker_revealed, rules):
+        return {"type": "set", "valid": True, "reason": "Set"}
+
+    return {
+        "type": "invalid",
+        "valid": False,
+        "reason": "Not a sequence of one suit or a set of one rank with different suits",
+    }
+
+
+SEQUENCE_TYPES = ("pure_sequence", "impure_sequence")
+
+
+def meets_sequence_rules(meld_types: list[str], rules: RuleSet | None = None) -> bool:
+    """Whether melds of these types save their cards from deadwood: the
+    table needs a pure sequence and `rules.min_sequences` sequences in all."""
+    rules = rules or DEFAULT_RULES
+    return "pure_sequence" in meld_types and sum(t in SEQUENCE_TYPES for t in meld_types) >= rules.min_sequences
+
+
 def validate_hand(
     melds: list[list[dict | tuple]], 
     leftover: list[dict | tuple],
     wild_joker_rank: str | None = None,
-    has_wild_joker_revealed: bool = True
-) -> dict:
+    has_wild_joker_revealed: bool = True,
+    rules: RuleSet | None = None
+) -> tuple[bool, str]:
     """Validate a complete 13-card hand declaration."""
+    rules = rules or DEFAULT_RULES
     # After drawing, player has 14 cards. They organize 13 into melds and discard the 14th.
     # So we don't check hand length, only that melds contain exactly 13 cards.
     
@@ -237,42 +281,209 @@ def validate_hand(
     
     # Check for at least one pure sequence
     has_pure_sequence = False
-    valid_sequences = 0
-    valid_sets = 0
+    sequences = 0
     
     for group in melds:
-        if len(group) < 3:
-            return False, f"Each meld must have at least 3 cards, found {len(group)}"
-        
-        is_seq = is_sequence(group, wild_joker_rank, has_wild_joker_revealed)
-        is_pure_seq = is_pure_sequence(group, wild_joker_rank, has_wild_joker_revealed)
-        is_valid_set = is_set(group, wild_joker_rank, has_wild_joker_revealed)
-        
-        if is_pure_seq:
-            has_pure_sequence = True
-            valid_sequences += 1
-        elif is_seq:
-            valid_sequences += 1
-        elif is_valid_set:
-            valid_sets += 1
-        else:
+        verdict = classify_meld(group, wild_joker_rank, has_wild_joker_revealed, rules)
+        if not verdict["valid"]:
             cards_str = ', '.join([f"{_get_card_attr(c, 'rank')}{_get_card_attr(c, 'suit') or ''}" for c in group])
-            return False, f"Invalid meld: [{cards_str}] is neither a valid sequence nor set"
+            return False, f"Invalid meld: [{cards_str}] - {verdict['reason']}"
+        if verdict["type"] == "pure_sequence":
+            has_pure_sequence = True
+        if verdict["type"] in ("pure_sequence", "impure_sequence"):
+            sequences += 1
     
     if not has_pure_sequence:
         return False, "Must have at least one pure sequence (no jokers)"
     
+    if sequences < rules.min_sequences:
+        return False, f"Must have at least {rules.min_sequences} sequences, found {sequences}"
+    
     if len(melds) < 2:
         return False, "Must have at least 2 melds"
     
     return True, "Valid hand"
 
 
+def _card_key(card: Union[dict, object]) -> tuple:
+    """Identity of a physical card for multiset matching (printed jokers have no suit)."""
+    rank = _get_card_attr(card, "rank")
+    suit = None if rank == "JOKER" else (_get_card_attr(card, "suit") or None)
+    return rank, suit
+
+
+def _match_cards(
+    groups: list[list[dict | tuple]],
+    hand: list[dict | tuple],
+) -> tuple[list[list[dict | tuple]], list[dict | tuple], str]:
+    """Map groups onto the hand's own cards. Returns (matched_groups, leftover_cards, error)."""
+    pool: Dict[tuple, list] = {}
+    for card in hand:
+        pool.setdefault(_card_key(card), []).append(card)
+
+    matched_groups = []
+    for group in groups:
+        matched = []
+        for card in group:
+            bucket = pool.get(_card_key(card))
+            if not bucket:
+                rank, suit = _card_key(card)
+                return [], [], f"Card {rank}{suit or ''} is not in your hand (or is used twice)"
+            matched.append(bucket.pop())
+        matched_groups.append(matched)
+
+    leftover = [c for c in hand if any(c is b for bucket in pool.values() for b in bucket)]
+    return matched_groups, leftover, ""
+
+
+def match_groups_to_hand(
+    groups: list[list[dict | tuple]],
+    hand: list[dict | tuple],
+) -> tuple[list[list[dict | tuple]], dict | tuple | None, str]:
+    """Map declared groups onto the cards actually held.
+
+    The groups must use every card of the hand except exactly one, which is
+    the card discarded on show.
+
+    Returns:
+        (matched_groups, leftover_card, error). On success error is "" and
+        matched_groups contains the hand's own card objects.
+    """
+    matched_groups, leftover, error = _match_cards(groups, hand)
+    if error:
+        return [], None, error
+    if len(leftover) != 1:
+        return [], None, f"Groups must use every card but one, {len(leftover)} cards left out"
+
+    return matched_groups, leftover[0], ""
+
+
+def validate_declaration(
+    groups: list[list[dict | tuple]],
+    hand: list[dict | tuple],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    rules: RuleSet | None = None
+) -> dict:
+    """Fully validate a show against the declarer's real hand.
+
+    Returns:
+        {
+            'valid': bool,
+            'reason': str,
+            'hand_mismatch': bool,         # groups don't match the hand at all
+            'discard': card | None,        # the 14th card left out of the groups
+            'groups': [[card, ...], ...],  # groups as the hand's own cards
+            'verdicts': [{type, valid, reason}, ...]  # one per group
+        }
+    """
+    matched_groups, discard, error = match_groups_to_hand(groups, hand)
+    if error:
+        return {
+            "valid": False,
+            "reason": error,
+            "hand_mismatch": True,
+            "discard": None,
+            "groups": [],
+            "verdicts": [],
+        }
+
+    verdicts = [
+        classify_meld(group, wild_joker_rank, has_wild_joker_revealed, rules)
+        for group in matched_groups
+    ]
+    is_valid, reason = validate_hand(
+        matched_groups, [discard], wild_joker_rank, has_wild_joker_revealed, rules
+    )
+    return {
+        "valid": is_valid,
+        "reason": reason,
+        "hand_mismatch": False,
+        "discard": discard,
+        "groups": matched_groups,
+        "verdicts": verdicts,
+    }
+
+
+def preview_declaration(
+    groups: list[list[dict | tuple]],
+    hand: list[dict | tuple],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    rules: RuleSet | None = None
+) -> dict:
+    """Dry-run a show against the player's hand without needing a complete grouping.
+
+    Groups may cover any part of the hand. Cards outside the groups, and the
+    cards of invalid groups, are deadwood; with no pure sequence every card is.
+    The show would succeed only on a 14-card hand whose groups leave out exactly
+    the one card to discard.
+
+    Returns:
+        {
+            'valid': bool,                 # a declare with these groups would win
+            'reason': str,
+            'hand_mismatch': bool,
+            'groups': [[card, ...], ...],
+            'verdicts': [{type, valid, reason}, ...],
+            'leftover': [card, ...],       # cards in no group
+            'deadwood': int                # points charged if the hand stayed like this
+        }
+    """
+    matched_groups, leftover, error = _match_cards(groups, hand)
+    if error:
+        return {
+            "valid": False,
+            "reason": error,
+            "hand_mismatch": True,
+            "groups": [],
+            "verdicts": [],
+            "leftover": [],
+            "deadwood": 0,
+        }
+
+    verdicts = [
+        classify_meld(group, wild_joker_rank, has_wild_joker_revealed, rules)
+        for group in matched_groups
+    ]
+    if len(hand) == 14 and len(leftover) == 1:
+        is_valid, reason = validate_hand(
+            matched_groups, leftover, wild_joker_rank, has_wild_joker_revealed, rules
+        )
+    else:
+        is_valid = False
+        reason = f"Groups must use every card but one, {len(leftover)} cards left out"
+        if len(hand) != 14:
+            reason = "Draw a card before you can show"
+
+    if is_valid:
+        deadwood = 0
+    elif meets_sequence_rules([v["type"] for v in verdicts if v["valid"]], rules):
+        deadwood_cards = list(leftover)
+        for group, verdict in zip(matched_groups, verdicts):
+            if not verdict["valid"]:
+                deadwood_cards.extend(group)
+        deadwood = calculate_deadwood_points(deadwood_cards, wild_joker_rank, has_wild_joker_revealed, rules=rules)
+    else:
+        deadwood = calculate_deadwood_points(hand, wild_joker_rank, has_wild_joker_revealed, rules=rules)
+
+    return {
+        "valid": is_valid,
+        "reason": reason,
+        "hand_mismatch": False,
+        "groups": matched_groups,
+        "verdicts": verdicts,
+        "leftover": leftover,
+        "deadwood": deadwood,
+    }
+
+
 def calculate_deadwood_points(
     cards: list[dict | tuple],
     wild_joker_rank: str | None = None,
     has_wild_joker_revealed: bool = True,
-    ace_value: int = 10
+    ace_value: int = 10,
+    rules: RuleSet | None = None
 ) -> int:
     """Calculate points for ungrouped/invalid cards.
     
@@ -280,103 +491,335 @@ def calculate_deadwood_points(
         cards: List of cards
         wild_joker_rank: The rank that acts as wild joker
         has_wild_joker_revealed: Whether wild joker is revealed
-        ace_value: Point value for Aces (1 or 10)
+        ace_value: Point value for Aces (1 or 10); `rules.ace_value` wins when rules are given
+        rules: House rules; the total is capped at `rules.deadwood_cap`
     """
+    if rules:
+        ace_value = rules.ace_value
     total = 0
     for card in cards:
         if _is_joker_card(card, wild_joker_rank, has_wild_joker_revealed):
             total += 0  # Jokers are worth 0
         else:
             total += card_points(card, ace_value)
-    return min(total, 80)
+    return min(total, (rules or DEFAULT_RULES).deadwood_cap)
+
+
+SUIT_ORDER = ["S", "H", "D", "C"]
+
+# Sequence positions by wrap policy. Ace can sit below 2, above K (Q-K-A),
+# or anywhere in a run that goes round the corner (K-A-2); the doubled line
+# holds every such run of up to 13 cards.
+SEQUENCE_LINES = {
+    "ace_low": RANK_ORDER,
+    "ace_high": RANK_ORDER + ["A"],
+    "round_the_corner": RANK_ORDER + RANK_ORDER[:-1],
+}
+
+PRINTED_JOKER_KEY = ("JOKER", None)
+
+# Hard cap on explored search states so a pathological hand can't stall a request
+MAX_SOLVER_STATES = 20000
+
+
+class _SolverBudgetExceeded(Exception):
+    pass
+
+
+def find_best_arrangement(
+    hand: list[dict | tuple],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    ace_value: int = 10,
+    rules: RuleSet | None = None
+) -> tuple[list[list[dict | tuple]], list[dict | tuple], int]:
+    """Search for the arrangement with the fewest deadwood points.
+
+    Melds only count when the arrangement holds at least one pure sequence and
+    `rules.min_sequences` sequences in all; otherwise every card is deadwood.
+    Printed jokers and (revealed) wild jokers substitute in sequences and
+    sets, and Ace wraps as `rules.ace_wrap` allows. Every candidate meld is
+    checked with `classify_meld`, so the solver never disagrees with
+    declaration validation. Sets are only built from distinct suits, even
+    when `rules.same_suit_in_set` would accept repeats. A hand the search
+    can't finish within MAX_SOLVER_STATES gets a greedy arrangement instead.
+
+    Returns:
+        (melds, leftover_cards, deadwood_points) - points are uncapped.
+    """
+    if not hand:
+        return [], [], 0
+
+    if rules:
+        ace_value = rules.ace_value
+    rules = rules or DEFAULT_RULES
+    sequence_line = SEQUENCE_LINES[rules.ace_wrap]
+
+    wild_rank = wild_joker_rank if has_wild_joker_revealed and wild_joker_rank else None
+
+    cards_by_key: Dict[tuple, list] = {}
+    for card in hand:
+        cards_by_key.setdefault(_card_key(card), []).append(card)
+
+    printed_jokers = len(cards_by_key.pop(PRINTED_JOKER_KEY, []))
+    keys = sorted(cards_by_key, key=lambda k: (SUIT_ORDER.index(k[1]), RANK_ORDER.index(k[0])))
+    key_index = {k: i for i, k in enumerate(keys)}
+
+    def key_points(key: tuple) -> int:
+        return card_points({"rank": key[0], "suit": key[1]}, ace_value)
+
+    all_points = sum(
+        key_points(k) * len(cards_by_key[k]) for k in keys if k[0] != wild_rank
+    )
+
+    def has_neighbour(key: tuple) -> bool:
+        rank, suit = key
+        line_positions = [i for i, r in enumerate(sequence_line) if r == rank]
+        return any(
+            0 <= p + step < len(sequence_line) and (sequence_line[p + step], suit) in key_index
+            for p in line_positions
+            for step in (-1, 1)
+        )
+
+    # Without three naturally consecutive cards no pure sequence exists, so
+    # nothing can be melded and the search can be skipped entirely
+    if not any(
+        all((sequence_line[i + step], suit) in key_index for step in range(3))
+        for suit in SUIT_ORDER
+        for i in range(len(sequence_line) - 2)
+    ):
+        return [], list(hand), all_points
+
+    # Wild cards are interchangeable as jokers except when they could sit in
+    # their natural place in a sequence, so spend those last. This keeps the
+    # search from branching over equivalent joker choices.
+    wild_keys = sorted(
+        (k for k in keys if k[0] == wild_rank),
+        key=lambda k: (has_neighbour(k), SUIT_ORDER.index(k[1])),
+    )
+
+    meld_cache: Dict[tuple, dict] = {}
+
+    def classify(meld_keys: tuple) -> dict:
+        sig = tuple(sorted(meld_keys, key=lambda k: (k[0], k[1] or "")))
+        if sig not in meld_cache:
+            cards = [{"rank": r, "suit": s, "joker": r == "JOKER"} for r, s in meld_keys]
+            meld_cache[sig] = classify_meld(cards, wild_joker_rank, has_wild_joker_revealed, rules)
+        return meld_cache[sig]
+
+    def joker_fills(count: int, jokers: int, counts: list) -> list:
+        """Ways to take `count` jokers: any split between printed jokers and
+        wild cards, with wild cards taken in `wild_keys` order."""
+        wild_pool = [k for k in wild_keys for _ in range(counts[key_index[k]])]
+        fills = []
+        for printed in range(min(count, jokers), -1, -1):
+            wild_needed = count - printed
+            if wild_needed <= len(wild_pool):
+                fills.append([PRINTED_JOKER_KEY] * printed + wild_pool[:wild_needed])
+        return fills
+
+    def candidate_melds(first: tuple, counts: list, jokers: int, allow_swaps: bool) -> list:
+        """Melds (as lists of keys, jokers last) that contain the card `first`."""
+        rank, suit = first
+        total_jokers = jokers + sum(counts[key_index[k]] for k in wild_keys)
+        shapes = []
+
+        # Sequences in first's suit, through every position first's rank can take
+        positions = [i for i, r in enumerate(sequence_line) if r == rank]
+        for pos in positions:
+            for start in range(max(0, pos - 12), pos + 1):
+                naturals = []
+                gaps = 0
+                for end in range(start, min(start + 13, len(sequence_line))):
+                    if end == pos:
+                        naturals.append(first)
+                    else:
+                        key = (sequence_line[end], suit)
+                        idx = key_index.get(key)
+                        held = counts[idx] if idx is not None else 0
+                        if key == first:
+                            held -= 1
+                        if held > 0:
+                            naturals.append(key)
+                        else:
+                            gaps += 1
+                    if gaps > total_jokers:
+                        break
+                    if end >= pos and end - start >= 2:
+                        shapes.append((list(naturals), gaps))
+                        # Also try giving up one natural card to a joker, freeing
+                        # it for another meld
+                        for drop in naturals:
+                            if allow_swaps and drop != first and gaps + 1 <= total_jokers:
+                                rest = list(naturals)
+                                rest.remove(drop)
+                                shapes.append((rest, gaps + 1))
+
+        # Sets of first's rank with other suits plus jokers
+        if rank != wild_rank:
+            other_suits = [
+                s for s in SUIT_ORDER
+                if s != suit and key_index.get((rank, s)) is not None and counts[key_index[(rank, s)]] > 0
+            ]
+            subsets = [[]]
+            for s in other_suits:
+                subsets += [sub + [s] for sub in subsets]
+            for sub in subsets:
+                naturals = [first] + [(rank, s) for s in sub]
+                for size in range(3, rules.max_set_size + 1):
+                    if size >= len(naturals) and size - len(naturals) <= total_jokers:
+                        shapes.append((naturals, size - len(naturals)))
+
+        melds = []
+        for naturals, gaps in shapes:
+            remaining = list(counts)
+            for key in naturals:
+                remaining[key_index[key]] -= 1
+            if any(n < 0 for n in remaining):
+                continue
+            for fill in joker_fills(gaps, jokers, remaining):
+                melds.append(naturals + fill)
+        return melds
+
+    INF = float("inf")
+
+    def best(counts: tuple, jokers: int, need_pure: bool, need_sequences: int, memo: dict, allow_swaps: bool) -> tuple:
+        state = (counts, jokers, need_pure, need_sequences)
+        if state in memo:
+            return memo[state]
+        if len(memo) >= MAX_SOLVER_STATES:
+            raise _SolverBudgetExceeded()
+
+        first = next(
+            (keys[i] for i, n in enumerate(counts) if n > 0 and keys[i][0] != wild_rank),
+            None,
+        )
+        if first is None:
+            # Only jokers left: they score nothing
+            result = (INF, []) if need_pure or need_sequences else (0, [])
+            memo[state] = result
+            return result
+
+        # Option 1: first card stays ungrouped
+        remaining = list(counts)
+        remaining[key_index[first]] -= 1
+        cost, melds = best(tuple(remaining), jokers, need_pure, need_sequences, memo, allow_swaps)
+        result = (cost + key_points(first), melds)
+
+        # Option 2: first card goes into a meld
+        for meld in candidate_melds(first, list(counts), jokers, allow_swaps):
+            verdict = classify(tuple(meld))
+            if not verdict["valid"]:
+                continue
+            remaining = list(counts)
+            used_printed = 0
+            for key in meld:
+                if key == PRINTED_JOKER_KEY:
+                    used_printed += 1
+                else:
+                    remaining[key_index[key]] -= 1
+            cost, melds = best(
+                tuple(remaining),
+                jokers - used_printed,
+                need_pure and verdict["type"] != "pure_sequence",
+                max(0, need_sequences - (verdict["type"] in SEQUENCE_TYPES)),
+                memo,
+                allow_swaps,
+            )
+            if cost < result[0]:
+                result = (cost, [meld] + melds)
+
+        memo[state] = result
+        return result
+
+    def greedy(counts: tuple, jokers: int, need_pure: bool, need_sequences: int) -> tuple:
+        """Repeatedly take the meld that meets a sequence requirement still
+        open, else the one that clears the most points. No search, so it
+        always finishes, but it can miss the best arrangement."""
+        counts = list(counts)
+        melds = []
+        while True:
+            choice = None
+            for first in [keys[i] for i, n in enumerate(counts) if n > 0 and keys[i][0] != wild_rank]:
+                for meld in candidate_melds(first, counts, jokers, False):
+                    verdict = classify(tuple(meld))
+                    if not verdict["valid"]:
+                        continue
+                    rank = (
+                        need_pure and verdict["type"] == "pure_sequence",
+                        need_sequences > 0 and verdict["type"] in SEQUENCE_TYPES,
+                        sum(key_points(k) for k in meld if k != PRINTED_JOKER_KEY and k[0] != wild_rank),
+                    )
+                    if choice is None or rank > choice[0]:
+                        choice = (rank, meld, verdict["type"])
+            if choice is None:
+                break
+            _, meld, meld_type = choice
+            for key in meld:
+                if key == PRINTED_JOKER_KEY:
+                    jokers -= 1
+                else:
+                    counts[key_index[key]] -= 1
+            melds.append(meld)
+            need_pure = need_pure and meld_type != "pure_sequence"
+            need_sequences = max(0, need_sequences - (meld_type in SEQUENCE_TYPES))
+        if need_pure or need_sequences:
+            return INF, []
+        return sum(key_points(keys[i]) * n for i, n in enumerate(counts) if keys[i][0] != wild_rank), melds
+
+    start_counts = tuple(len(cards_by_key[k]) for k in keys)
+    cost, meld_keys = INF, []
+    # If the full search runs over budget, retry without the joker-swap
+    # variants, which are what multiply the search space, and failing that
+    # settle for a greedy arrangement
+    for allow_swaps in (True, False):
+        try:
+            cost, meld_keys = best(start_counts, printed_jokers, True, rules.min_sequences, {}, allow_swaps)
+            break
+        except _SolverBudgetExceeded:
+            continue
+    else:
+        cost, meld_keys = greedy(start_counts, printed_jokers, True, rules.min_sequences)
+
+    if cost >= all_points:
+        # Sequence requirements can't be met (or no gain): everything is deadwood
+        return [], list(hand), all_points
+
+    # Hand the actual card objects back out in meld order
+    pools = {k: list(v) for k, v in cards_by_key.items()}
+    pools[PRINTED_JOKER_KEY] = [c for c in hand if _card_key(c) == PRINTED_JOKER_KEY]
+    melds = [[pools[key].pop() for key in meld] for meld in meld_keys]
+    leftover = [c for pool in pools.values() for c in pool]
+    return melds, leftover, int(cost)
 
 
 def auto_organize_hand(
     hand: list[dict | tuple],
     wild_joker_rank: str | None = None,
-    has_wild_joker_revealed: bool = True
+    has_wild_joker_revealed: bool = True,
+    ace_value: int = 10,
+    rules: RuleSet | None = None
 ) -> tuple[list[list[dict | tuple]], list[dict | tuple]]:
     """
-    Automatically organize a hand into best possible melds and leftover cards.
+    Automatically organize a hand into the minimum-deadwood melds and leftover cards.
     Used for scoring opponents when someone declares.
     
     Returns:
         (melds, leftover_cards)
     """
-    if not hand or len(hand) == 0:
-        return [], []
-    
-    remaining = list(hand)
-    melds = []
-    
-    # Helper to try forming sequences
-    def try_form_sequence(cards_pool: list) -> list | None:
-        """Try to find a valid sequence from cards pool."""
-        for i in range(len(cards_pool)):
-            for j in range(i + 1, len(cards_pool)):
-                for k in range(j + 1, len(cards_pool)):
-                    group = [cards_pool[i], cards_pool[j], cards_pool[k]]
-                    if is_sequence(group, wild_joker_rank, has_wild_joker_revealed):
-                        # Try to extend to 4 cards
-                        for m in range(len(cards_pool)):
-                            if m not in [i, j, k]:
-                                extended = group + [cards_pool[m]]
-                                if is_sequence(extended, wild_joker_rank, has_wild_joker_revealed):
-                                    return extended
-                        return group
-        return None
-    
-    # Helper to try forming sets
-    def try_form_set(cards_pool: list) -> list | None:
-        """Try to find a valid set from cards pool."""
-        for i in range(len(cards_pool)):
-            for j in range(i + 1, len(cards_pool)):
-                for k in range(j + 1, len(cards_pool)):
-                    group = [cards_pool[i], cards_pool[j], cards_pool[k]]
-                    if is_set(group, wild_joker_rank, has_wild_joker_revealed):
-                        # Try to extend to 4 cards
-                        for m in range(len(cards_pool)):
-                            if m not in [i, j, k]:
-                                extended = group + [cards_pool[m]]
-                                if is_set(extended, wild_joker_rank, has_wild_joker_revealed):
-                                    return extended
-                        return group
-        return None
-    
-    # First pass: try to form pure sequences (highest priority)
-    while True:
-        seq = try_form_sequence(remaining)
-        if seq and is_pure_sequence(seq, wild_joker_rank, has_wild_joker_revealed):
-            melds.append(seq)
-            for card in seq:
-                remaining.remove(card)
-        else:
-            break
-    
-    # Second pass: form any sequences
-    while True:
-        seq = try_form_sequence(remaining)
-        if seq:
-            melds.append(seq)
-            for card in seq:
-                remaining.remove(card)
-        else:
-            break
-    
-    # Third pass: form sets
-    while True:
-        set_group = try_form_set(remaining)
-        if set_group:
-            melds.append(set_group)
-            for card in set_group:
-                remaining.remove(card)
-        else:
-            break
-    
-    return melds, remaining
+    melds, leftover, _ = find_best_arrangement(
+        hand, wild_joker_rank, has_wild_joker_revealed, ace_value, rules
+    )
+    return melds, leftover
 
 
-def organize_hand_by_melds(hand: List[Union[dict, object]]) -> Dict[str, List[List[Union[dict, object]]]]:
+def organize_hand_by_melds(
+    hand: List[Union[dict, object]],
+    wild_joker_rank: str | None = None,
+    has_wild_joker_revealed: bool = True,
+    ace_value: int = 10,
+    rules: RuleSet | None = None
+) -> Dict[str, List[List[Union[dict, object]]]]:
     """
     Organize a hand into meld groups for display.
     Returns cards grouped by meld type for easy verification.
@@ -389,83 +832,23 @@ def organize_hand_by_melds(hand: List[Union[dict, object]]) -> Dict[str, List[Li
             'ungrouped': [card, card, ...]
         }
     """
-    if not hand:
-        return {
-            'pure_sequences': [],
-            'impure_sequences': [],
-            'sets': [],
-            'ungrouped': []
-        }
-    
-    remaining_cards = list(hand)
-    pure_seqs = []
-    impure_seqs = []
-    sets_list = []
-    
-    # Helper to find best meld of specific type
-    def find_meld_of_type(cards: List, meld_type: str) -> Optional[List]:
-        if len(cards) < 3:
-            return None
-        
-        # Try all combinations of 3 and 4 cards
-        for size in [4, 3]:  # Try 4-card melds first
-            if len(cards) < size:
-                continue
-            for i in range(len(cards) - size + 1):
-                group = cards[i:i+size]
-                if meld_type == 'pure_seq' and is_pure_sequence(group):
-                    return group
-                elif meld_type == 'impure_seq' and is_sequence(group) and not is_pure_sequence(group):
-                    return group
-                elif meld_type == 'set' and is_set(group):
-                    return group
-        
-        # Try all combinations (not just consecutive)
-        from itertools import combinations
-        for size in [4, 3]:
-            if len(cards) < size:
-                continue
-            for combo in combinations(range(len(cards)), size):
-                group = [cards[idx] for idx in combo]
-                if meld_type == 'pure_seq' and is_pure_sequence(group):
-                    return group
-                elif meld_type == 'impure_seq' and is_sequence(group) and not is_pure_sequence(group):
-                    return group
-                elif meld_type == 'set' and is_set(group):
-                    return group
-        
-        return None
-    
-    # 1. Find pure sequences first (highest priority)
-    while len(remaining_cards) >= 3:
-        meld = find_meld_of_type(remaining_cards, 'pure_seq')
-        if not meld:
-            break
-        pure_seqs.append(meld)
-        for card in meld:
-            remaining_cards.remove(card)
-    
-    # 2. Find impure sequences
-    while len(remaining_cards) >= 3:
-        meld = find_meld_of_type(remaining_cards, 'impure_seq')
-        if not meld:
-            break
-        impure_seqs.append(meld)
-        for card in meld:
-            remaining_cards.remove(card)
-    
-    # 3. Find sets
-    while len(remaining_cards) >= 3:
-        meld = find_meld_of_type(remaining_cards, 'set')
-        if not meld:
-            break
-        sets_list.append(meld)
-        for card in meld:
-            remaining_cards.remove(card)
-    
-    return {
-        'pure_sequences': pure_seqs,
-        'impure_sequences': impure_seqs,
-        'sets': sets_list,
-        'ungrouped': remaining_cards
+    organized = {
+        'pure_sequences': [],
+        'impure_sequences': [],
+        'sets': [],
+        'ungrouped': []
     }
+    if not hand:
+        return organized
+    
+    melds, leftover = auto_organize_hand(hand, wild_joker_rank, has_wild_joker_revealed, ace_value, rules)
+    for meld in melds:
+        meld_type = classify_meld(meld, wild_joker_rank, has_wild_joker_revealed, rules)["type"]
+        if meld_type == 'pure_sequence':
+            organized['pure_sequences'].append(meld)
+        elif meld_type == 'impure_sequence':
+            organized['impure_sequences'].append(meld)
+        else:
+            organized['sets'].append(meld)
+    organized['ungrouped'] = leftover
+    return organized
@@ -0,0 +1,114 @@
+# Per-table event fan-out behind GET /tables/events
+# Endpoints publish small typed events after their writes commit; each open
+# event stream holds a queue. Subscribers live in this process, so every
+# stream and publisher of a table must be served by the same worker.
+# Every event is also sent as a Postgres NOTIFY on NOTIFY_CHANNEL, which the
+# socket server LISTENs to and rebroadcasts to the table's room.
+
+import asyncio
+import json
+import logging
+from contextlib import asynccontextmanager
+from typing import Dict, List, Optional, Set
+
+from app.libs.db import execute, on_commit
+
+PLAYER_JOINED = "player_joined"  # took a seat
+PLAYER_LEFT = "player_left"  # lost their connection; keeps the seat until reconnect_deadline
+PLAYER_RECONNECTED = "player_reconnected"  # came back within the reconnect grace
+PLAYER_DROPPED = "player_dropped"  # dropped out of the current deal
+ROUND_STARTED = "round_started"
+TURN_CHANGED = "turn_changed"
+CARD_DRAWN = "card_drawn"  # says which pile, never the card taken from the stock
+CARD_DISCARDED = "card_discarded"
+JOKER_REVEALED = "joker_revealed"  # who revealed it, not the rank
+DECLARED = "declared"
+ROUND_FINISHED = "round_finished"
+CHAT_MESSAGE = "chat_message"
+VOICE_UPDATED = "voice_updated"
+
+QUEUE_SIZE = 100
+
+NOTIFY_CHANNEL = "rummy_table_events"
+# Postgres rejects NOTIFY payloads of 8000 bytes or more
+NOTIFY_MAX_BYTES = 7900
+
+
+class _Subscriber:
+    def __init__(self, user_id: str):
+        self.user_id = user_id
+        self.queue: asyncio.Queue = asyncio.Queue(maxsize=QUEUE_SIZE)
+        # Set when the queue overflowed; the stream closes so the client resyncs
+        self.lagging = False
+
+
+_subscribers: Dict[str, Set[_Subscriber]] = {}
+# Payloads waiting to be NOTIFYed, sent in publish order by one task
+_outbox: Optional[asyncio.Queue] = None
+
+
+def _notify_payload(event: dict, visible_to: Optional[List[str]]) -> str:
+    payload = json.dumps({**event, "visible_to": visible_to}, separators=(",", ":"), default=str)
+    if len(payload.encode()) > NOTIFY_MAX_BYTES:
+        # Too big to send whole; listeners re-read the table instead
+        payload = json.dumps(
+            {"type": event["type"], "table_id": event["table_id"], "truncated": True, "visible_to": visible_to},
+            separators=(",", ":"),
+        )
+    return payload
+
+
+async def _send_notifications(outbox: asyncio.Queue) -> None:
+    while True:
+        payload = await outbox.get()
+        try:
+            await execute("SELECT pg_notify($1, $2)", NOTIFY_CHANNEL, payload)
+        except Exception:
+            logging.getLogger(__name__).exception("Table event NOTIFY failed")
+
+
+def _notify(event: dict, visible_to: Optional[List[str]]) -> None:
+    global _outbox
+    if _outbox is None:
+        _outbox = asyncio.Queue()
+        asyncio.get_running_loop().create_task(_send_notifications(_outbox))
+    _outbox.put_nowait(_notify_payload(event, visible_to))
+
+
+def publish(table_id: str, event_type: str, data: dict, visible_to: Optional[List[str]] = None) -> None:
+    """Send an event to everyone streaming the table once the current transaction commits.
+
+    `visible_to` limits delivery to those user ids, e.g. for private chat.
+    """
+    event = {"type": event_type, "table_id": table_id, **data}
+
+    def deliver() -> None:
+        for sub in list(_subscribers.get(table_id, ())):
+            if visible_to is not None and sub.user_id not in visible_to:
+                continue
+            try:
+                sub.queue.put_nowait(event)
+            except asyncio.QueueFull:
+                sub.lagging = True
+        _notify(event, visible_to)
+
+    on_commit(deliver)
+
+
+@asynccontextmanager
+async def subscribe(table_id: str, user_id: str):
+    """Receive the table's events for as long as the block runs."""
+    sub = _Subscriber(user_id)
+    _subscribers.setdefault(table_id, set()).add(sub)
+    try:
+        yield sub
+    finally:
+        subs = _subscribers.get(table_id, set())
+        subs.discard(sub)
+        if not subs:
+            _subscribers.pop(table_id, None)
+
+
+def is_streaming(table_id: str, user_id: str) -> bool:
+    """Whether the user has an event stream of the table open in this process."""
+    return any(s.user_id == user_id for s in _subscribers.get(table_id, ()))
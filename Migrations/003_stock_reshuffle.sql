@@ -0,0 +1,10 @@
+-- What happens when the stock runs out, and the reshuffles made so far this round.
+-- Every migration here is safe to run again.
+
+ALTER TABLE public.rummy_tables
+    ADD COLUMN IF NOT EXISTS stock_exhausted_rule text NOT NULL DEFAULT 'reshuffle'
+        CHECK (stock_exhausted_rule IN ('reshuffle', 'draw'));
+
+-- ReshuffleEvent objects, oldest first
+ALTER TABLE public.rummy_rounds
+    ADD COLUMN IF NOT EXISTS reshuffles jsonb NOT NULL DEFAULT '[]'::jsonb;
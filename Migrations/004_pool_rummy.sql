@@ -0,0 +1,16 @@
+-- Game types, Pool Rummy limits, drops and rejoins.
+
+ALTER TABLE public.rummy_tables
+    ADD COLUMN IF NOT EXISTS game_type text NOT NULL DEFAULT 'classic'
+        CHECK (game_type IN ('classic', 'pool', 'deals', 'points')),
+    -- 101 or 201; pool games only
+    ADD COLUMN IF NOT EXISTS pool_limit integer;
+
+ALTER TABLE public.rummy_rounds
+    -- user_id -> {"type": "first" | "middle" | "full", "points": int}
+    ADD COLUMN IF NOT EXISTS drops jsonb NOT NULL DEFAULT '{}'::jsonb,
+    -- players who have drawn this round; a drop after drawing is a middle drop
+    ADD COLUMN IF NOT EXISTS drawn_user_ids jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.rummy_table_players
+    ADD COLUMN IF NOT EXISTS rejoins integer NOT NULL DEFAULT 0;
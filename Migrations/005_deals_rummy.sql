@@ -0,0 +1,12 @@
+-- Deals Rummy: deal count, chips held and each deal's chip transfers.
+
+ALTER TABLE public.rummy_tables
+    -- 2, 3 or 6; deals games only
+    ADD COLUMN IF NOT EXISTS deal_count integer;
+
+ALTER TABLE public.rummy_table_players
+    ADD COLUMN IF NOT EXISTS chips integer NOT NULL DEFAULT 0;
+
+-- user_id -> chips won (+) or paid (-); set when a deal is settled
+ALTER TABLE public.rummy_rounds
+    ADD COLUMN IF NOT EXISTS chip_transfers jsonb;
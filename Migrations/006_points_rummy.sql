@@ -0,0 +1,21 @@
+-- Points Rummy: value per point and the settlement ledger.
+
+ALTER TABLE public.rummy_tables
+    -- chips per point; points games only
+    ADD COLUMN IF NOT EXISTS point_value numeric(12, 2);
+
+-- One row per loser per settled round: from_user_id pays the winner
+CREATE TABLE IF NOT EXISTS public.rummy_settlements (
+    id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    table_id text NOT NULL REFERENCES public.rummy_tables (id) ON DELETE CASCADE,
+    round_id text NOT NULL REFERENCES public.rummy_rounds (id) ON DELETE CASCADE,
+    round_number integer NOT NULL,
+    from_user_id text NOT NULL,
+    to_user_id text NOT NULL,
+    points integer NOT NULL,
+    amount numeric(12, 2) NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS rummy_settlements_table_idx
+    ON public.rummy_settlements (table_id, round_number);
@@ -0,0 +1,11 @@
+-- Deck count per table and the deck each round was dealt from.
+
+ALTER TABLE public.rummy_tables
+    -- 1-3; NULL picks by player count each deal
+    ADD COLUMN IF NOT EXISTS deck_count integer CHECK (deck_count BETWEEN 1 AND 3),
+    ADD COLUMN IF NOT EXISTS printed_jokers_per_deck integer NOT NULL DEFAULT 2
+        CHECK (printed_jokers_per_deck BETWEEN 0 AND 2);
+
+-- The DeckConfig the round was dealt from
+ALTER TABLE public.rummy_rounds
+    ADD COLUMN IF NOT EXISTS deck_config jsonb;
@@ -0,0 +1,6 @@
+-- Host-set drop penalties; NULL uses the game type's default.
+
+ALTER TABLE public.rummy_tables
+    ADD COLUMN IF NOT EXISTS first_drop_penalty integer,
+    ADD COLUMN IF NOT EXISTS middle_drop_penalty integer,
+    ADD COLUMN IF NOT EXISTS full_count_penalty integer;
@@ -0,0 +1,15 @@
+-- Turn timer, time banks and consecutive timeouts.
+
+ALTER TABLE public.rummy_tables
+    -- 0 turns the timer off
+    ADD COLUMN IF NOT EXISTS turn_seconds integer NOT NULL DEFAULT 30,
+    ADD COLUMN IF NOT EXISTS time_bank_seconds integer NOT NULL DEFAULT 60,
+    ADD COLUMN IF NOT EXISTS max_timeouts integer NOT NULL DEFAULT 3;
+
+ALTER TABLE public.rummy_rounds
+    -- NULL while the timer is off
+    ADD COLUMN IF NOT EXISTS turn_deadline timestamptz,
+    -- user_id -> seconds of time bank left
+    ADD COLUMN IF NOT EXISTS time_banks jsonb NOT NULL DEFAULT '{}'::jsonb,
+    -- user_id -> consecutive timeouts
+    ADD COLUMN IF NOT EXISTS timeouts jsonb NOT NULL DEFAULT '{}'::jsonb;
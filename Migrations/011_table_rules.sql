@@ -0,0 +1,4 @@
+-- House rules (RuleSet); NULL for tables created before them, which get the defaults.
+
+ALTER TABLE public.rummy_tables
+    ADD COLUMN IF NOT EXISTS rules jsonb;
@@ -0,0 +1,4 @@
+-- Each player's saved grouping of their hand: user_id -> list of groups.
+
+ALTER TABLE public.rummy_rounds
+    ADD COLUMN IF NOT EXISTS arrangements jsonb NOT NULL DEFAULT '{}'::jsonb;
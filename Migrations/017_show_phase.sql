@@ -0,0 +1,4 @@
+-- When opponents must have grouped their cards after a valid declaration.
+
+ALTER TABLE public.rummy_rounds
+    ADD COLUMN IF NOT EXISTS show_deadline timestamptz;
@@ -0,0 +1,5 @@
+-- The round's phase (see Libraries/round_phase.js). NULL for rounds written
+-- before it existed; their phase is derived from the older columns.
+
+ALTER TABLE public.rummy_rounds
+    ADD COLUMN IF NOT EXISTS phase text;
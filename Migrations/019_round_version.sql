@@ -0,0 +1,5 @@
+-- Bumped on every write to shared round state; turn actions send back the
+-- version they acted on and fail as stale when it has moved.
+
+ALTER TABLE public.rummy_rounds
+    ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 0;
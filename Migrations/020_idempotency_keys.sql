@@ -0,0 +1,15 @@
+-- The first successful response to each turn action, by the client's Idempotency-Key.
+-- Rows older than a day are deleted as new keys come in.
+
+CREATE TABLE IF NOT EXISTS public.rummy_idempotency_keys (
+    user_id text NOT NULL,
+    idempotency_key text NOT NULL,
+    action text NOT NULL,
+    table_id text NOT NULL REFERENCES public.rummy_tables (id) ON DELETE CASCADE,
+    response jsonb NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS rummy_idempotency_keys_created_idx
+    ON public.rummy_idempotency_keys (user_id, created_at);
@@ -0,0 +1,9 @@
+-- How long a disconnected player keeps their seat, and when they went.
+
+ALTER TABLE public.rummy_tables
+    -- 0 drops them at once
+    ADD COLUMN IF NOT EXISTS reconnect_grace_seconds integer NOT NULL DEFAULT 90;
+
+ALTER TABLE public.rummy_table_players
+    -- NULL while connected
+    ADD COLUMN IF NOT EXISTS disconnected_at timestamptz;
@@ -6,7 +6,7 @@ import { Input } from '@/components/ui/input';
 import { ArrowLeft, Users, Trophy, Crown, Copy, Check } from 'lucide-react';
 import { toast } from 'sonner';
 import apiclient from '../apiclient';
-import type { CreateTableRequest } from '../apiclient/data-contracts';
+import type { CreateTableRequest, RuleSet } from '../apiclient/data-contracts';
 import { useUser } from '@stackframe/react';
 
 interface VariantConfig {
@@ -41,6 +41,12 @@ const variantConfigs: Record<string, VariantConfig> = {
   }
 };
 
+const ACE_WRAP_LABELS: Record<RuleSet['ace_wrap'], string> = {
+  ace_low: 'A-2-3 only',
+  ace_high: 'Q-K-A allowed',
+  round_the_corner: 'K-A-2 allowed',
+};
+
 export default function CreateTable() {
   const navigate = useNavigate();
   const [sp] = useSearchParams();
@@ -51,7 +57,28 @@ export default function CreateTable() {
   const [playerName, setPlayerName] = useState('Player');
   const [maxPlayers, setMaxPlayers] = useState(4);
   const [disqualifyScore, setDisqualifyScore] = useState(200);
+  const [gameType, setGameType] = useState<'classic' | 'pool' | 'deals' | 'points'>('classic');
+  const [poolLimit, setPoolLimit] = useState<101 | 201>(101);
+  const [dealCount, setDealCount] = useState<2 | 3 | 6>(2);
+  const [pointValue, setPointValue] = useState(1);
+  const [deckCount, setDeckCount] = useState<number | null>(null);
+  const [jokersPerDeck, setJokersPerDeck] = useState(2);
+  // Empty string means "use the game type's default"
+  const [dropPenalties, setDropPenalties] = useState({ first: '', middle: '', full: '' });
   const [aceValue, setAceValue] = useState<1 | 10>(10);
+  const [stockExhaustedRule, setStockExhaustedRule] = useState<'reshuffle' | 'draw'>('reshuffle');
+  const [turnSeconds, setTurnSeconds] = useState(30);
+  const [timeBankSeconds, setTimeBankSeconds] = useState(60);
+  const [maxTimeouts, setMaxTimeouts] = useState(3);
+  const [reconnectGraceSeconds, setReconnectGraceSeconds] = useState(90);
+  // House rules; ace_value is set from the Ace Point Value buttons on submit
+  const [houseRules, setHouseRules] = useState<Omit<RuleSet, 'ace_value'>>({
+    ace_wrap: 'ace_high',
+    max_set_size: 4,
+    same_suit_in_set: false,
+    min_sequences: 1,
+    deadwood_cap: 80,
+  });
   const [creating, setCreating] = useState(false);
   const [generatedCode, setGeneratedCode] = useState('');
   const [tableId, setTableId] = useState<string | null>(null);
@@ -81,6 +108,15 @@ export default function CreateTable() {
       return;
     }
     
+    if (gameType === 'points' && !(pointValue > 0)) {
+      toast.error('Point value must be greater than 0');
+      return;
+    }
+    if (!(houseRules.deadwood_cap >= 1 && houseRules.deadwood_cap <= 200)) {
+      toast.error('Deadwood cap must be between 1 and 200');
+      return;
+    }
+    
     setCreating(true);
     try {
       const body: CreateTableRequest = {
@@ -88,6 +124,21 @@ export default function CreateTable() {
         disqualify_score: disqualifyScore,
         wild_joker_mode: variant.wildJokerMode,
         ace_value: aceValue,
+        stock_exhausted_rule: stockExhaustedRule,
+        game_type: gameType,
+        pool_limit: poolLimit,
+        deal_count: dealCount,
+        point_value: pointValue,
+        deck_count: deckCount,
+        printed_jokers_per_deck: jokersPerDeck,
+        first_drop_penalty: dropPenalties.first === '' ? null : Number(dropPenalties.first),
+        middle_drop_penalty: dropPenalties.middle === '' ? null : Number(dropPenalties.middle),
+        full_count_penalty: dropPenalties.full === '' ? null : Number(dropPenalties.full),
+        turn_seconds: turnSeconds,
+        time_bank_seconds: timeBankSeconds,
+        max_timeouts: maxTimeouts,
+        reconnect_grace_seconds: reconnectGraceSeconds,
+        rules: { ...houseRules, ace_value: aceValue },
       };
       
       // 🔍 DETAILED FRONTEND LOGGING - Check console!
@@ -191,13 +242,53 @@ export default function CreateTable() {
                 <span className="text-white font-medium">{maxPlayers}</span>
               </div>
               <div className="flex justify-between text-sm">
-                <span className="text-slate-400">Disqualify Score:</span>
-                <span className="text-white font-medium">{disqualifyScore} pts</span>
+                <span className="text-slate-400">Game Type:</span>
+                <span className="text-white font-medium">
+                  {gameType === 'pool'
+                    ? `Pool ${poolLimit}`
+                    : gameType === 'deals'
+                      ? `Deals (${dealCount})`
+                      : gameType === 'points'
+                        ? `Points (${pointValue} / point)`
+                        : 'Classic'}
+                </span>
+              </div>
+              {(gameType === 'classic' || gameType === 'pool') && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-400">Disqualify Score:</span>
+                  <span className="text-white font-medium">{gameType === 'pool' ? poolLimit : disqualifyScore} pts</span>
+                </div>
+              )}
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-400">Decks:</span>
+                <span className="text-white font-medium">
+                  {deckCount ? `${deckCount}` : 'Auto'} · {jokersPerDeck} printed joker{jokersPerDeck === 1 ? '' : 's'} per deck
+                </span>
               </div>
               <div className="flex justify-between text-sm">
                 <span className="text-slate-400">Ace Value:</span>
                 <span className="text-white font-medium">{aceValue} pt{aceValue === 1 ? '' : 's'}</span>
               </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-400">Empty Stock:</span>
+                <span className="text-white font-medium">{stockExhaustedRule === 'reshuffle' ? 'Reshuffle discards' : 'Round is a draw'}</span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-400">House Rules:</span>
+                <span className="text-white font-medium">
+                  {ACE_WRAP_LABELS[houseRules.ace_wrap]} · sets up to {houseRules.max_set_size} · {houseRules.min_sequences}+ sequence{houseRules.min_sequences === 1 ? '' : 's'} · cap {houseRules.deadwood_cap}
+                </span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-400">Turn Timer:</span>
+                <span className="text-white font-medium">
+                  {turnSeconds ? `${turnSeconds}s + ${timeBankSeconds}s bank · drop after ${maxTimeouts}` : 'Off'}
+                </span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-400">Reconnect Grace:</span>
+                <span className="text-white font-medium">{reconnectGraceSeconds ? `${reconnectGraceSeconds}s` : 'None'}</span>
+              </div>
             </div>
 
             {/* Actions */}
@@ -271,7 +362,12 @@ export default function CreateTable() {
               </label>
               <select
                 value={maxPlayers}
-                onChange={(e) => setMaxPlayers(Number(e.target.value))}
+                onChange={(e) => {
+                  const players = Number(e.target.value);
+                  setMaxPlayers(players);
+                  // A single deck only seats two players
+                  if (deckCount === 1 && players > 2) setDeckCount(null);
+                }}
                 className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
               >
                 <option value={2}>2 Players</option>
@@ -282,7 +378,79 @@ export default function CreateTable() {
               </select>
             </div>
 
+            {/* Game Type */}
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Game Type
+              </label>
+              <select
+                value={gameType === 'pool' ? `pool_${poolLimit}` : gameType}
+                onChange={(e) => {
+                  if (e.target.value === 'classic' || e.target.value === 'deals' || e.target.value === 'points') {
+                    setGameType(e.target.value);
+                  } else {
+                    setGameType('pool');
+                    setPoolLimit(e.target.value === 'pool_201' ? 201 : 101);
+                  }
+                }}
+                className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+              >
+                <option value="classic">Classic</option>
+                <option value="pool_101">Pool 101</option>
+                <option value="pool_201">Pool 201</option>
+                <option value="deals">Deals</option>
+                <option value="points">Points</option>
+              </select>
+              {gameType === 'pool' && (
+                <p className="text-xs text-slate-500 mt-1">
+                  Reaching {poolLimit} points eliminates a player. Drops cost {poolLimit === 101 ? '20 / 40' : '25 / 50'}; eliminated players can rejoin while rejoins are open.
+                </p>
+              )}
+            </div>
+
+            {/* Number of Deals */}
+            {gameType === 'deals' && (
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Number of Deals
+                </label>
+                <select
+                  value={dealCount}
+                  onChange={(e) => setDealCount(Number(e.target.value) as 2 | 3 | 6)}
+                  className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                >
+                  <option value={2}>2 Deals</option>
+                  <option value={3}>3 Deals</option>
+                  <option value={6}>6 Deals</option>
+                </select>
+                <p className="text-xs text-slate-500 mt-1">
+                  Everyone starts with {dealCount * 80} chips. Losers pay the deal winner their points in chips; the chip leader after the last deal wins.
+                </p>
+              </div>
+            )}
+
+            {/* Point Value */}
+            {gameType === 'points' && (
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Point Value
+                </label>
+                <Input
+                  type="number"
+                  min={0.01}
+                  step={0.01}
+                  value={pointValue}
+                  onChange={(e) => setPointValue(Number(e.target.value))}
+                  className="bg-slate-900/50 border-slate-600 text-white"
+                />
+                <p className="text-xs text-slate-500 mt-1">
+                  Each round settles on its own: the winner collects every opponent's points × this value in chips.
+                </p>
+              </div>
+            )}
+
             {/* Disqualification Score */}
+            {gameType === 'classic' && (
             <div>
               <label className="block text-sm font-medium text-slate-300 mb-2">
                 <Trophy className="w-4 h-4 inline mr-2" />
@@ -301,6 +469,68 @@ export default function CreateTable() {
               </select>
               <p className="text-xs text-slate-500 mt-1">Players reaching this score will be disqualified</p>
             </div>
+            )}
+
+            {/* Deck Policy */}
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Decks
+                </label>
+                <select
+                  value={deckCount ?? 'auto'}
+                  onChange={(e) => setDeckCount(e.target.value === 'auto' ? null : Number(e.target.value))}
+                  className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                >
+                  <option value="auto">Auto (by players)</option>
+                  <option value={1} disabled={maxPlayers > 2}>1 Deck</option>
+                  <option value={2}>2 Decks</option>
+                  <option value={3}>3 Decks</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Printed Jokers / Deck
+                </label>
+                <select
+                  value={jokersPerDeck}
+                  onChange={(e) => setJokersPerDeck(Number(e.target.value))}
+                  className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                >
+                  <option value={0}>0</option>
+                  <option value={1}>1</option>
+                  <option value={2}>2</option>
+                </select>
+              </div>
+              <p className="col-span-2 text-xs text-slate-500">Auto uses 1 deck for 2 players, 2 for 3–4 and 3 for 5–6</p>
+            </div>
+
+            {/* Drop Penalties */}
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Drop Penalties
+              </label>
+              <div className="grid grid-cols-3 gap-3">
+                {([
+                  ['first', 'First drop', gameType === 'pool' && poolLimit === 201 ? 25 : 20],
+                  ['middle', 'Middle drop', gameType === 'pool' && poolLimit === 201 ? 50 : 40],
+                  ['full', 'Full count', 80],
+                ] as const).map(([key, label, fallback]) => (
+                  <div key={key}>
+                    <Input
+                      type="number"
+                      min={1}
+                      value={dropPenalties[key]}
+                      placeholder={String(fallback)}
+                      onChange={(e) => setDropPenalties((prev) => ({ ...prev, [key]: e.target.value }))}
+                      className="bg-slate-900/50 border-slate-600 text-white placeholder:text-slate-500"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">{label}</p>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-slate-500 mt-1">Leave blank for the defaults (pool games scale with the pool size)</p>
+            </div>
 
             {/* Ace Value */}
             <div>
@@ -333,6 +563,163 @@ export default function CreateTable() {
               </div>
             </div>
 
+            {/* Empty Stock Rule */}
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                When the Stock Runs Out
+              </label>
+              <select
+                value={stockExhaustedRule}
+                onChange={(e) => setStockExhaustedRule(e.target.value as 'reshuffle' | 'draw')}
+                className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+              >
+                <option value="reshuffle">Reshuffle the discard pile into a new stock</option>
+                <option value="draw">End the round as a draw</option>
+              </select>
+              <p className="text-xs text-slate-500 mt-1">Reshuffling keeps the top discard face up</p>
+            </div>
+
+            {/* House Rules */}
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                House Rules
+              </label>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <select
+                    value={houseRules.ace_wrap}
+                    onChange={(e) => setHouseRules((prev) => ({ ...prev, ace_wrap: e.target.value as RuleSet['ace_wrap'] }))}
+                    className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                  >
+                    {(Object.keys(ACE_WRAP_LABELS) as RuleSet['ace_wrap'][]).map((wrap) => (
+                      <option key={wrap} value={wrap}>{ACE_WRAP_LABELS[wrap]}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-slate-500 mt-1">Ace in sequences</p>
+                </div>
+                <div>
+                  <select
+                    value={houseRules.min_sequences}
+                    onChange={(e) => setHouseRules((prev) => ({ ...prev, min_sequences: Number(e.target.value) }))}
+                    className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                  >
+                    <option value={1}>1 (pure)</option>
+                    <option value={2}>2 (one pure)</option>
+                    <option value={3}>3 (one pure)</option>
+                  </select>
+                  <p className="text-xs text-slate-500 mt-1">Sequences to declare</p>
+                </div>
+                <div>
+                  <select
+                    value={houseRules.max_set_size}
+                    onChange={(e) => setHouseRules((prev) => ({ ...prev, max_set_size: Number(e.target.value) }))}
+                    className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                  >
+                    <option value={4}>4 cards</option>
+                    <option value={5}>5 cards</option>
+                    <option value={6}>6 cards</option>
+                    <option value={8}>8 cards</option>
+                  </select>
+                  <p className="text-xs text-slate-500 mt-1">Largest set</p>
+                </div>
+                <div>
+                  <Input
+                    type="number"
+                    min={1}
+                    max={200}
+                    value={houseRules.deadwood_cap}
+                    onChange={(e) => setHouseRules((prev) => ({ ...prev, deadwood_cap: Number(e.target.value) }))}
+                    className="bg-slate-900/50 border-slate-600 text-white"
+                  />
+                  <p className="text-xs text-slate-500 mt-1">Deadwood cap</p>
+                </div>
+              </div>
+              <label className="flex items-center gap-2 mt-3 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={houseRules.same_suit_in_set}
+                  onChange={(e) => setHouseRules((prev) => ({ ...prev, same_suit_in_set: e.target.checked }))}
+                  className="accent-slate-500"
+                />
+                Allow two cards of the same suit in a set
+              </label>
+            </div>
+
+            {/* Turn Timer */}
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Turn Time
+                </label>
+                <select
+                  value={turnSeconds}
+                  onChange={(e) => setTurnSeconds(Number(e.target.value))}
+                  className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                >
+                  <option value={0}>Off</option>
+                  <option value={15}>15s</option>
+                  <option value={30}>30s</option>
+                  <option value={45}>45s</option>
+                  <option value={60}>60s</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Time Bank
+                </label>
+                <select
+                  value={timeBankSeconds}
+                  disabled={!turnSeconds}
+                  onChange={(e) => setTimeBankSeconds(Number(e.target.value))}
+                  className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                >
+                  <option value={0}>None</option>
+                  <option value={30}>30s</option>
+                  <option value={60}>60s</option>
+                  <option value={120}>120s</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Drop After
+                </label>
+                <select
+                  value={maxTimeouts}
+                  disabled={!turnSeconds}
+                  onChange={(e) => setMaxTimeouts(Number(e.target.value))}
+                  className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+                >
+                  <option value={2}>2 timeouts</option>
+                  <option value={3}>3 timeouts</option>
+                  <option value={5}>5 timeouts</option>
+                </select>
+              </div>
+              <p className="col-span-3 text-xs text-slate-500">
+                The time bank is used once the turn clock runs out. A timed-out turn is played automatically; too many in a row drops the player from the deal.
+              </p>
+            </div>
+
+            {/* Reconnect Grace */}
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">
+                Reconnect Grace
+              </label>
+              <select
+                value={reconnectGraceSeconds}
+                onChange={(e) => setReconnectGraceSeconds(Number(e.target.value))}
+                className="w-full px-4 py-2 bg-slate-900/50 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-slate-500"
+              >
+                <option value={0}>None</option>
+                <option value={30}>30s</option>
+                <option value={90}>90s</option>
+                <option value={180}>3 min</option>
+                <option value={300}>5 min</option>
+              </select>
+              <p className="text-xs text-slate-500 mt-2">
+                A player who loses their connection keeps their seat and hand this long, with their turns played automatically. After that they are dropped from the deal.
+              </p>
+            </div>
+
             {/* Create Button */}
             <Button
               onClick={handleCreateRoom}
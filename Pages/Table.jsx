@@ -1,10 +1,10 @@
 
 
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { useSearchParams, useNavigate } from "react-router-dom";
 import apiclient from "../apiclient";
-import type { GetTableInfoParams, TableInfoResponse, StartGameRequest, GetRoundMeParams, RoundMeResponse, DrawRequest, DiscardRequest, DiscardCard, DeclareRequest, ScoreboardResponse, RoundScoreboardParams, GetRevealedHandsParams, RevealedHandsResponse, LockSequenceRequest, GrantSpectateRequest } from "../apiclient/data-contracts";
+import type { GetTableInfoParams, TableInfoResponse, StartGameRequest, GetRoundMeParams, RoundMeResponse, DrawRequest, DiscardRequest, DiscardCard, DeclareRequest, ScoreboardResponse, RoundScoreboardParams, GetRevealedHandsParams, RevealedHandsResponse, LockSequenceRequest, CardView, DeclarePreviewResponse, GroupVerdict, HandAnalysisResponse, ShowResponse, GrantSpectateRequest, SettlementLedgerResponse } from "../apiclient/data-contracts";
 import { Copy, Check, Crown, User2, Play, ArrowDown, Trash2, Trophy, X, ChevronDown, ChevronUp, LogOut, Mic, MicOff, UserX, Eye } from "lucide-react";
 import { toast } from "sonner";
 import { HandStrip } from "components/HandStrip";
@@ -19,11 +19,19 @@ import { ScoreboardModal } from "components/ScoreboardModal";
 import { WildJokerRevealModal } from "components/WildJokerRevealModal";
 import { PointsTable } from "components/PointsTable";
 import { parseCardCode } from "utils/cardCodeUtils";
+import { classifyMeld, handDeadwood } from "utils/rummyRules.mjs";
+import { looseCards, newGroupId, reconcileWithHand, toDeclareGroups, type HandGroup } from "utils/handArrangement";
+import { gameErrorCode, gameErrorMessage } from "utils/gameErrors";
+import { sendTurnAction } from "utils/idempotency";
+import { useTableEvents } from "utils/tableEvents";
 import ChatSidebar from "components/ChatSidebar";
 import VoicePanel from 'components/VoicePanel';
 import SpectateControls from 'components/SpectateControls';
 import HistoryTable from 'components/HistoryTable';
 
+// Matches DISCONNECTED_AUTO_PLAY_SECONDS in APIs/game.js
+const DISCONNECTED_AUTO_PLAY_MS = 10000;
+
 // CardBack component with red checkered pattern
 const CardBack = ({ className = "" }: { className?: string }) => (
   <div className={`relative bg-white rounded-lg border-2 border-gray-300 shadow-lg ${className}`}>
@@ -39,402 +47,6 @@ const CardBack = ({ className = "" }: { className?: string }) => (
   </div>
 );
 
-// Helper component for a 3-card meld slot box
-interface MeldSlotBoxProps {
-  title: string;
-  slots: (RoundMeResponse["hand"][number] | null)[];
-  setSlots: (slots: (RoundMeResponse["hand"][number] | null)[]) => void;
-  myRound: RoundMeResponse | null;
-  setMyRound: (round: RoundMeResponse) => void;
-  isLocked?: boolean;
-  onToggleLock?: () => void;
-  tableId: string;
-  onRefresh: () => void;
-  hideLockButton?: boolean;
-  gameMode?: string; // Add game mode prop
-}
-
-const MeldSlotBox = ({ title, slots, setSlots, myRound, setMyRound, isLocked = false, onToggleLock, tableId, onRefresh, hideLockButton, gameMode }: MeldSlotBoxProps) => {
-  const [locking, setLocking] = useState(false);
-  const [showRevealModal, setShowRevealModal] = useState(false);
-  const [revealedRank, setRevealedRank] = useState<string | null>(null);
-  
-  const handleSlotDrop = (slotIndex: number, cardData: string) => {
-    if (!myRound || isLocked) {
-      if (isLocked) toast.error('Unlock meld first to modify');
-      return;
-    }
-    
-    const card = JSON.parse(cardData);
-    
-    // Check if slot is already occupied
-    if (slots[slotIndex] !== null) {
-      toast.error('Slot already occupied');
-      return;
-    }
-    
-    // Place card in slot
-    const newSlots = [...slots];
-    newSlots[slotIndex] = card;
-    setSlots(newSlots);
-    toast.success(`Card placed in ${title} slot ${slotIndex + 1}`);
-  };
-  
-  const handleSlotClick = (slotIndex: number) => {
-    if (!myRound || slots[slotIndex] === null || isLocked) {
-      if (isLocked) toast.error('Unlock meld first to modify');
-      return;
-    }
-    
-    // Return card to hand
-    const card = slots[slotIndex]!;
-    const newSlots = [...slots];
-    newSlots[slotIndex] = null;
-    setSlots(newSlots);
-    toast.success('Card returned to hand');
-  };
-
-  const handleLockSequence = async () => {
-    console.log('🔒 Lock button clicked!');
-    console.log('Slots:', slots);
-    console.log('Table ID:', tableId);
-    
-    // Validate that all 3 slots are filled
-    const cards = slots.filter(s => s !== null);
-    console.log('Filled cards:', cards);
-    
-    if (cards.length !== 3) {
-      console.log('❌ Not enough cards:', cards.length);
-      toast.error('Fill all 3 slots to lock a sequence');
-      return;
-    }
-    
-    console.log('✅ Starting lock sequence API call...');
-    setLocking(true);
-    try {
-      // Safely map cards with explicit null-checking
-      const meldCards = cards.map(card => {
-        if (!card) {
-          throw new Error('Null card found in meld');
-        }
-        return {
-          rank: card.rank,
-          suit: card.suit || null
-        };
-      });
-      
-      const body: LockSequenceRequest = {
-        table_id: tableId,
-        meld: meldCards
-      };
-      console.log('Request body:', body);
-      
-      console.log('📡 Calling apiclient.lock_sequence...');
-      const res = await apiclient.lock_sequence(body);
-      console.log('✅ API response received:', res);
-      console.log('Response status:', res.status);
-      console.log('Response ok:', res.ok);
-      
-      const data = await res.json();
-      console.log('📦 Response data:', data);
-
-      if (data.success) {
-        toast.success(data.message);
-        if (onToggleLock) onToggleLock(); // Lock the meld in UI
-        
-        // Show flip animation popup if wild joker was just revealed
-        if (data.wild_joker_revealed && data.wild_joker_rank) {
-          setRevealedRank(data.wild_joker_rank);
-          setShowRevealModal(true);
-          setTimeout(() => fetchRoundMe(), 500); // Refresh to show revealed wild joker
-        }
-      } else {
-        toast.error(data.message);
-      }
-    } catch (err: any) {
-      console.log('❌ Lock sequence error:');
-      console.log(err?.status, err?.statusText, '-', err?.error?.detail || 'An unexpected error occurred.');
-      console.log('Error type:', typeof err);
-      console.log('Error name:', err?.name);
-      console.log('Error message:', err?.message);
-      console.log('Error stack:', err?.stack);
-      toast.error(err?.error?.detail || err?.message || 'Failed to lock sequence');
-    } finally {
-      setLocking(false);
-      console.log('🏁 Lock sequence attempt completed');
-    }
-  };
-  
-  return (
-    <>
-      <div className={`border border-dashed rounded p-2 ${
-        isLocked 
-          ? 'border-amber-500/50 bg-amber-900/20' 
-          : 'border-purple-500/30 bg-purple-900/10'
-      }`}>
-        <div className="flex items-center justify-between mb-2">
-          <p className="text-[10px] text-purple-400">{title} (3 cards)</p>
-          <div className="flex items-center gap-1">
-            {/* Only show lock button if game mode uses wild jokers */}
-            {!isLocked && gameMode !== 'no_joker' && (
-              <button
-                onClick={handleLockSequence}
-                disabled={locking || slots.filter(s => s !== null).length !== 3}
-                className="text-[10px] px-2 py-0.5 bg-green-700 text-green-100 rounded hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed"
-                title="Lock this sequence to reveal wild joker"
-              >
-                {locking ? '...' : '🔒 Lock'}
-              </button>
-            )}
-            {onToggleLock && (
-              <button 
-                onClick={onToggleLock}
-                className={`text-[10px] px-1.5 py-0.5 rounded ${
-                  isLocked 
-                    ? 'bg-amber-500/20 text-amber-400 hover:bg-amber-500/30' 
-                    : 'bg-gray-500/20 text-gray-400 hover:bg-gray-500/30'
-                }`}
-                title={isLocked ? 'Click to unlock' : 'Click to lock'}
-              >
-                {isLocked ? '🔒' : '🔓'}
-              </button>
-            )}
-          </div>
-        </div>
-        <div className="flex gap-1">
-          {slots.map((card, i) => (
-            <div
-              key={i}
-              onDragOver={(e) => { e.preventDefault(); e.currentTarget.classList.add('ring-2', 'ring-purple-400'); }}
-              onDragLeave={(e) => { e.currentTarget.classList.remove('ring-2', 'ring-purple-400'); }}
-              onDrop={(e) => {
-                e.preventDefault();
-                e.currentTarget.classList.remove('ring-2', 'ring-purple-400');
-                const cardData = e.dataTransfer.getData('card');
-                if (cardData) handleSlotDrop(i, cardData);
-              }}
-              onClick={() => handleSlotClick(i)}
-              className="w-[60px] h-[84px] border-2 border-dashed border-muted-foreground/20 rounded bg-background/50 flex items-center justify-center cursor-pointer hover:border-purple-400/50 transition-all"
-            >
-              {card ? (
-                <div className="scale-[0.6] origin-center">
-                  <PlayingCard card={card} onClick={() => {}} />
-                </div>
-              ) : (
-                <span className="text-[10px] text-muted-foreground">{i + 1}</span>
-              )}
-            </div>
-          ))}
-        </div>
-      </div>
-      
-      {/* Wild Joker Reveal Modal */}
-      {revealedRank && (
-        <WildJokerRevealModal
-          isOpen={showRevealModal}
-          onClose={() => setShowRevealModal(false)}
-          wildJokerRank={revealedRank}
-        />
-      )}
-    </>
-  );
-};
-
-// Helper component for 4-card leftover slot box
-interface LeftoverSlotBoxProps {
-  slots: (RoundMeResponse["hand"][number] | null)[];
-  setSlots: (slots: (RoundMeResponse["hand"][number] | null)[]) => void;
-  myRound: RoundMeResponse | null;
-  setMyRound: (round: RoundMeResponse) => void;
-  isLocked?: boolean;
-  onToggleLock?: () => void;
-  tableId: string;
-  onRefresh: () => void;
-  gameMode?: string; // Add game mode prop
-}
-
-const LeftoverSlotBox = ({ slots, setSlots, myRound, setMyRound, isLocked = false, onToggleLock, tableId, onRefresh, gameMode }: LeftoverSlotBoxProps) => {
-  const [locking, setLocking] = useState(false);
-  const [showRevealModal, setShowRevealModal] = useState(false);
-  const [revealedRank, setRevealedRank] = useState<string | null>(null);
-  
-  const handleSlotDrop = (slotIndex: number, cardData: string) => {
-    if (!myRound || isLocked) return;
-    
-    const card = JSON.parse(cardData);
-    
-    // Check if slot is already occupied
-    if (slots[slotIndex] !== null) {
-      toast.error('Slot already occupied');
-      return;
-    }
-    
-    // Place card in slot
-    const newSlots = [...slots];
-    newSlots[slotIndex] = card;
-    setSlots(newSlots);
-    toast.success(`Card placed in leftover slot ${slotIndex + 1}`);
-  };
-  
-  const handleSlotClick = (slotIndex: number) => {
-    if (!myRound || slots[slotIndex] === null) return;
-    
-    // Return card to hand
-    const card = slots[slotIndex]!;
-    const newSlots = [...slots];
-    newSlots[slotIndex] = null;
-    setSlots(newSlots);
-    toast.success('Card returned to hand');
-  };
-
-  const handleLockSequence = async () => {
-    console.log('🔒 Lock button clicked (4-card)!');
-    console.log('Slots:', slots);
-    console.log('Table ID:', tableId);
-    
-    // Validate that all 4 slots are filled
-    const cards = slots.filter(s => s !== null);
-    console.log('Filled cards:', cards);
-    
-    if (cards.length !== 4) {
-      console.log('❌ Not enough cards:', cards.length);
-      toast.error('Fill all 4 slots to lock a sequence');
-      return;
-    }
-    
-    console.log('✅ Starting lock sequence API call (4-card)...');
-    setLocking(true);
-    try {
-      // Safely map cards with explicit null-checking
-      const meldCards = cards.map(card => {
-        if (!card) {
-          throw new Error('Null card found in meld');
-        }
-        return {
-          rank: card.rank,
-          suit: card.suit || null
-        };
-      });
-      
-      const body: LockSequenceRequest = {
-        table_id: tableId,
-        meld: meldCards
-      };
-      console.log('Request body:', body);
-      
-      console.log('📡 Calling apiclient.lock_sequence...');
-      const res = await apiclient.lock_sequence(body);
-      console.log('✅ API response received:', res);
-      console.log('Response status:', res.status);
-      console.log('Response ok:', res.ok);
-      
-      const data = await res.json();
-      console.log('📦 Response data:', data);
-
-      if (data.success) {
-        toast.success(data.message);
-        if (onToggleLock) onToggleLock(); // Lock the meld in UI
-        
-        // Show flip animation popup if wild joker was just revealed
-        if (data.wild_joker_revealed && data.wild_joker_rank) {
-          setRevealedRank(data.wild_joker_rank);
-          setShowRevealModal(true);
-        }
-        
-        onRefresh(); // Refresh to get updated wild joker status
-      } else {
-        toast.error(data.message);
-      }
-    } catch (err: any) {
-      console.log('❌ Lock sequence error (4-card):');
-      console.log(err?.status, err?.statusText, '-', err?.error?.detail || 'An unexpected error occurred.');
-      console.log('Error type:', typeof err);
-      console.log('Error name:', err?.name);
-      console.log('Error message:', err?.message);
-      console.log('Error stack:', err?.stack);
-      console.log('Full error object:', err);
-      toast.error(err?.error?.detail || err?.message || 'Failed to lock sequence');
-    } finally {
-      setLocking(false);
-      console.log('🏁 Lock sequence attempt completed (4-card)');
-    }
-  };
-
-  return (
-    <>
-      <div className={`border border-dashed rounded p-2 ${
-        isLocked 
-          ? 'border-amber-500/50 bg-amber-900/20' 
-          : 'border-blue-500/30 bg-blue-900/10'
-      }`}>
-        <div className="flex items-center justify-between mb-2">
-          <p className="text-[10px] text-blue-400">Leftover / 4-Card Seq</p>
-          <div className="flex items-center gap-1">
-            {/* Only show lock button if game mode uses wild jokers */}
-            {!isLocked && gameMode !== 'no_joker' && (
-              <button
-                onClick={handleLockSequence}
-                disabled={locking || slots.filter(s => s !== null).length !== 4}
-                className="text-[10px] px-2 py-0.5 bg-green-700 text-green-100 rounded hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed"
-                title="Lock this 4-card sequence to reveal wild joker"
-              >
-                {locking ? '...' : '🔒 Lock'}
-              </button>
-            )}
-            {onToggleLock && (
-              <button 
-                onClick={onToggleLock}
-                className={`text-[10px] px-1.5 py-0.5 rounded ${
-                  isLocked 
-                    ? 'bg-amber-500/20 text-amber-400 hover:bg-amber-500/30' 
-                    : 'bg-gray-500/20 text-gray-400 hover:bg-gray-500/30'
-                }`}
-                title={isLocked ? 'Click to unlock' : 'Click to lock'}
-              >
-                {isLocked ? '🔒' : '🔓'}
-              </button>
-            )}
-          </div>
-        </div>
-        <div className="flex gap-1">
-          {slots.map((card, i) => (
-            <div
-              key={i}
-              onDragOver={(e) => { e.preventDefault(); e.currentTarget.classList.add('ring-2', 'ring-blue-400'); }}
-              onDragLeave={(e) => { e.currentTarget.classList.remove('ring-2', 'ring-blue-400'); }}
-              onDrop={(e) => {
-                e.preventDefault();
-                e.currentTarget.classList.remove('ring-2', 'ring-blue-400');
-                const cardData = e.dataTransfer.getData('card');
-                if (cardData) handleSlotDrop(i, cardData);
-              }}
-              onClick={() => handleSlotClick(i)}
-              className="w-[60px] h-[84px] border-2 border-dashed border-muted-foreground/20 rounded bg-background/50 flex items-center justify-center cursor-pointer hover:border-blue-400/50 transition-all"
-            >
-              {card ? (
-                <div className="scale-[0.6] origin-center">
-                  <PlayingCard card={card} onClick={() => {}} />
-                </div>
-              ) : (
-                <span className="text-[10px] text-muted-foreground">{i + 1}</span>
-              )}
-            </div>
-          ))}
-        </div>
-      </div>
-      
-      {/* Wild Joker Reveal Modal */}
-      {revealedRank && (
-        <WildJokerRevealModal
-          isOpen={showRevealModal}
-          onClose={() => setShowRevealModal(false)}
-          wildJokerRank={revealedRank}
-        />
-      )}
-    </>
-  );
-};
-
 export default function Table() {
   const navigate = useNavigate();
   const [sp] = useSearchParams();
@@ -453,9 +65,11 @@ export default function Table() {
   const [showWildJokerReveal, setShowWildJokerReveal] = useState(false);
   const [revealedWildJoker, setRevealedWildJoker] = useState<string | null>(null);
   const [roundHistory, setRoundHistory] = useState<any[]>([]);
+  const [settlements, setSettlements] = useState<SettlementLedgerResponse | null>(null);
   const [tableColor, setTableColor] = useState<'green' | 'red-brown'>('green');
   const [voiceMuted, setVoiceMuted] = useState(false);
   const [droppingGame, setDroppingGame] = useState(false);
+  const [rejoining, setRejoining] = useState(false);
   const [spectateRequested, setSpectateRequested] = useState(false);
   const [spectateRequests, setSpectateRequests] = useState<string[]>([]);
   const [showScoreboardModal, setShowScoreboardModal] = useState(false);
@@ -479,11 +93,13 @@ export default function Table() {
   const [selectedCard, setSelectedCard] = useState<{ rank: string; suit: string | null; joker: boolean } | null>(null);
   const [lastDrawnCard, setLastDrawnCard] = useState<{ rank: string; suit: string | null } | null>(null);
   const [hasDrawn, setHasDrawn] = useState(false);
-  const [pureSeq, setPureSeq] = useState<{ rank: string; suit: string | null; joker: boolean }[]>([]);
-  const [meld1, setMeld1] = useState<(RoundMeResponse["hand"][number] | null)[]>([null, null, null]);
-  const [meld2, setMeld2] = useState<(RoundMeResponse["hand"][number] | null)[]>([null, null, null]);
-  const [meld3, setMeld3] = useState<(RoundMeResponse["hand"][number] | null)[]>([null, null, null]);
-  const [leftover, setLeftover] = useState<(RoundMeResponse["hand"][number] | null)[]>([null, null, null, null]);
+  const [groups, setGroups] = useState<HandGroup[]>([]);
+  const [suggesting, setSuggesting] = useState(false);
+  const [declarePreview, setDeclarePreview] = useState<DeclarePreviewResponse | null>(null);
+  const [previewVerdicts, setPreviewVerdicts] = useState<Record<string, GroupVerdict>>({});
+  const [revealedRank, setRevealedRank] = useState<string | null>(null);
+  const [revealedCut, setRevealedCut] = useState<CardView | null>(null);
+  const [showRevealModal, setShowRevealModal] = useState(false);
   const [prevRoundFinished, setPrevRoundFinished] = useState<string | null>(null);
   const [showPointsTable, setShowPointsTable] = useState(true);
 
@@ -493,55 +109,29 @@ export default function Table() {
   const [activeTab, setActiveTab] = useState<'info' | 'history' | 'spectate'>('info');
   console.log('🎨 Table.tsx render - current tableColor:', tableColor);
 
-  // Meld lock state
-  const [meldLocks, setMeldLocks] = useState<{
-    meld1: boolean;
-    meld2: boolean;
-    meld3: boolean;
-    leftover: boolean;
-  }>({ meld1: false, meld2: false, meld3: false, leftover: false });
-
-  // Load locked melds from localStorage on mount
+  // Restore the server-saved arrangement once per round, so it follows the player across devices
+  const arrangementRound = useRef<number | null>(null);
   useEffect(() => {
-    if (!tableId) return;
-    const storageKey = `rummy_melds_${tableId}`;
-    const saved = localStorage.getItem(storageKey);
-    if (saved) {
-      try {
-        const { meld1: m1, meld2: m2, meld3: m3, leftover: lo, locks } = JSON.parse(saved);
-        if (locks.meld1) setMeld1(m1);
-        if (locks.meld2) setMeld2(m2);
-        if (locks.meld3) setMeld3(m3);
-        if (locks.leftover) setLeftover(lo);
-        setMeldLocks(locks);
-      } catch (e) {
-        console.error('Failed to load melds from localStorage:', e);
-      }
-    }
-  }, [tableId]);
+    if (!myRound || arrangementRound.current === myRound.round_number) return;
+    arrangementRound.current = myRound.round_number;
+    setGroups(myRound.arrangement || []);
+  }, [myRound]);
 
-  // Save locked melds to localStorage whenever they change
+  // Save the arrangement on the server shortly after each change
   useEffect(() => {
-    if (!tableId) return;
-    const storageKey = `rummy_melds_${tableId}`;
-    const data = {
-      meld1,
-      meld2,
-      meld3,
-      leftover,
-      locks: meldLocks
-    };
-    localStorage.setItem(storageKey, JSON.stringify(data));
-  }, [tableId, meld1, meld2, meld3, leftover, meldLocks]);
-
-  // Toggle lock for a specific meld
-  const toggleMeldLock = (meldName: 'meld1' | 'meld2' | 'meld3' | 'leftover') => {
-    setMeldLocks(prev => ({
-      ...prev,
-      [meldName]: !prev[meldName]
-    }));
-    toast.success(`${meldName} ${!meldLocks[meldName] ? 'locked' : 'unlocked'}`);
-  };
+    if (!tableId || arrangementRound.current === null || info?.status !== 'playing') return;
+    const timer = setTimeout(() => {
+      apiclient.put_arrangement({ table_id: tableId, groups })
+        .catch((e) => console.error('Failed to save arrangement:', e));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [tableId, info?.status, groups]);
+
+  // Drop grouped cards that left the hand (discarded, or a new deal)
+  useEffect(() => {
+    if (!myRound) return;
+    setGroups(prev => reconcileWithHand(myRound.hand, prev));
+  }, [myRound?.hand]);
 
   // Debug user object
   useEffect(() => {
@@ -550,39 +140,11 @@ export default function Table() {
     }
   }, [user]);
 
-  // Get cards that are placed in slots (not in hand anymore)
-  const placedCards = useMemo(() => {
-    const placed = [...meld1, ...meld2, ...meld3, ...leftover].filter(c => c !== null) as RoundMeResponse["hand"];
-    return placed;
-  }, [meld1, meld2, meld3, leftover]);
-
-  // Filter hand to exclude placed cards - FIX for duplicate cards
-  // Track which cards are used by counting occurrences
+  // Cards of the hand outside every group
   const availableHand = useMemo(() => {
     if (!myRound) return [];
-    
-    // Count how many times each card (rank+suit combo) is placed in melds
-    const placedCounts = new Map<string, number>();
-    placedCards.forEach(card => {
-      const key = `${card.rank}-${card.suit || 'null'}`;
-      placedCounts.set(key, (placedCounts.get(key) || 0) + 1);
-    });
-    
-    // Filter hand, keeping track of how many of each card we've already filtered
-    const seenCounts = new Map<string, number>();
-    return myRound.hand.filter(handCard => {
-      const key = `${handCard.rank}-${handCard.suit || 'null'}`;
-      const placedCount = placedCounts.get(key) || 0;
-      const seenCount = seenCounts.get(key) || 0;
-      
-      if (seenCount < placedCount) {
-        // This card should be filtered out (it's in a meld)
-        seenCounts.set(key, seenCount + 1);
-        return false;
-      }
-      return true;
-    });
-  }, [myRound, placedCards]);
+    return looseCards(myRound.hand, groups);
+  }, [myRound, groups]);
 
   const refresh = async () => {
     if (!tableId) {
@@ -659,16 +221,40 @@ export default function Table() {
     }
   };
 
-  // Auto-refresh table info and round data every 15s instead of 5s
+  const fetchSettlements = async () => {
+    if (!info?.table_id || info.game_type !== "points") return;
+    try {
+      const response = await apiclient.get_settlement_ledger({ table_id: info.table_id });
+      setSettlements(await response.json());
+    } catch (error) {
+      console.error("Failed to fetch settlement ledger:", error);
+    }
+  };
+
+  // Reload history and settlements when a round starts or finishes
   useEffect(() => {
-    if (!tableId) return;
-    
-    const interval = setInterval(() => {
+    fetchRoundHistory();
+    fetchSettlements();
+  }, [info?.table_id, info?.current_round_number, revealedHands?.round_number]);
+
+  // Re-read the table when the event stream reports a change. Events often
+  // come in bursts (discard, then turn change), so they share one refresh.
+  const pendingRefresh = useRef<ReturnType<typeof setTimeout> | null>(null);
+  useTableEvents(tableId, (event) => {
+    if (event.type === "chat_message" || event.type === "voice_updated") return;
+    if (event.type === "player_joined" && event.user_id !== user?.id) {
+      toast.info(`${event.display_name} joined the table`);
+    }
+    if ((event.type === "player_left" || event.type === "player_reconnected") && event.user_id !== user?.id) {
+      const name = info?.players.find((p) => p.user_id === event.user_id)?.display_name || "A player";
+      toast.info(event.type === "player_left" ? `${name} disconnected - their seat is held for now` : `${name} reconnected`);
+    }
+    if (pendingRefresh.current) clearTimeout(pendingRefresh.current);
+    pendingRefresh.current = setTimeout(() => {
+      pendingRefresh.current = null;
       refresh();
-    }, 15000); // Changed from 5000 to 15000
-    
-    return () => clearInterval(interval);
-  }, [tableId]);
+    }, 150);
+  });
 
   // Initial load on mount
   useEffect(() => {
@@ -690,6 +276,134 @@ export default function Table() {
     return info?.active_user_id === userId;
   }, [info, user]);
 
+  // Show phase: remember the round so its scoreboard opens once round_finished arrives
+  const showPhaseRound = useRef<number | null>(null);
+  const inShowPhase = !!myRound?.show_deadline && !myRound?.finished_at;
+  useEffect(() => {
+    if (!inShowPhase || !myRound) return;
+    showPhaseRound.current = myRound.round_number;
+  }, [inShowPhase, myRound?.round_number]);
+
+  // Reads never apply deadlines, so ask the server to when the turn (plus
+  // time bank), show window or a disconnected player's grace runs out, or
+  // when their turn is due to be auto-played; the result is broadcast
+  const reconnectDeadlines = (info?.players ?? [])
+    .map((p) => p.reconnect_deadline)
+    .filter(Boolean)
+    .join();
+  const activeAway = !!info?.players.find((p) => p.user_id === info.active_user_id)?.reconnect_deadline;
+  useEffect(() => {
+    const deadlines = [
+      info?.turn_deadline ? new Date(info.turn_deadline).getTime() + (info.active_time_bank ?? 0) * 1000 : null,
+      inShowPhase && myRound?.show_deadline ? new Date(myRound.show_deadline).getTime() : null,
+      activeAway ? Date.now() + DISCONNECTED_AUTO_PLAY_MS : null,
+      ...(reconnectDeadlines ? reconnectDeadlines.split(",").map((at) => new Date(at).getTime()) : []),
+    ].filter((at): at is number => at !== null);
+    if (deadlines.length === 0) return;
+    const wait = Math.max(0, Math.min(...deadlines) - Date.now()) + 500;
+    const timer = setTimeout(async () => {
+      try {
+        await apiclient.apply_deadlines({ table_id: tableId! });
+      } catch (e) {
+        console.error("Failed to apply deadlines:", e);
+      }
+      await refresh();
+    }, wait);
+    return () => clearTimeout(timer);
+  }, [info?.turn_deadline, info?.active_time_bank, inShowPhase, myRound?.show_deadline, reconnectDeadlines, activeAway, info?.active_user_id]);
+
+  useEffect(() => {
+    if (!myRound?.finished_at || showPhaseRound.current !== myRound.round_number) return;
+    if (revealedHands?.round_number === myRound.round_number) return;
+    fetchRevealedHands();
+  }, [myRound?.finished_at, myRound?.round_number]);
+
+  const onSubmitShow = async () => {
+    if (!tableId) return;
+    setActing(true);
+    try {
+      const res = await sendTurnAction(params => apiclient.submit_show({ table_id: tableId, groups: toDeclareGroups(groups) }, params));
+      const data: ShowResponse = await res.json();
+      toast.success(`Cards shown - ${data.points} pts`);
+      setShowScoreboardModal(true);
+      await refresh();
+    } catch (err: any) {
+      toast.error(gameErrorMessage(err, 'Failed to show cards'));
+    } finally {
+      setActing(false);
+    }
+  };
+
+  // Dry-run the current grouping on the server so each group is coloured live
+  useEffect(() => {
+    if (!tableId || !myRound || info?.status !== 'playing') return;
+    if (groups.length === 0) {
+      setDeclarePreview(null);
+      setPreviewVerdicts({});
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await apiclient.declare_preview({
+          table_id: tableId,
+          groups: toDeclareGroups(groups),
+        });
+        if (!res.ok) throw new Error('Preview failed');
+        const data: DeclarePreviewResponse = await res.json();
+        if (cancelled) return;
+        setDeclarePreview(data);
+        setPreviewVerdicts(Object.fromEntries(groups.map((g, i) => [g.id, data.groups[i]])));
+      } catch (e) {
+        // A failed preview only loses the colouring; the declare itself still validates
+        if (!cancelled) {
+          setDeclarePreview(null);
+          setPreviewVerdicts({});
+        }
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [tableId, info?.status, myRound?.hand, groups]);
+
+  // Server verdicts, falling back to the shared rules module while a preview is in flight
+  const groupVerdicts = useMemo(() => {
+    const verdicts: Record<string, GroupVerdict> = {};
+    groups.forEach(g => {
+      if (previewVerdicts[g.id]) verdicts[g.id] = previewVerdicts[g.id];
+      else if (myRound && g.cards.length >= 3) {
+        const { type, valid, reason } = classifyMeld(g.cards, myRound.wild_joker_rank, myRound.wild_joker_revealed, info?.rules);
+        verdicts[g.id] = { cards: g.cards.map(c => c.code), type, valid, reason };
+      }
+    });
+    return verdicts;
+  }, [groups, previewVerdicts, myRound, info?.rules]);
+
+  // Deadwood the server would charge this hand right now, from the shared rules module
+  const myDeadwood = useMemo(() => {
+    if (!myRound) return null;
+    return handDeadwood(myRound.hand, myRound.wild_joker_rank, myRound.wild_joker_revealed, info?.rules);
+  }, [myRound, info?.rules]);
+
+  // Turn clock for the active seat; the server plays out the turn once it runs out
+  const turnClock = {
+    turnDeadline: info?.turn_deadline,
+    turnSeconds: info?.turn_seconds ?? 0,
+    timeBank: info?.active_time_bank ?? 0,
+  };
+
+  // Announce discard-pile reshuffles (stock ran out) to everyone at the table
+  const seenReshuffles = useRef<number | null>(null);
+  useEffect(() => {
+    const count = myRound?.reshuffles?.length ?? 0;
+    if (seenReshuffles.current !== null && count > seenReshuffles.current) {
+      toast.info("Stock ran out - discard pile reshuffled into a new stock");
+    }
+    seenReshuffles.current = myRound ? count : null;
+  }, [myRound?.round_number, myRound?.reshuffles?.length]);
+
   // Reset hasDrawn when turn changes
   useEffect(() => {
     console.log('Turn state changed - isMyTurn:', isMyTurn, 'hasDrawn:', hasDrawn);
@@ -738,9 +452,16 @@ export default function Table() {
     if (!tableId || !isMyTurn || hasDrawn) return;
     setActing(true);
     try {
-      const body: DrawRequest = { table_id: tableId };
-      const res = await apiclient.draw_stock(body);
+      const body: DrawRequest = { table_id: tableId, version: myRound?.version };
+      const res = await sendTurnAction(params => apiclient.draw_stock(body, params));
       const data = await res.json();
+      // Empty stock under the "draw" rule ends the round instead of drawing
+      if (data.finished_at) {
+        toast.info("Stock ran out - the round ends in a draw");
+        setMyRound(data);
+        await refresh();
+        return;
+      }
       // Find the new card by comparing lengths
       const newCard = data.hand.find((card: any) => 
         !myRound?.hand.some(c => c.rank === card.rank && c.suit === card.suit)
@@ -752,7 +473,8 @@ export default function Table() {
       setHasDrawn(true);
       toast.success("Drew from stock");
     } catch (e: any) {
-      toast.error("Failed to draw from stock");
+      toast.error(gameErrorMessage(e, "Failed to draw from stock"));
+      if (gameErrorCode(e) === "stale_round") await refresh();
     } finally {
       setActing(false);
     }
@@ -762,8 +484,8 @@ export default function Table() {
     if (!tableId || !isMyTurn || hasDrawn) return;
     setActing(true);
     try {
-      const body: DrawRequest = { table_id: tableId };
-      const res = await apiclient.draw_discard(body);
+      const body: DrawRequest = { table_id: tableId, version: myRound?.version };
+      const res = await sendTurnAction(params => apiclient.draw_discard(body, params));
       const data = await res.json();
       // The card being drawn is the CURRENT discard_top (before the draw)
       if (myRound?.discard_top) {
@@ -787,7 +509,8 @@ export default function Table() {
       setHasDrawn(true);
       toast.success("Drew from discard pile");
     } catch (e: any) {
-      toast.error("Failed to draw from discard");
+      toast.error(gameErrorMessage(e, "Failed to draw from discard"));
+      if (gameErrorCode(e) === "stale_round") await refresh();
     } finally {
       setActing(false);
     }
@@ -797,8 +520,8 @@ export default function Table() {
     if (!tableId || !selectedCard || !hasDrawn) return;
     setActing(true);
     try {
-      const body: DiscardRequest = { table_id: tableId, card: selectedCard };
-      const res = await apiclient.discard_card(body);
+      const body: DiscardRequest = { table_id: tableId, card: selectedCard, version: myRound?.version };
+      const res = await sendTurnAction(params => apiclient.discard_card(body, params));
       const data = await res.json();
       toast.success("Card discarded. Next player's turn.");
       setSelectedCard(null);
@@ -806,7 +529,8 @@ export default function Table() {
       setHasDrawn(false);
       await refresh();
     } catch (e: any) {
-      toast.error("Failed to discard card");
+      toast.error(gameErrorMessage(e, "Failed to discard card"));
+      if (gameErrorCode(e) === "stale_round") await refresh();
     } finally {
       setActing(false);
     }
@@ -855,35 +579,18 @@ export default function Table() {
 
   const onDeclare = async () => {
     console.log('🎯 Declare clicked');
-    if (!meld1 || !meld2 || !meld3) {
-      toast.error('Please create all 3 melds before declaring');
-      return;
-    }
-
-    // Count cards in melds INCLUDING leftover as meld4
-    const m1 = meld1?.length || 0;
-    const m2 = meld2?.length || 0;
-    const m3 = meld3?.length || 0;
-    const m4 = leftover?.length || 0;
-    const totalPlaced = m1 + m2 + m3 + m4;
-
-    // Identify leftover cards (not in any meld OR leftover slot)
-    const allMeldCards = [...(meld1 || []), ...(meld2 || []), ...(meld3 || []), ...(leftover || [])];
-    const unplacedCards = myRound?.hand.filter(card => {
-      const cardKey = `${card.rank}-${card.suit || 'null'}`;
-      return !allMeldCards.some(m => `${m.rank}-${m.suit || 'null'}` === cardKey);
-    }) || [];
-
+    // Every card but the one to discard must sit in a group
+    const totalPlaced = groups.reduce((n, g) => n + g.cards.length, 0);
     if (totalPlaced !== 13) {
-      const unplacedCount = unplacedCards.length;
-      const unplacedDisplay = unplacedCards
+      const unplacedCount = availableHand.length;
+      const unplacedDisplay = availableHand
         .map(c => `${c.rank}${c.suit || ''}`)
         .join(', ');
       
       toast.error(
-        `You must place all 13 cards in melds. Currently ${totalPlaced}/13 cards placed.\n\n` +
-        `Unplaced ${unplacedCount} card${unplacedCount > 1 ? 's' : ''}: ${unplacedDisplay}\n\n` +
-        `Place these in Meld 1, Meld 2, Meld 3, or Leftover slots.`,
+        `You must place all 13 cards in groups. Currently ${totalPlaced}/13 cards placed.\n\n` +
+        `Ungrouped ${unplacedCount} card${unplacedCount > 1 ? 's' : ''}: ${unplacedDisplay}\n\n` +
+        `Drag these into a group, leaving only the card you want to discard.`,
         { duration: 6000 }
       );
       console.log(`❌ Not all 13 cards placed. Total: ${totalPlaced}`);
@@ -913,38 +620,14 @@ export default function Table() {
       return;
     }
     
-    // Collect meld groups (filter out null slots)
-    const groups: RoundMeResponse["hand"][] = [];
-    
-    const meld1Cards = meld1?.filter(c => c !== null) as RoundMeResponse["hand"];
-    if (meld1Cards.length > 0) groups.push(meld1Cards);
-    
-    const meld2Cards = meld2?.filter(c => c !== null) as RoundMeResponse["hand"];
-    if (meld2Cards.length > 0) groups.push(meld2Cards);
-    
-    const meld3Cards = meld3?.filter(c => c !== null) as RoundMeResponse["hand"];
-    if (meld3Cards.length > 0) groups.push(meld3Cards);
-
-    const leftoverCards = leftover?.filter(c => c !== null) as RoundMeResponse["hand"];
-    if (leftoverCards.length > 0) groups.push(leftoverCards);
-
     // Skip to API call - validation already done above
     console.log('✅ All checks passed, preparing API call...');
     setActing(true);
     try {
-      // Transform CardView to DiscardCard (remove 'code' field)
-      const discardGroups = groups.map(group => 
-        group.map(card => ({
-          rank: card.rank,
-          suit: card.suit,
-          joker: card.joker
-        }))
-      );
-      
-      const body: DeclareRequest = { table_id: tableId, groups: discardGroups };
+      const body: DeclareRequest = { table_id: tableId, groups: toDeclareGroups(groups) };
       console.log('📤 Sending declare request:', JSON.stringify(body, null, 2));
       console.log('📡 About to call apiclient.declare()...');
-      const res = await apiclient.declare(body);
+      const res = await sendTurnAction(params => apiclient.declare(body, params));
       console.log('📨 Received response:', res);
       
       if (res.ok) {
@@ -954,8 +637,24 @@ export default function Table() {
         // Show appropriate message based on valid/invalid
         if (data.status === 'valid') {
           toast.success(`🏆 Valid declaration! You win round #${data.round_number} with 0 points!`);
+          if (data.show_deadline) {
+            // Opponents group their own cards first; the scoreboard waits for them
+            setRevealedHands(null);
+            setShowScoreboardModal(true);
+            await refresh();
+            return;
+          }
         } else {
-          toast.warning(`⚠️ Invalid declaration! You received 80 penalty points for round #${data.round_number}`);
+          // Explain which groups failed validation and why
+          const failedGroups = (data.groups || [])
+            .filter(g => !g.valid)
+            .map(g => `[${g.cards.join(', ')}]: ${g.reason}`)
+            .join('\n');
+          toast.warning(
+            `⚠️ Invalid declaration! You received 80 penalty points for round #${data.round_number}\n\n` +
+            `${data.reason}` + (failedGroups ? `\n\n${failedGroups}` : ''),
+            { duration: 8000 }
+          );
         }
         
         console.log('🎯 Fetching revealed hands...');
@@ -971,7 +670,7 @@ export default function Table() {
         let errorMessage = 'Failed to declare';
         try {
           const errorData = await res.json();
-          errorMessage = errorData.detail || errorData.message || errorMessage;
+          errorMessage = gameErrorMessage(errorData, errorMessage);
         } catch {
           const errorText = await res.text();
           errorMessage = errorText || errorMessage;
@@ -1006,7 +705,7 @@ export default function Table() {
       if (error instanceof Response) {
         try {
           const errorData = await error.json();
-          errorMsg = errorData.detail || errorData.message || 'Failed to declare';
+          errorMsg = gameErrorMessage(errorData, 'Failed to declare');
         } catch {
           try {
             const errorText = await error.text();
@@ -1048,7 +747,7 @@ export default function Table() {
       toast.success(`Round #${data.number} started!`);
       await refresh();
     } catch (e: any) {
-      toast.error(e?.message || "Failed to start next round");
+      toast.error(gameErrorMessage(e, "Failed to start next round"));
     } finally {
       setStarting(false);
     }
@@ -1060,17 +759,34 @@ export default function Table() {
     setDroppingGame(true);
     try {
       const body = { table_id: tableId };
-      const res = await apiclient.drop_game(body);
-      await res.json();
-      toast.success("You have dropped from the game (20 point penalty)");
+      const res = await sendTurnAction(params => apiclient.drop_game(body, params));
+      const data = await res.json();
+      toast.success(`You dropped out of this deal (${data.penalty_points} point ${data.drop_type} drop)`);
       await refresh();
     } catch (e: any) {
-      toast.error(e?.message || "Failed to drop game");
+      toast.error(gameErrorMessage(e, "Failed to drop game"));
     } finally {
       setDroppingGame(false);
     }
   };
 
+  // Pool rejoin handler
+  const onRejoinPool = async () => {
+    if (!tableId || rejoining) return;
+    setRejoining(true);
+    try {
+      const body = { table_id: tableId };
+      const res = await apiclient.rejoin_pool(body);
+      const data = await res.json();
+      toast.success(`Rejoined the pool at ${data.total_points} points`);
+      await refresh();
+    } catch (e: any) {
+      toast.error(e?.message || "Failed to rejoin");
+    } finally {
+      setRejoining(false);
+    }
+  };
+
   // Spectate handlers
   const requestSpectate = async (playerId: string) => {
     if (!tableId || spectateRequested) return;
@@ -1114,9 +830,11 @@ export default function Table() {
     setSelectedCard({ rank: card.rank, suit: card.suit || null, joker: card.joker || false });
   };
 
+  // HandStrip reorders only the loose cards; keep the grouped ones in the hand too
   const onReorderHand = (reorderedHand: RoundMeResponse["hand"]) => {
     if (myRound) {
-      setMyRound({ ...myRound, hand: reorderedHand });
+      const grouped = looseCards(myRound.hand, [{ id: 'loose', cards: reorderedHand }]);
+      setMyRound({ ...myRound, hand: [...reorderedHand, ...grouped] });
     }
   };
 
@@ -1125,12 +843,58 @@ export default function Table() {
     setSelectedCard(card);
   };
 
+  // Replace the arrangement with the scorer's lowest-deadwood grouping
+  const onSuggestGroups = async () => {
+    if (!tableId) return;
+    setSuggesting(true);
+    try {
+      const res = await apiclient.get_hand_analysis({ table_id: tableId });
+      const data: HandAnalysisResponse = await res.json();
+      setGroups(
+        [...data.pure_sequences, ...data.impure_sequences, ...data.sets].map(cards => ({ id: newGroupId(), cards }))
+      );
+      toast.success(`Suggested grouping leaves ${data.deadwood} pts of deadwood`);
+    } catch (err: any) {
+      toast.error(err?.error?.detail || err?.message || 'Failed to suggest groups');
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
   const onClearMelds = () => {
-    setMeld1([null, null, null]);
-    setMeld2([null, null, null]);
-    setMeld3([null, null, null]);
-    setLeftover([null, null, null, null]);
-    toast.success('Melds cleared');
+    setGroups([]);
+    toast.success('Groups cleared');
+  };
+
+  // Lock a group as the player's first pure sequence; the server reveals the wild joker
+  const onLockGroup = async (group: HandGroup) => {
+    if (!tableId) return;
+    try {
+      const body: LockSequenceRequest = {
+        table_id: tableId,
+        meld: group.cards.map(card => ({ rank: card.rank, suit: card.suit || null })),
+      };
+      const res = await apiclient.lock_sequence(body);
+      const data = await res.json();
+
+      if (data.success) {
+        toast.success(data.message);
+        setGroups(prev => prev.map(g => (g.id === group.id ? { ...g, locked: true } : g)));
+
+        // Show flip animation popup if wild joker was just revealed
+        if (data.wild_joker_revealed && data.wild_joker_rank) {
+          setRevealedRank(data.wild_joker_rank);
+          setRevealedCut(data.cut_joker ?? null);
+          setShowRevealModal(true);
+          setTimeout(() => refresh(), 500); // Refresh to show revealed wild joker
+        }
+      } else {
+        toast.error(data.message);
+      }
+    } catch (err: any) {
+      console.log('❌ Lock sequence error:', err);
+      toast.error(gameErrorMessage(err, 'Failed to lock sequence'));
+    }
   };
 
   // Debug logging for button visibility
@@ -1189,13 +953,13 @@ export default function Table() {
                 </button>
               )}
               
-              {/* Drop Game Button (only before first draw) */}
-              {info?.status === 'playing' && !hasDrawn && (
+              {/* Drop Game Button (on your turn, before drawing) */}
+              {info?.status === 'playing' && !myRound?.finished_at && !inShowPhase && isMyTurn && !hasDrawn && (
                 <button
                   onClick={onDropGame}
                   disabled={droppingGame}
                   className="inline-flex items-center gap-2 px-3 py-2 bg-orange-700 hover:bg-orange-600 text-white rounded-lg font-medium shadow-lg transition-colors disabled:opacity-50"
-                  title="Drop game (20pt penalty)"
+                  title="Drop out of this deal (first or middle drop penalty)"
                 >
                   <UserX className="w-5 h-5" />
                   {droppingGame ? 'Dropping...' : 'Drop'}
@@ -1272,6 +1036,12 @@ export default function Table() {
                           <div className="bg-background border border-border rounded px-2 py-1">
                             <span className="text-muted-foreground">Stock:</span> <span className="text-foreground font-medium">{myRound.stock_count}</span>
                           </div>
+                          <div className="bg-background border border-border rounded px-2 py-1" title="Points you would lose if someone declared now">
+                            <span className="text-muted-foreground">Deadwood:</span>{" "}
+                            <span className="text-foreground font-medium">
+                              {myDeadwood}
+                            </span>
+                          </div>
                           {myRound.discard_top && (
                             <div className="bg-background border border-border rounded px-2 py-1">
                               <span className="text-muted-foreground">Discard Top:</span> <span className="text-foreground font-medium">{myRound.discard_top}</span>
@@ -1331,28 +1101,28 @@ export default function Table() {
                         <div className="absolute inset-0 pointer-events-none">
                           {/* Top players (P2, P3, P4) */}
                           <div className="absolute top-4 left-1/2 -translate-x-1/2 flex gap-8">
-                            {info?.players?.[1] && <PlayerProfile position="P2" name={info.players[1].display_name || 'Player 2'} profilePic={info.players[1].profile_image_url} isActive={info.players[1].user_id === info.active_user_id} />}
-                            {info?.players?.[2] && <PlayerProfile position="P3" name={info.players[2].display_name || 'Player 3'} profilePic={info.players[2].profile_image_url} isActive={info.players[2].user_id === info.active_user_id} />}
-                            {info?.players?.[3] && <PlayerProfile position="P4" name={info.players[3].display_name || 'Player 4'} profilePic={info.players[3].profile_image_url} isActive={info.players[3].user_id === info.active_user_id} />}
+                            {info?.players?.[1] && <PlayerProfile position="P2" name={info.players[1].display_name || 'Player 2'} profilePic={info.players[1].profile_image_url} isActive={info.players[1].user_id === info.active_user_id} {...turnClock} />}
+                            {info?.players?.[2] && <PlayerProfile position="P3" name={info.players[2].display_name || 'Player 3'} profilePic={info.players[2].profile_image_url} isActive={info.players[2].user_id === info.active_user_id} {...turnClock} />}
+                            {info?.players?.[3] && <PlayerProfile position="P4" name={info.players[3].display_name || 'Player 4'} profilePic={info.players[3].profile_image_url} isActive={info.players[3].user_id === info.active_user_id} {...turnClock} />}
                           </div>
                           
                           {/* Left player (P1) */}
                           {info?.players?.[0] && (
                             <div className="absolute left-4 top-1/2 -translate-y-1/2">
-                              <PlayerProfile position="P1" name={info.players[0].display_name || 'Player 1'} profilePic={info.players[0].profile_image_url} isActive={info.players[0].user_id === info.active_user_id} />
+                              <PlayerProfile position="P1" name={info.players[0].display_name || 'Player 1'} profilePic={info.players[0].profile_image_url} isActive={info.players[0].user_id === info.active_user_id} {...turnClock} />
                             </div>
                           )}
                           
                           {/* Right player (P5) */}
                           {info?.players?.[4] && (
                             <div className="absolute right-4 top-1/2 -translate-y-1/2">
-                              <PlayerProfile position="P5" name={info.players[4].display_name || 'Player 5'} profilePic={info.players[4].profile_image_url} isActive={info.players[4].user_id === info.active_user_id} />
+                              <PlayerProfile position="P5" name={info.players[4].display_name || 'Player 5'} profilePic={info.players[4].profile_image_url} isActive={info.players[4].user_id === info.active_user_id} {...turnClock} />
                             </div>
                           )}
                           
                           {/* Bottom player (current user) */}
                           <div className="absolute bottom-4 left-1/2 -translate-x-1/2">
-                            <PlayerProfile position="You" name={user?.displayName || 'You'} profilePic={undefined} isActive={isMyTurn} isCurrentUser={true} />
+                            <PlayerProfile position="You" name={user?.displayName || 'You'} profilePic={undefined} isActive={isMyTurn} isCurrentUser={true} {...turnClock} />
                           </div>
                         </div>
 
@@ -1361,27 +1131,38 @@ export default function Table() {
                           <div className="flex gap-12 items-center justify-center">
                             {/* Stock Pile - NOW CLICKABLE */}
                             <div className="flex flex-col items-center gap-2">
-                              <button
-                                type="button"
-                                onClick={onDrawStock}
-                                disabled={!isMyTurn || hasDrawn || acting}
-                                className="relative w-[100px] h-[140px] transition-all duration-200 enabled:hover:scale-110 enabled:hover:-translate-y-2 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100 disabled:hover:translate-y-0 drop-shadow-2xl enabled:cursor-pointer"
-                                title={isMyTurn && !hasDrawn ? "Click to draw from stock" : ""}
-                              >
-                                {myRound.stock_count > 0 ? (
-                                  <>
-                                    <div className="absolute top-2 left-2 w-full h-full bg-red-800 border-2 border-red-900 rounded-lg shadow-lg transform rotate-3"></div>
-                                    <div className="absolute top-1 left-1 w-full h-full bg-red-800 border-2 border-red-900 rounded-lg shadow-lg transform -rotate-2"></div>
-                                    <div className="relative w-full h-full bg-red-800 border-2 border-red-900 rounded-lg shadow-2xl flex items-center justify-center">
-                                      <span className="text-5xl">🃏</span>
-                                    </div>
-                                  </>
-                                ) : (
-                                  <div className="w-full h-full border-2 border-dashed border-green-600/40 rounded-lg flex items-center justify-center text-green-600/50 text-sm">
-                                    Empty
+                              <div className="relative">
+                                {/* Cut card, face-up and turned sideways under the stock */}
+                                {myRound.cut_joker && (
+                                  <div
+                                    className="absolute left-1/2 top-1/2 w-[90px] -translate-x-1/2 -translate-y-1/2 rotate-90 pointer-events-none"
+                                    title={`Cut card: ${myRound.cut_joker.code}`}
+                                  >
+                                    <PlayingCard card={myRound.cut_joker} />
                                   </div>
                                 )}
-                              </button>
+                                <button
+                                  type="button"
+                                  onClick={onDrawStock}
+                                  disabled={!isMyTurn || hasDrawn || acting}
+                                  className="relative w-[100px] h-[140px] transition-all duration-200 enabled:hover:scale-110 enabled:hover:-translate-y-2 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100 disabled:hover:translate-y-0 drop-shadow-2xl enabled:cursor-pointer"
+                                  title={isMyTurn && !hasDrawn ? "Click to draw from stock" : ""}
+                                >
+                                  {myRound.stock_count > 0 ? (
+                                    <>
+                                      <div className="absolute top-2 left-2 w-full h-full bg-red-800 border-2 border-red-900 rounded-lg shadow-lg transform rotate-3"></div>
+                                      <div className="absolute top-1 left-1 w-full h-full bg-red-800 border-2 border-red-900 rounded-lg shadow-lg transform -rotate-2"></div>
+                                      <div className="relative w-full h-full bg-red-800 border-2 border-red-900 rounded-lg shadow-2xl flex items-center justify-center">
+                                        <span className="text-5xl">🃏</span>
+                                      </div>
+                                    </>
+                                  ) : (
+                                    <div className="w-full h-full border-2 border-dashed border-green-600/40 rounded-lg flex items-center justify-center text-green-600/50 text-sm">
+                                      Empty
+                                    </div>
+                                  )}
+                                </button>
+                              </div>
                               <div className="flex flex-col items-center gap-1">
                                 <p className="text-xs font-bold text-amber-400 tracking-wide">STOCK PILE</p>
                                 {myRound.stock_count > 0 && (
@@ -1389,6 +1170,11 @@ export default function Table() {
                                     {myRound.stock_count} cards
                                   </div>
                                 )}
+                                {myRound.reshuffles?.length > 0 && (
+                                  <div className="text-[10px] text-amber-200/80" title="Discard pile reshuffled into stock">
+                                    🔀 Reshuffled ×{myRound.reshuffles.length}
+                                  </div>
+                                )}
                               </div>
                             </div>
 
@@ -1400,6 +1186,11 @@ export default function Table() {
                                     <div className="w-full h-full bg-white border-4 border-yellow-500 rounded-xl shadow-2xl transform rotate-3">
                                       <span className="text-4xl font-bold text-yellow-600">{myRound.wild_joker_rank}</span>
                                       <span className="text-xs text-gray-600 mt-2 font-semibold">All {myRound.wild_joker_rank}s</span>
+                                      {myRound.cut_joker && (
+                                        <span className="text-[10px] text-gray-500">
+                                          {myRound.cut_joker.rank === 'JOKER' ? 'Cut a joker - Aces wild' : `Cut ${myRound.cut_joker.code}`}
+                                        </span>
+                                      )}
                                     </div>
                                   ) : (
                                     <div className="w-full h-full bg-red-800 border-2 border-red-900 rounded-xl shadow-2xl flex items-center justify-center">
@@ -1474,67 +1265,38 @@ export default function Table() {
                       {/* Meld Grouping Zone - Outside the 3D table with clean design */}
                       <div className="bg-background/50 border border-dashed border-border rounded-lg p-4 mb-3 mt-6">
                         <p className="text-sm text-muted-foreground mb-2">
-                          {hasDrawn ? "Organize your 13 cards into melds (drag cards to slots)" : "Organize melds (draw a card first)"}
+                          {hasDrawn
+                            ? "Drag cards into groups of any size - leave out only the card you will discard"
+                            : "Drag cards into groups (draw a card first to show)"}
                         </p>
                         
-                        {/* Three 3-card meld boxes */}
-                        <div className="grid grid-cols-3 gap-2 mb-2">
-                          {/* Meld 1 - with lock button */}
-                          <MeldSlotBox 
-                            title="Meld 1" 
-                            slots={meld1} 
-                            setSlots={setMeld1}
-                            myRound={myRound}
-                            setMyRound={setMyRound}
-                            isLocked={meldLocks.meld1}
-                            onToggleLock={() => toggleMeldLock('meld1')}
-                            tableId={tableId}
-                            onRefresh={refresh}
-                            gameMode={info?.game_mode}
-                          />
-                          {/* Meld 2 - no lock button */}
-                          <MeldSlotBox 
-                            title="Meld 2" 
-                            slots={meld2} 
-                            setSlots={setMeld2}
-                            myRound={myRound}
-                            setMyRound={setMyRound}
-                            isLocked={meldLocks.meld2}
-                            onToggleLock={() => toggleMeldLock('meld2')}
-                            tableId={tableId}
-                            onRefresh={refresh}
-                            hideLockButton={true}
-                            gameMode={info?.game_mode}
-                          />
-                          {/* Meld 3 - no lock button */}
-                          <MeldSlotBox 
-                            title="Meld 3" 
-                            slots={meld3} 
-                            setSlots={setMeld3}
-                            myRound={myRound}
-                            setMyRound={setMyRound}
-                            isLocked={meldLocks.meld3}
-                            onToggleLock={() => toggleMeldLock('meld3')}
-                            tableId={tableId}
-                            onRefresh={refresh}
-                            hideLockButton={true}
-                            gameMode={info?.game_mode}
-                          />
-                        </div>
-                        
-                        {/* Leftover cards */}
-                        <LeftoverSlotBox 
-                          slots={leftover} 
-                          setSlots={setLeftover}
-                          myRound={myRound}
-                          setMyRound={setMyRound}
-                          isLocked={meldLocks.leftover}
-                          onToggleLock={() => toggleMeldLock('leftover')}
-                          tableId={tableId}
-                          onRefresh={refresh}
-                          gameMode={info?.game_mode}
-                        />
-                        
+                        {inShowPhase && myRound?.declared_by !== user?.id && (
+                          <div className="bg-amber-900/30 border border-amber-500/50 rounded p-3 mt-2 flex items-center justify-between gap-3">
+                            <p className="text-amber-200 text-sm">
+                              {myRound?.show_submitted
+                                ? 'Cards shown - waiting for the other players'
+                                : `${info?.players.find(p => p.user_id === myRound?.declared_by)?.display_name || 'A player'} declared! Group your cards - only ungrouped cards count. Anything not shown in time is grouped for you.`}
+                            </p>
+                            {!myRound?.show_submitted && (
+                              <button
+                                onClick={onSubmitShow}
+                                disabled={acting}
+                                className="px-3 py-1.5 bg-amber-600 text-white rounded hover:bg-amber-500 text-sm whitespace-nowrap disabled:opacity-50"
+                              >
+                                Show my groups
+                              </button>
+                            )}
+                          </div>
+                        )}
+
+                        {declarePreview && (
+                          <p className={`text-xs mt-2 ${declarePreview.would_succeed ? 'text-green-400' : 'text-muted-foreground'}`}>
+                            {declarePreview.would_succeed
+                              ? '✓ This grouping would be a valid show'
+                              : `${declarePreview.reason} · ${declarePreview.deadwood} pts as grouped`}
+                          </p>
+                        )}
+
                         {/* Clear melds button only */}
                         {hasDrawn && (
                           <div className="flex gap-2 mt-3">
@@ -1542,7 +1304,7 @@ export default function Table() {
                               onClick={onClearMelds}
                               className="px-3 py-1.5 bg-red-700/70 text-red-100 rounded hover:bg-red-600 text-sm"
                             >
-                              <Trash2 className="inline w-4 h-4 mr-1"/> Clear Melds
+                              <Trash2 className="inline w-4 h-4 mr-1"/> Clear Groups
                             </button>
                           </div>
                         )}
@@ -1564,6 +1326,13 @@ export default function Table() {
                             c => c.rank === lastDrawnCard.rank && c.suit === lastDrawnCard.suit
                           ) : undefined}
                           onReorder={onReorderHand}
+                          groups={groups}
+                          onGroupsChange={setGroups}
+                          verdicts={groupVerdicts}
+                          onLockGroup={info?.game_mode !== 'no_joker' ? onLockGroup : undefined}
+                          selectedCode={selectedCard ? `${selectedCard.rank}${selectedCard.suit || ''}` : undefined}
+                          onSuggestGroups={onSuggestGroups}
+                          suggesting={suggesting}
                         />
 
                         {/* Discard Button - Only shown when card is selected */}
@@ -1593,7 +1362,7 @@ export default function Table() {
                               onClick={() => {
                                 console.log('🔴 DECLARE BUTTON CLICKED!');
                                 console.log('🔴 Button state:', { isMyTurn, hasDrawn, acting, tableId });
-                                console.log('🔴 Melds:', { meld1: meld1?.length, meld2: meld2?.length, meld3: meld3?.length, leftover: leftover?.length });
+                                console.log('🔴 Groups:', groups.map(g => g.cards.length));
                                 onDeclare();
                               }}
                               disabled={acting}
@@ -1782,6 +1551,9 @@ export default function Table() {
                                     <Crown className="w-3 h-3"/> Host
                                   </span>
                                 )}
+                                {info.game_type === "deals" && (
+                                  <span className="text-xs text-yellow-300 font-medium" title="Chips">🪙 {p.chips}</span>
+                                )}
                                 {info.status === "playing" && p.user_id === info.active_user_id && (
                                   <span className="text-xs text-amber-400 font-medium">Active</span>
                                 )}
@@ -1806,12 +1578,68 @@ export default function Table() {
                           {info && info.status === "waiting" && user && user.id !== info.host_user_id && (
                             <p className="text-sm text-muted-foreground text-center py-2">Waiting for host to start...</p>
                           )}
+                          {info.game_type === "deals" && info.deal_count && (
+                            <p className="text-sm text-muted-foreground">
+                              Deal: <span className="text-foreground font-medium">{info.current_round_number ?? 0} / {info.deal_count}</span>
+                            </p>
+                          )}
+                          {info.game_type !== "classic" && info.status === "finished" && (
+                            <p className="text-sm text-green-300 mt-2">
+                              {info.winner_user_id
+                                ? `🏆 ${info.game_type === "pool" ? "Pool" : "Game"} won by ${info.players.find((p) => p.user_id === info.winner_user_id)?.display_name || "Player"}`
+                                : "🤝 Game ended in a tie"}
+                            </p>
+                          )}
+                          {info.game_type === "pool" && info.rejoin_score != null && myRound?.finished_at &&
+                            info.players.some((p) => p.user_id === user?.id && p.disqualified) && (
+                            <button
+                              onClick={onRejoinPool}
+                              disabled={rejoining}
+                              className="inline-flex items-center gap-2 px-4 py-2 bg-amber-700 hover:bg-amber-600 text-white rounded-lg disabled:opacity-50 mt-2"
+                            >
+                              {rejoining ? "Rejoining…" : `Rejoin at ${info.rejoin_score} pts`}
+                            </button>
+                          )}
                         </div>
 
+                        {/* Points Rummy settlement ledger */}
+                        {info.game_type === "points" && settlements && settlements.entries.length > 0 && (
+                          <div className="border-t border-border pt-3">
+                            <h4 className="text-sm font-semibold text-foreground mb-2">
+                              Settlements ({settlements.point_value} / point)
+                            </h4>
+                            <div className="space-y-1 mb-2">
+                              {info.players.map((p) => {
+                                const balance = settlements.balances[p.user_id] ?? 0;
+                                return (
+                                  <div key={p.user_id} className="flex justify-between text-xs">
+                                    <span className="text-foreground">{p.display_name || 'Player'}</span>
+                                    <span className={balance >= 0 ? 'text-green-500 font-semibold' : 'text-red-400 font-semibold'}>
+                                      {balance > 0 ? '+' : ''}{balance}
+                                    </span>
+                                  </div>
+                                );
+                              })}
+                            </div>
+                            <div className="max-h-32 overflow-y-auto space-y-0.5">
+                              {settlements.entries.map((e, idx) => {
+                                const nameOf = (uid: string) => info.players.find((p) => p.user_id === uid)?.display_name || uid.slice(0, 6);
+                                return (
+                                  <p key={idx} className="text-[11px] text-muted-foreground">
+                                    R{e.round_number}: {nameOf(e.from_user_id)} → {nameOf(e.to_user_id)} {e.amount} ({e.points} pts)
+                                  </p>
+                                );
+                              })}
+                            </div>
+                          </div>
+                        )}
+
                         {/* Round History & Points Table */}
                         {roundHistory.length > 0 && (
                           <div className="border-t border-border pt-3">
-                            <h4 className="text-sm font-semibold text-foreground mb-2">Round History</h4>
+                            <h4 className="text-sm font-semibold text-foreground mb-2">
+                              {info.game_type === "pool" ? `Pool ${info.pool_limit} Standings` : "Round History"}
+                            </h4>
                             <div className="overflow-x-auto">
                               <table className="w-full text-xs">
                                 <thead>
@@ -1825,6 +1653,9 @@ export default function Table() {
                                     <th className="text-right py-2 px-2 font-semibold text-yellow-600 dark:text-yellow-500">
                                       Total
                                     </th>
+                                    {info.game_type === "pool" && (
+                                      <th className="text-right py-2 px-2 font-semibold text-foreground">Left</th>
+                                    )}
                                   </tr>
                                 </thead>
                                 <tbody>
@@ -1853,8 +1684,23 @@ export default function Table() {
                                           );
                                         })}
                                         <td className="text-right py-2 px-2 font-bold text-yellow-600 dark:text-yellow-500">
-                                          {runningTotal}
+                                          {/* Pool totals include rejoin buy-ins, so use the server's running total */}
+                                          {info.game_type === "pool" ? player.total_points : runningTotal}
                                         </td>
+                                        {info.game_type === "pool" && (
+                                          <td className="text-right py-2 px-2">
+                                            {player.disqualified ? (
+                                              <span className="text-red-400 font-semibold">Out</span>
+                                            ) : (
+                                              <span className="text-foreground">
+                                                {(info.pool_limit ?? 0) - player.total_points}
+                                                {player.rejoins > 0 && (
+                                                  <span className="text-amber-400 ml-1" title="Rejoins">R{player.rejoins}</span>
+                                                )}
+                                              </span>
+                                            )}
+                                          </td>
+                                        )}
                                       </tr>
                                     );
                                   })}
@@ -1913,9 +1759,19 @@ export default function Table() {
             )}
           </div>
           
+          {/* Wild Joker Reveal Modal */}
+          {revealedRank && (
+            <WildJokerRevealModal
+              isOpen={showRevealModal}
+              onClose={() => setShowRevealModal(false)}
+              wildJokerRank={revealedRank}
+              cutCard={revealedCut}
+            />
+          )}
+
           {/* Scoreboard Modal */}
           <ScoreboardModal
-            isOpen={showScoreboardModal && !!revealedHands}
+            isOpen={showScoreboardModal && (!!revealedHands || !!myRound?.show_deadline)}
             onClose={() => setShowScoreboardModal(false)}
             data={revealedHands}
             players={info?.players || []}
@@ -1926,6 +1782,7 @@ export default function Table() {
               setShowScoreboardModal(false);
               onNextRound();
             }}
+            showDeadline={myRound?.finished_at ? null : myRound?.show_deadline}
           />
 
           {/* Side Panel for Scoreboard - Legacy */}
@@ -2041,7 +1898,7 @@ export default function Table() {
                         toast.success("New round started!");
                       } catch (error) {
                         console.error("Error starting next round:", error);
-                        toast.error("Failed to start next round");
+                        toast.error(gameErrorMessage(error, "Failed to start next round"));
                       }
                     }}
                     className="w-full mt-6 bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg transition-colors"
@@ -0,0 +1,36 @@
+/**
+ * Messages for the machine-readable codes game endpoints return as
+ * `detail: { code, message }` (see app.libs.round_phase).
+ */
+export const GAME_ERROR_MESSAGES: Record<string, string> = {
+  no_active_round: "There is no round in progress",
+  not_your_turn: "It's not your turn!",
+  must_draw_first: "Draw a card first",
+  already_drawn: "You already drew - discard a card",
+  show_in_progress: "Someone has declared - show your cards instead",
+  round_finished: "This round has finished",
+  round_not_finished: "The current round isn't finished yet",
+  wrong_phase: "That move isn't allowed right now",
+  illegal_transition: "That move isn't allowed right now",
+  stale_round: "The game moved on - your table has been refreshed",
+};
+
+/** The machine-readable code of a failed API call, if it carried one. */
+export const gameErrorCode = (err: any): string | null => {
+  const detail = err?.error?.detail ?? err?.detail;
+  return detail && typeof detail === "object" ? detail.code ?? null : null;
+};
+
+/**
+ * Best user-facing message for a failed API call. Accepts the thrown
+ * response (`err.error.detail`) or a parsed error body (`err.detail`);
+ * `detail` may be a plain string or `{ code, message }`.
+ */
+export const gameErrorMessage = (err: any, fallback: string): string => {
+  const detail = err?.error?.detail ?? err?.detail;
+  if (detail && typeof detail === "object") {
+    return GAME_ERROR_MESSAGES[detail.code] || detail.message || fallback;
+  }
+  if (typeof detail === "string" && detail) return detail;
+  return err?.message || fallback;
+};
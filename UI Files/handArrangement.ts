@@ -0,0 +1,112 @@
+import type { CardView } from "../apiclient/data-contracts";
+
+/**
+ * A player's grouping of their hand: any number of groups of any size.
+ * Cards in no group are the loose part of the hand.
+ */
+export interface HandGroup {
+  id: string;
+  cards: CardView[];
+  locked?: boolean; // frozen against edits in the UI
+}
+
+export const cardKey = (card: { rank: string; suit?: string | null }) => `${card.rank}-${card.suit || 'null'}`;
+
+export const newGroupId = () => `g_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Cards of the hand that sit in no group. Duplicate cards (two decks) are
+ * matched by count, so two 7H in hand with one grouped leaves one loose.
+ */
+export const looseCards = (hand: CardView[], groups: HandGroup[]): CardView[] => {
+  const grouped = new Map<string, number>();
+  groups.forEach(g => g.cards.forEach(c => grouped.set(cardKey(c), (grouped.get(cardKey(c)) || 0) + 1)));
+  return hand.filter(card => {
+    const left = grouped.get(cardKey(card)) || 0;
+    if (left > 0) {
+      grouped.set(cardKey(card), left - 1);
+      return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Drop grouped cards that are no longer in the hand, and groups left empty.
+ * Returns `groups` itself when nothing changed so effects keyed on it stay quiet.
+ */
+export const reconcileWithHand = (hand: CardView[], groups: HandGroup[]): HandGroup[] => {
+  const available = new Map<string, number>();
+  hand.forEach(c => available.set(cardKey(c), (available.get(cardKey(c)) || 0) + 1));
+  const next = groups
+    .map(g => ({
+      ...g,
+      cards: g.cards.filter(card => {
+        const left = available.get(cardKey(card)) || 0;
+        if (left === 0) return false;
+        available.set(cardKey(card), left - 1);
+        return true;
+      }),
+    }))
+    .filter(g => g.cards.length > 0);
+  const unchanged = next.length === groups.length && next.every((g, i) => g.cards.length === groups[i].cards.length);
+  return unchanged ? groups : next;
+};
+
+/**
+ * Move one card into a group (or back to the loose hand when `toGroupId` is
+ * null). `fromGroupId` null means the card comes from the loose hand.
+ * `index` is the position in the target group; omitted appends.
+ */
+export const moveCard = (
+  groups: HandGroup[],
+  card: CardView,
+  fromGroupId: string | null,
+  toGroupId: string | null,
+  index?: number,
+): HandGroup[] => {
+  let next = groups.map(g => ({ ...g, cards: [...g.cards] }));
+  if (fromGroupId) {
+    const from = next.find(g => g.id === fromGroupId);
+    const at = from ? from.cards.findIndex(c => cardKey(c) === cardKey(card)) : -1;
+    if (!from || at === -1) return groups;
+    from.cards.splice(at, 1);
+  }
+  if (toGroupId) {
+    const to = next.find(g => g.id === toGroupId);
+    if (!to) return groups;
+    to.cards.splice(index ?? to.cards.length, 0, card);
+  }
+  next = next.filter(g => g.cards.length > 0);
+  return next;
+};
+
+/** Start a new group holding `card`, taken from `fromGroupId` or the loose hand. */
+export const createGroup = (groups: HandGroup[], card: CardView, fromGroupId: string | null): HandGroup[] => {
+  const id = newGroupId();
+  return moveCard([...groups, { id, cards: [] }], card, fromGroupId, id);
+};
+
+/** Append the cards of `sourceId` to `targetId`. */
+export const mergeGroups = (groups: HandGroup[], targetId: string, sourceId: string): HandGroup[] => {
+  const source = groups.find(g => g.id === sourceId);
+  if (!source || sourceId === targetId) return groups;
+  return groups
+    .filter(g => g.id !== sourceId)
+    .map(g => (g.id === targetId ? { ...g, cards: [...g.cards, ...source.cards] } : g));
+};
+
+/** Split a group in two before position `at`; the tail becomes a new group right after it. */
+export const splitGroup = (groups: HandGroup[], groupId: string, at: number): HandGroup[] => {
+  const i = groups.findIndex(g => g.id === groupId);
+  if (i === -1 || at <= 0 || at >= groups[i].cards.length) return groups;
+  const head = { ...groups[i], cards: groups[i].cards.slice(0, at) };
+  const tail = { id: newGroupId(), cards: groups[i].cards.slice(at) };
+  return [...groups.slice(0, i), head, tail, ...groups.slice(i + 1)];
+};
+
+/** Groups as the `groups` payload of declare / declare preview. */
+export const toDeclareGroups = (groups: HandGroup[]) =>
+  groups
+    .filter(g => g.cards.length > 0)
+    .map(g => g.cards.map(card => ({ rank: card.rank, suit: card.suit, joker: card.joker })));
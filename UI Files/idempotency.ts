@@ -0,0 +1,31 @@
+/**
+ * Turn actions (draw, discard, declare, show, drop) accept an
+ * `Idempotency-Key` header. The server stores the first response per key
+ * and replays it for repeats, so a request whose reply was lost can be
+ * resent without drawing or discarding twice.
+ */
+export const newIdempotencyKey = (): string =>
+  typeof crypto !== "undefined" && "randomUUID" in crypto
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Send one turn action, resending it with the same key when the network
+ * drops the request. HTTP errors are answers from the server and are thrown
+ * straight away.
+ */
+export const sendTurnAction = async <T>(
+  send: (params: { headers: Record<string, string> }) => Promise<T>,
+  attempts = 3,
+): Promise<T> => {
+  const params = { headers: { "Idempotency-Key": newIdempotencyKey() } };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send(params);
+    } catch (err) {
+      // fetch rejects with a TypeError only when no response arrived
+      if (!(err instanceof TypeError) || attempt >= attempts) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 500 * attempt));
+    }
+  }
+};
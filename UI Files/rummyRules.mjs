@@ -0,0 +1,474 @@
+// Rummy rules shared by the Table page, MeldBoard and the socket server.
+//
+// A line-for-line port of Libraries/scoring.js (the Python scorer the API
+// uses), so a score preview in the browser or on the socket server always
+// matches what the API will charge. Both implementations are kept in step by
+// the cases in rummyRules.fixtures.json; change them together.
+//
+// Cards are { rank, suit, joker } like the API's CardView. Rules use the
+// API's RuleSet field names (ace_wrap, max_set_size, ...).
+
+export const RANK_ORDER = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+export const SUIT_ORDER = ['S', 'H', 'D', 'C'];
+
+const RANK_POINTS = {
+  A: 10, K: 10, Q: 10, J: 10, '10': 10,
+  '9': 9, '8': 8, '7': 7, '6': 6, '5': 5, '4': 4, '3': 3, '2': 2,
+};
+
+export const DEFAULT_RULES = Object.freeze({
+  ace_wrap: 'ace_high',
+  max_set_size: 4,
+  same_suit_in_set: false,
+  min_sequences: 1,
+  deadwood_cap: 80,
+  ace_value: 10,
+});
+
+// Rotations of RANK_ORDER a sequence may be read in. Rotation 1 puts the Ace
+// after the King; every rotation lets a sequence run through the Ace.
+const WRAP_ROTATIONS = {
+  ace_low: [0],
+  ace_high: [0, 1],
+  round_the_corner: RANK_ORDER.map((_, i) => i),
+};
+
+// Sequence positions by wrap policy, as in the Python solver
+const SEQUENCE_LINES = {
+  ace_low: RANK_ORDER,
+  ace_high: [...RANK_ORDER, 'A'],
+  round_the_corner: [...RANK_ORDER, ...RANK_ORDER.slice(0, -1)],
+};
+
+const PRINTED_JOKER_KEY = 'JOKER:';
+
+// Hard cap on explored search states so a pathological hand can't stall the UI
+const MAX_SOLVER_STATES = 20000;
+
+export function withDefaults(rules) {
+  return { ...DEFAULT_RULES, ...(rules || {}) };
+}
+
+/** Parse a card code such as "10H", "QS" or "JOKER". */
+export function cardFromCode(code) {
+  if (code === 'JOKER') return { rank: 'JOKER', suit: null, joker: true };
+  return { rank: code.slice(0, -1), suit: code.slice(-1), joker: false };
+}
+
+export function cardCode(card) {
+  if (card.rank === 'JOKER') return 'JOKER';
+  return `${card.rank}${card.suit || ''}`;
+}
+
+export function isJokerCard(card, wildJokerRank, hasWildJokerRevealed = true) {
+  if (card.rank === 'JOKER') return true;
+  return Boolean(hasWildJokerRevealed && wildJokerRank && card.rank === wildJokerRank);
+}
+
+export function cardPoints(card, aceValue = 10) {
+  if (card.joker) return 0;
+  if (card.rank === 'A') return aceValue;
+  return RANK_POINTS[card.rank] || 0;
+}
+
+function fitsRun(rankIndices, length, rules) {
+  return WRAP_ROTATIONS[rules.ace_wrap].some((rotation) => {
+    const rotated = rankIndices.map((idx) => (idx - rotation + RANK_ORDER.length) % RANK_ORDER.length);
+    return Math.max(...rotated) - Math.min(...rotated) + 1 <= length;
+  });
+}
+
+export function isSequence(cards, wildJokerRank = null, hasWildJokerRevealed = true, rules = null) {
+  rules = withDefaults(rules);
+  if (cards.length < 3) return false;
+
+  const naturals = cards.filter((c) => !isJokerCard(c, wildJokerRank, hasWildJokerRevealed));
+  const suits = new Set(naturals.map((c) => c.suit));
+  if (naturals.length === 0 || suits.size > 1) return false;
+  if (naturals.length < 2) return false;
+
+  const rankIndices = naturals.map((c) => RANK_ORDER.indexOf(c.rank)).sort((a, b) => a - b);
+  if (new Set(rankIndices).size !== rankIndices.length) return false;
+
+  // Jokers fill the gaps, so the naturals must fit in a run as long as the meld
+  return cards.length <= RANK_ORDER.length && fitsRun(rankIndices, cards.length, rules);
+}
+
+export function isPureSequence(cards, wildJokerRank = null, hasWildJokerRevealed = true, rules = null) {
+  rules = withDefaults(rules);
+  if (!isSequence(cards, wildJokerRank, hasWildJokerRevealed, rules)) return false;
+  if (cards.some((c) => c.rank === 'JOKER')) return false;
+  if (!hasWildJokerRevealed || !wildJokerRank) return true;
+
+  // Wild cards are fine in their natural place, not as substitutes
+  if (new Set(cards.map((c) => c.suit)).size > 1) return false;
+  const rankIndices = cards.map((c) => RANK_ORDER.indexOf(c.rank)).filter((idx) => idx >= 0);
+  if (rankIndices.length !== cards.length || new Set(rankIndices).size !== rankIndices.length) return false;
+  return fitsRun(rankIndices, cards.length, rules);
+}
+
+export function isSet(cards, wildJokerRank = null, hasWildJokerRevealed = true, rules = null) {
+  rules = withDefaults(rules);
+  if (cards.length < 3 || cards.length > rules.max_set_size) return false;
+
+  const naturals = cards.filter((c) => !isJokerCard(c, wildJokerRank, hasWildJokerRevealed));
+  if (naturals.length === 0 || new Set(naturals.map((c) => c.rank)).size > 1) return false;
+
+  const suits = naturals.filter((c) => c.suit).map((c) => c.suit);
+  if (!rules.same_suit_in_set && new Set(suits).size !== suits.length) return false;
+  return true;
+}
+
+/** { type: 'pure_sequence' | 'impure_sequence' | 'set' | 'invalid', valid, reason } */
+export function classifyMeld(cards, wildJokerRank = null, hasWildJokerRevealed = true, rules = null) {
+  if (cards.length < 3) {
+    return { type: 'invalid', valid: false, reason: `A meld needs at least 3 cards, found ${cards.length}` };
+  }
+  if (isPureSequence(cards, wildJokerRank, hasWildJokerRevealed, rules)) {
+    return { type: 'pure_sequence', valid: true, reason: 'Pure sequence' };
+  }
+  if (isSequence(cards, wildJokerRank, hasWildJokerRevealed, rules)) {
+    return { type: 'impure_sequence', valid: true, reason: 'Impure sequence (uses jokers)' };
+  }
+  if (isSet(cards, wildJokerRank, hasWildJokerRevealed, rules)) {
+    return { type: 'set', valid: true, reason: 'Set' };
+  }
+  return {
+    type: 'invalid',
+    valid: false,
+    reason: 'Not a sequence of one suit or a set of one rank with different suits',
+  };
+}
+
+const SEQUENCE_TYPES = ['pure_sequence', 'impure_sequence'];
+
+/** Validate 13 cards of declared melds. Returns [valid, reason]. */
+export function validateHand(melds, wildJokerRank = null, hasWildJokerRevealed = true, rules = null) {
+  rules = withDefaults(rules);
+  if (!melds || melds.length === 0) return [false, 'No meld groups provided'];
+
+  const totalCards = melds.reduce((n, g) => n + g.length, 0);
+  if (totalCards !== 13) return [false, `Meld groups must contain exactly 13 cards, found ${totalCards}`];
+
+  let hasPureSequence = false;
+  let sequences = 0;
+  for (const group of melds) {
+    const verdict = classifyMeld(group, wildJokerRank, hasWildJokerRevealed, rules);
+    if (!verdict.valid) {
+      return [false, `Invalid meld: [${group.map(cardCode).join(', ')}] - ${verdict.reason}`];
+    }
+    if (verdict.type === 'pure_sequence') hasPureSequence = true;
+    if (SEQUENCE_TYPES.includes(verdict.type)) sequences += 1;
+  }
+
+  if (!hasPureSequence) return [false, 'Must have at least one pure sequence (no jokers)'];
+  if (sequences < rules.min_sequences) {
+    return [false, `Must have at least ${rules.min_sequences} sequences, found ${sequences}`];
+  }
+  if (melds.length < 2) return [false, 'Must have at least 2 melds'];
+  return [true, 'Valid hand'];
+}
+
+export function calculateDeadwoodPoints(cards, wildJokerRank = null, hasWildJokerRevealed = true, aceValue = 10, rules = null) {
+  if (rules) aceValue = rules.ace_value ?? aceValue;
+  let total = 0;
+  for (const card of cards) {
+    if (!card || isJokerCard(card, wildJokerRank, hasWildJokerRevealed)) continue;
+    total += cardPoints(card, aceValue);
+  }
+  return Math.min(total, withDefaults(rules).deadwood_cap);
+}
+
+function cardKey(card) {
+  return card.rank === 'JOKER' ? PRINTED_JOKER_KEY : `${card.rank}:${card.suit || ''}`;
+}
+
+function splitKey(key) {
+  const [rank, suit] = key.split(':');
+  return [rank, suit || null];
+}
+
+class SolverBudgetExceeded extends Error {}
+
+/**
+ * Arrangement with the fewest deadwood points, as find_best_arrangement in
+ * Libraries/scoring.js. Returns { melds, leftover, points }; points are uncapped.
+ */
+export function findBestArrangement(hand, wildJokerRank = null, hasWildJokerRevealed = true, aceValue = 10, rules = null) {
+  if (!hand || hand.length === 0) return { melds: [], leftover: [], points: 0 };
+
+  if (rules) aceValue = rules.ace_value ?? aceValue;
+  rules = withDefaults(rules);
+  const line = SEQUENCE_LINES[rules.ace_wrap];
+  const wildRank = hasWildJokerRevealed && wildJokerRank ? wildJokerRank : null;
+
+  const cardsByKey = new Map();
+  for (const card of hand) {
+    const key = cardKey(card);
+    if (!cardsByKey.has(key)) cardsByKey.set(key, []);
+    cardsByKey.get(key).push(card);
+  }
+
+  const printedJokers = (cardsByKey.get(PRINTED_JOKER_KEY) || []).length;
+  cardsByKey.delete(PRINTED_JOKER_KEY);
+  const keys = [...cardsByKey.keys()].sort((a, b) => {
+    const [ra, sa] = splitKey(a);
+    const [rb, sb] = splitKey(b);
+    return SUIT_ORDER.indexOf(sa) - SUIT_ORDER.indexOf(sb) || RANK_ORDER.indexOf(ra) - RANK_ORDER.indexOf(rb);
+  });
+  const keyIndex = new Map(keys.map((k, i) => [k, i]));
+
+  const keyPoints = (key) => {
+    const [rank, suit] = splitKey(key);
+    return cardPoints({ rank, suit }, aceValue);
+  };
+
+  const allPoints = keys
+    .filter((k) => splitKey(k)[0] !== wildRank)
+    .reduce((n, k) => n + keyPoints(k) * cardsByKey.get(k).length, 0);
+
+  const hasNeighbour = (key) => {
+    const [rank, suit] = splitKey(key);
+    return line.some((r, p) => r === rank && [-1, 1].some((step) => (
+      p + step >= 0 && p + step < line.length && keyIndex.has(`${line[p + step]}:${suit}`)
+    )));
+  };
+
+  // Without three naturally consecutive cards no pure sequence exists, so
+  // nothing can be melded and the search can be skipped entirely
+  const pureRunPossible = SUIT_ORDER.some((suit) => line.slice(0, -2).some((_, i) => (
+    [0, 1, 2].every((step) => keyIndex.has(`${line[i + step]}:${suit}`))
+  )));
+  if (!pureRunPossible) return { melds: [], leftover: [...hand], points: allPoints };
+
+  // Wild cards are interchangeable as jokers except when they could sit in
+  // their natural place in a sequence, so spend those last
+  const wildKeys = keys
+    .filter((k) => splitKey(k)[0] === wildRank)
+    .sort((a, b) => (
+      Number(hasNeighbour(a)) - Number(hasNeighbour(b))
+      || SUIT_ORDER.indexOf(splitKey(a)[1]) - SUIT_ORDER.indexOf(splitKey(b)[1])
+    ));
+
+  const meldCache = new Map();
+  const classify = (meldKeys) => {
+    const sig = [...meldKeys].sort().join(',');
+    if (!meldCache.has(sig)) {
+      const cards = meldKeys.map((k) => {
+        const [rank, suit] = splitKey(k);
+        return { rank, suit, joker: rank === 'JOKER' };
+      });
+      meldCache.set(sig, classifyMeld(cards, wildJokerRank, hasWildJokerRevealed, rules));
+    }
+    return meldCache.get(sig);
+  };
+
+  const jokerFills = (count, jokers, counts) => {
+    const wildPool = wildKeys.flatMap((k) => Array(counts[keyIndex.get(k)]).fill(k));
+    const fills = [];
+    for (let printed = Math.min(count, jokers); printed >= 0; printed -= 1) {
+      const wildNeeded = count - printed;
+      if (wildNeeded <= wildPool.length) {
+        fills.push([...Array(printed).fill(PRINTED_JOKER_KEY), ...wildPool.slice(0, wildNeeded)]);
+      }
+    }
+    return fills;
+  };
+
+  const candidateMelds = (first, counts, jokers, allowSwaps) => {
+    const [rank, suit] = splitKey(first);
+    const totalJokers = jokers + wildKeys.reduce((n, k) => n + counts[keyIndex.get(k)], 0);
+    const shapes = [];
+
+    // Sequences in first's suit, through every position first's rank can take
+    line.forEach((r, pos) => {
+      if (r !== rank) return;
+      for (let start = Math.max(0, pos - 12); start <= pos; start += 1) {
+        const naturals = [];
+        let gaps = 0;
+        for (let end = start; end < Math.min(start + 13, line.length); end += 1) {
+          if (end === pos) {
+            naturals.push(first);
+          } else {
+            const key = `${line[end]}:${suit}`;
+            const idx = keyIndex.get(key);
+            let held = idx !== undefined ? counts[idx] : 0;
+            if (key === first) held -= 1;
+            if (held > 0) naturals.push(key);
+            else gaps += 1;
+          }
+          if (gaps > totalJokers) break;
+          if (end >= pos && end - start >= 2) {
+            shapes.push([[...naturals], gaps]);
+            // Also try giving up one natural card to a joker, freeing it for another meld
+            for (const drop of naturals) {
+              if (allowSwaps && drop !== first && gaps + 1 <= totalJokers) {
+                const rest = [...naturals];
+                rest.splice(rest.indexOf(drop), 1);
+                shapes.push([rest, gaps + 1]);
+              }
+            }
+          }
+        }
+      }
+    });
+
+    // Sets of first's rank with other suits plus jokers
+    if (rank !== wildRank) {
+      const otherSuits = SUIT_ORDER.filter((s) => (
+        s !== suit && keyIndex.has(`${rank}:${s}`) && counts[keyIndex.get(`${rank}:${s}`)] > 0
+      ));
+      let subsets = [[]];
+      for (const s of otherSuits) subsets = [...subsets, ...subsets.map((sub) => [...sub, s])];
+      for (const sub of subsets) {
+        const naturals = [first, ...sub.map((s) => `${rank}:${s}`)];
+        for (let size = 3; size <= rules.max_set_size; size += 1) {
+          if (size >= naturals.length && size - naturals.length <= totalJokers) {
+            shapes.push([naturals, size - naturals.length]);
+          }
+        }
+      }
+    }
+
+    const melds = [];
+    for (const [naturals, gaps] of shapes) {
+      const remaining = [...counts];
+      for (const key of naturals) remaining[keyIndex.get(key)] -= 1;
+      if (remaining.some((n) => n < 0)) continue;
+      for (const fill of jokerFills(gaps, jokers, remaining)) melds.push([...naturals, ...fill]);
+    }
+    return melds;
+  };
+
+  const best = (counts, jokers, needPure, needSequences, memo, allowSwaps) => {
+    const state = `${counts.join(',')}|${jokers}|${needPure}|${needSequences}`;
+    if (memo.has(state)) return memo.get(state);
+    if (memo.size >= MAX_SOLVER_STATES) throw new SolverBudgetExceeded();
+
+    const firstIdx = counts.findIndex((n, i) => n > 0 && splitKey(keys[i])[0] !== wildRank);
+    if (firstIdx === -1) {
+      // Only jokers left: they score nothing
+      const result = needPure || needSequences ? [Infinity, []] : [0, []];
+      memo.set(state, result);
+      return result;
+    }
+    const first = keys[firstIdx];
+
+    // Option 1: first card stays ungrouped
+    const remaining = [...counts];
+    remaining[firstIdx] -= 1;
+    const [cost, melds] = best(remaining, jokers, needPure, needSequences, memo, allowSwaps);
+    let result = [cost + keyPoints(first), melds];
+
+    // Option 2: first card goes into a meld
+    for (const meld of candidateMelds(first, counts, jokers, allowSwaps)) {
+      const verdict = classify(meld);
+      if (!verdict.valid) continue;
+      const rest = [...counts];
+      let usedPrinted = 0;
+      for (const key of meld) {
+        if (key === PRINTED_JOKER_KEY) usedPrinted += 1;
+        else rest[keyIndex.get(key)] -= 1;
+      }
+      const [subCost, subMelds] = best(
+        rest,
+        jokers - usedPrinted,
+        needPure && verdict.type !== 'pure_sequence',
+        Math.max(0, needSequences - (SEQUENCE_TYPES.includes(verdict.type) ? 1 : 0)),
+        memo,
+        allowSwaps,
+      );
+      if (subCost < result[0]) result = [subCost, [meld, ...subMelds]];
+    }
+
+    memo.set(state, result);
+    return result;
+  };
+
+  // Repeatedly take the meld that meets a sequence requirement still open,
+  // else the one that clears the most points, as greedy in scoring.js
+  const greedy = (counts, jokers, needPure, needSequences) => {
+    counts = [...counts];
+    const melds = [];
+    for (;;) {
+      let choice = null;
+      const firsts = keys.filter((k, i) => counts[i] > 0 && splitKey(k)[0] !== wildRank);
+      for (const first of firsts) {
+        for (const meld of candidateMelds(first, counts, jokers, false)) {
+          const verdict = classify(meld);
+          if (!verdict.valid) continue;
+          const rank = [
+            Number(needPure && verdict.type === 'pure_sequence'),
+            Number(needSequences > 0 && SEQUENCE_TYPES.includes(verdict.type)),
+            meld
+              .filter((k) => k !== PRINTED_JOKER_KEY && splitKey(k)[0] !== wildRank)
+              .reduce((n, k) => n + keyPoints(k), 0),
+          ];
+          if (!choice || (rank[0] - choice.rank[0] || rank[1] - choice.rank[1] || rank[2] - choice.rank[2]) > 0) {
+            choice = { rank, meld, type: verdict.type };
+          }
+        }
+      }
+      if (!choice) break;
+      for (const key of choice.meld) {
+        if (key === PRINTED_JOKER_KEY) jokers -= 1;
+        else counts[keyIndex.get(key)] -= 1;
+      }
+      melds.push(choice.meld);
+      needPure = needPure && choice.type !== 'pure_sequence';
+      needSequences = Math.max(0, needSequences - (SEQUENCE_TYPES.includes(choice.type) ? 1 : 0));
+    }
+    if (needPure || needSequences) return [Infinity, []];
+    const cost = keys.reduce((n, k, i) => (splitKey(k)[0] !== wildRank ? n + keyPoints(k) * counts[i] : n), 0);
+    return [cost, melds];
+  };
+
+  const startCounts = keys.map((k) => cardsByKey.get(k).length);
+  let cost = Infinity;
+  let meldKeys = [];
+  // If the full search runs over budget, retry without the joker-swap
+  // variants, and failing that settle for a greedy arrangement
+  let searched = false;
+  for (const allowSwaps of [true, false]) {
+    try {
+      [cost, meldKeys] = best(startCounts, printedJokers, true, rules.min_sequences, new Map(), allowSwaps);
+      searched = true;
+      break;
+    } catch (err) {
+      if (!(err instanceof SolverBudgetExceeded)) throw err;
+    }
+  }
+  if (!searched) [cost, meldKeys] = greedy(startCounts, printedJokers, true, rules.min_sequences);
+
+  if (cost >= allPoints) return { melds: [], leftover: [...hand], points: allPoints };
+
+  // Hand the actual card objects back out in meld order
+  const pools = new Map([...cardsByKey].map(([k, v]) => [k, [...v]]));
+  pools.set(PRINTED_JOKER_KEY, hand.filter((c) => cardKey(c) === PRINTED_JOKER_KEY));
+  const melds = meldKeys.map((meld) => meld.map((key) => pools.get(key).pop()));
+  const leftover = [...pools.values()].flat();
+  return { melds, leftover, points: cost };
+}
+
+/** Minimum-deadwood melds grouped by type, as organize_hand_by_melds. */
+export function organizeHandByMelds(hand, wildJokerRank = null, hasWildJokerRevealed = true, aceValue = 10, rules = null) {
+  const organized = { pure_sequences: [], impure_sequences: [], sets: [], ungrouped: [] };
+  if (!hand || hand.length === 0) return organized;
+
+  const { melds, leftover } = findBestArrangement(hand, wildJokerRank, hasWildJokerRevealed, aceValue, rules);
+  for (const meld of melds) {
+    const { type } = classifyMeld(meld, wildJokerRank, hasWildJokerRevealed, rules);
+    if (type === 'pure_sequence') organized.pure_sequences.push(meld);
+    else if (type === 'impure_sequence') organized.impure_sequences.push(meld);
+    else organized.sets.push(meld);
+  }
+  organized.ungrouped = leftover;
+  return organized;
+}
+
+/** Deadwood the API would charge for this hand if someone else declared now. */
+export function handDeadwood(hand, wildJokerRank = null, hasWildJokerRevealed = true, rules = null) {
+  rules = withDefaults(rules);
+  const { leftover } = findBestArrangement(hand, wildJokerRank, hasWildJokerRevealed, rules.ace_value, rules);
+  return calculateDeadwoodPoints(leftover, wildJokerRank, hasWildJokerRevealed, rules.ace_value, rules);
+}
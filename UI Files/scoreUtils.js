@@ -1,5 +1,9 @@
+import { calculateDeadwoodPoints, withDefaults } from './rummyRules.mjs';
+
 export function computeScoresAfterDeclare(roomState, declarerId) {
-  const aceValue = roomState.settings.aceValue || 1;
+  const { settings } = roomState;
+  const rules = withDefaults({ ...settings.rules, ...(settings.aceValue ? { ace_value: settings.aceValue } : {}) });
+  const wildJokerRank = settings.wildJokerRank || null;
   const result = {};
   const declarer = roomState.players.find(p => p.id === declarerId);
   const isValid = roomState.serverValidationResult || false;
@@ -12,21 +16,10 @@ export function computeScoresAfterDeclare(roomState, declarerId) {
     roomState.players.forEach(p => {
       if (p.id === declarerId) result[p.id] = { delta: 0 };
       else {
-        const deadwood = calculateDeadwood(p.remainingCards || [], aceValue);
+        const deadwood = calculateDeadwoodPoints((p.remainingCards || []).filter(Boolean), wildJokerRank, true, rules.ace_value, rules);
         result[p.id] = { delta: deadwood };
       }
     });
   }
   return result;
 }
-
-function calculateDeadwood(cards, aceValue) {
-  let total = 0;
-  cards.forEach(c => {
-    if (!c) return;
-    if (c.rank === 'A') total += aceValue;
-    else if (['J','Q','K'].includes(c.rank)) total += 10;
-    else total += Number(c.rank);
-  });
-  return total;
-}
@@ -0,0 +1,110 @@
+import { useEffect, useRef } from "react";
+import apiclient from "../apiclient";
+import type { ChatMessage } from "../apiclient/data-contracts";
+
+/**
+ * Events pushed by GET /tables/events (see app.libs.table_events).
+ * They say what happened at the table; private state such as your own hand
+ * is re-read over REST. `resync` is sent locally after a reconnect, when
+ * events may have been missed.
+ */
+export type TableEvent =
+  | { type: "player_joined"; user_id: string; display_name: string; seat: number }
+  | { type: "player_left"; user_id: string; reconnect_deadline: string | null }
+  | { type: "player_reconnected"; user_id: string }
+  | { type: "player_dropped"; user_id: string; drop_type: string; penalty: number }
+  | { type: "round_started"; round_number: number; active_user_id: string; turn_deadline: string | null }
+  | { type: "turn_changed"; round_number: number; active_user_id: string; turn_deadline: string | null }
+  | { type: "card_drawn"; user_id: string; source: "stock" | "discard"; stock_count?: number; discard_top?: string | null }
+  | { type: "card_discarded"; user_id: string; card: string }
+  | { type: "joker_revealed"; user_id: string }
+  | { type: "declared"; user_id: string; valid: boolean; show_deadline: string | null }
+  | { type: "round_finished"; round_number: number; winner_user_id: string | null }
+  | { type: "chat_message"; message: ChatMessage }
+  | { type: "voice_updated"; user_id?: string; voice_enabled?: boolean }
+  | { type: "resync" };
+
+type Listener = (event: TableEvent) => void;
+
+interface Stream {
+  listeners: Set<Listener>;
+  abort: AbortController;
+}
+
+// One connection per table, shared by every subscriber on the page
+const streams = new Map<string, Stream>();
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 15000;
+
+const emit = (stream: Stream, event: TableEvent) => stream.listeners.forEach((listener) => listener(event));
+
+/** Split a server-sent events chunk into its `data:` payload. */
+const parseData = (block: string): string =>
+  block
+    .split("\n")
+    .filter((line) => line.startsWith("data:"))
+    .map((line) => line.slice(5).trimStart())
+    .join("\n");
+
+const run = async (tableId: string, stream: Stream) => {
+  let delay = RECONNECT_MIN_MS;
+  let connectedBefore = false;
+  while (!stream.abort.signal.aborted) {
+    try {
+      const res = await apiclient.table_events({ table_id: tableId }, { signal: stream.abort.signal });
+      if (!res.body) throw new Error("Event stream has no body");
+      if (connectedBefore) emit(stream, { type: "resync" });
+      connectedBefore = true;
+      delay = RECONNECT_MIN_MS;
+
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        let end: number;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const data = parseData(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (data) emit(stream, JSON.parse(data));
+        }
+      }
+    } catch (error) {
+      if (stream.abort.signal.aborted) return;
+      console.error("Table event stream failed:", error);
+    }
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+  }
+};
+
+/** Listen to a table's events; returns the unsubscribe function. */
+export const subscribeTableEvents = (tableId: string, listener: Listener): (() => void) => {
+  let stream = streams.get(tableId);
+  if (!stream) {
+    stream = { listeners: new Set(), abort: new AbortController() };
+    streams.set(tableId, stream);
+    run(tableId, stream);
+  }
+  stream.listeners.add(listener);
+  const current = stream;
+  return () => {
+    current.listeners.delete(listener);
+    if (current.listeners.size === 0) {
+      current.abort.abort();
+      streams.delete(tableId);
+    }
+  };
+};
+
+/** Call `onEvent` for every event of the table while mounted. Always sees the latest `onEvent`. */
+export const useTableEvents = (tableId: string | null | undefined, onEvent: Listener) => {
+  const handler = useRef(onEvent);
+  handler.current = onEvent;
+  useEffect(() => {
+    if (!tableId) return;
+    return subscribeTableEvents(tableId, (event) => handler.current(event));
+  }, [tableId]);
+};
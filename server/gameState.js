@@ -1,13 +1,16 @@
 // server/gameState.js
 // Utility functions to manage game rules
 
-const RANK_VALUE = {
-  '2': 2, '3': 3, '4': 4, '5': 5, '6': 6,
-  '7': 7, '8': 8, '9': 9, '10': 10,
-  'J': 10, 'Q': 10, 'K': 10,
-  'A': 1 // use aceValue substitution later
-};
+// Meld validation and deadwood come from the rules module the browser uses,
+// which matches the API's Python scoring. It is an ES module, so load it once
+// at startup; handlers await `rulesReady` before using it.
+let rummyRules = null;
+const rulesReady = import('../UI Files/rummyRules.mjs').then((mod) => {
+  rummyRules = mod;
+  return mod;
+});
 
+// Mirrors auto_deck_count in Libraries/rummy_models.js; tables may override it
 function getDeckCount(playerCount) {
   if (playerCount <= 2) return 1;
   if (playerCount <= 4) return 2;
@@ -15,16 +18,16 @@ function getDeckCount(playerCount) {
 }
 
 // cards: array like [{rank:'3', suit:'H'}, ...]
-// aceValue: 1 or 10
-function calculateDeadwood(cards, aceValue = 1) {
-  let total = 0;
-  for (const c of cards) {
-    if (!c) continue;
-    if (c.rank === 'A') total += aceValue;
-    else if (['J','Q','K'].includes(c.rank)) total += 10;
-    else total += (RANK_VALUE[c.rank] || parseInt(c.rank, 10) || 0);
-  }
-  return total;
+// settings: room settings ({ rules, aceValue, wildJokerRank }); capped like the API
+function calculateDeadwood(cards, settings = {}) {
+  const tableRules = rummyRules.withDefaults({ ...settings.rules, ...(settings.aceValue ? { ace_value: settings.aceValue } : {}) });
+  return rummyRules.calculateDeadwoodPoints(cards.filter(Boolean), settings.wildJokerRank || null, true, tableRules.ace_value, tableRules);
+}
+
+// Check a player's melds under the room's rules. Returns [valid, reason].
+function validateMelds(melds, settings = {}) {
+  const tableRules = rummyRules.withDefaults({ ...settings.rules, ...(settings.aceValue ? { ace_value: settings.aceValue } : {}) });
+  return rummyRules.validateHand(melds, settings.wildJokerRank || null, true, tableRules);
 }
 
 // Apply a declare result for the table. `room` is server-side room object storing players, etc.
@@ -41,14 +44,13 @@ function applyDeclareResult(room, declarerId, isValid) {
     room.history.push({ roundResult: 'invalid', declarerId, penalty: 80 });
   } else {
     // valid: declarer 0 points, others get deadwood
-    const aceValue = (room.settings && room.settings.aceValue) || 1;
     room.history = room.history || [];
     for (const p of room.players) {
       if (p.id === declarerId) {
         // declarer gets 0
         room.history.push({ playerId: p.id, delta: 0 });
       } else {
-        const deadwood = calculateDeadwood(p.remainingCards || [], aceValue);
+        const deadwood = calculateDeadwood(p.remainingCards || [], room.settings);
         p.score = (p.score || 0) + deadwood;
         room.history.push({ playerId: p.id, delta: deadwood });
       }
@@ -57,4 +59,4 @@ function applyDeclareResult(room, declarerId, isValid) {
   }
 }
 
-module.exports = { getDeckCount, calculateDeadwood, applyDeclareResult };
+module.exports = { rulesReady, getDeckCount, calculateDeadwood, validateMelds, applyDeclareResult };
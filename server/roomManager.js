@@ -0,0 +1,174 @@
+// server/roomManager.js
+// In-memory rooms for the socket server, one per table id. Seats come from
+// rummy_table_players, so only players the API seated can join a room.
+// A room outlives its last socket by the table's reconnect grace, so a
+// player who refreshes finds their melds where they left them.
+//
+// const { Pool } = require('pg');
+// const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+// const roomManager = new RoomManager(pool);
+// attachHandlers(io, roomManager);
+// listenForTableEvents(io, roomManager, pool); // see tableEvents.js
+
+class RoomManager {
+  // db: anything with pg's `query(text, values)` returning `{ rows }`
+  constructor(db) {
+    this.db = db;
+    this.rooms = new Map(); // roomId -> room
+    this.sockets = new Map(); // socketId -> { roomId, playerId }
+    this.pending = new Map(); // roomId -> hydration in flight
+    this.expiry = new Map(); // roomId -> timer dropping a room nobody is connected to
+  }
+
+  get(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  // The room for a table, created and hydrated from the database on first use.
+  // Returns null when the table doesn't exist.
+  async getOrCreate(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) return room;
+    if (!this.pending.has(roomId)) {
+      const created = this.hydrate(roomId).finally(() => this.pending.delete(roomId));
+      this.pending.set(roomId, created);
+    }
+    return this.pending.get(roomId);
+  }
+
+  // (Re)load the table's seats and settings. Players already in the room keep
+  // their socket and melds; players the API no longer seats are removed.
+  async hydrate(roomId) {
+    const { rows: tables } = await this.db.query(
+      `SELECT t.host_user_id, t.rules, t.ace_value, t.reconnect_grace_seconds,
+              (SELECT r.wild_joker_rank FROM public.rummy_rounds r
+                WHERE r.table_id = t.id ORDER BY r.number DESC LIMIT 1) AS wild_joker_rank
+         FROM public.rummy_tables t
+        WHERE t.id = $1`,
+      [roomId]
+    );
+    if (!tables.length) return null;
+    const { rows: seats } = await this.db.query(
+      `SELECT user_id, seat, display_name, profile_image_url, total_points, is_muted
+         FROM public.rummy_table_players
+        WHERE table_id = $1 AND is_spectator = false
+        ORDER BY seat`,
+      [roomId]
+    );
+
+    const table = tables[0];
+    const room = this.rooms.get(roomId) || { id: roomId, players: [], settings: {} };
+    room.hostId = table.host_user_id;
+    room.settings = {
+      ...room.settings,
+      rules: table.rules || {},
+      aceValue: table.ace_value,
+      wildJokerRank: table.wild_joker_rank || null,
+      reconnectGraceSeconds: table.reconnect_grace_seconds || 0,
+    };
+
+    const previous = new Map(room.players.map(p => [p.id, p]));
+    room.players = seats.map(row => {
+      const player = previous.get(row.user_id) || {
+        id: row.user_id,
+        socketId: null,
+        melds: null,
+        meldsLocked: false,
+        disconnected: false,
+      };
+      previous.delete(row.user_id);
+      return Object.assign(player, {
+        seat: row.seat,
+        displayName: row.display_name,
+        avatar: row.profile_image_url,
+        score: row.total_points || 0,
+        isHost: row.user_id === table.host_user_id,
+        isMuted: !!row.is_muted,
+      });
+    });
+    for (const gone of previous.values()) {
+      if (gone.socketId) this.sockets.delete(gone.socketId);
+    }
+
+    this.rooms.set(roomId, room);
+    return room;
+  }
+
+  // Attach a socket to a seated player. Re-reads the seats once for players
+  // who joined through the API after the room was loaded. Returns the player,
+  // or null when they have no seat at the table.
+  async addPlayer(roomId, playerId, socketId) {
+    let room = await this.getOrCreate(roomId);
+    if (!room) return null;
+    if (!room.players.some(p => p.id === playerId)) {
+      room = await this.hydrate(roomId);
+      if (!room) return null;
+    }
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) {
+      this.cleanup(roomId);
+      return null;
+    }
+    if (player.socketId && player.socketId !== socketId) this.sockets.delete(player.socketId);
+    player.resumed = player.disconnected;
+    player.socketId = socketId;
+    player.disconnected = false;
+    player.reconnectDeadline = null;
+    this.sockets.set(socketId, { roomId, playerId });
+    clearTimeout(this.expiry.get(roomId));
+    this.expiry.delete(roomId);
+    return player;
+  }
+
+  // The room and player a socket is attached to, if any
+  bySocket(socketId) {
+    const entry = this.sockets.get(socketId);
+    const room = entry && this.rooms.get(entry.roomId);
+    const player = room && room.players.find(p => p.id === entry.playerId);
+    return player ? { room, player } : null;
+  }
+
+  // Detach a socket from its player. The player keeps their seat until
+  // `reconnectDeadline`; the room is dropped once nobody has come back by the
+  // end of the grace. Returns what was detached.
+  removeSocket(socketId) {
+    const found = this.bySocket(socketId);
+    this.sockets.delete(socketId);
+    if (!found) return null;
+    const { room, player } = found;
+    if (player.socketId === socketId) {
+      const graceMs = (room.settings.reconnectGraceSeconds || 0) * 1000;
+      player.socketId = null;
+      player.disconnected = true;
+      player.reconnectDeadline = new Date(Date.now() + graceMs).toISOString();
+      if (!room.players.some(p => p.socketId) && !this.expiry.has(room.id)) {
+        this.expiry.set(room.id, setTimeout(() => {
+          this.expiry.delete(room.id);
+          this.cleanup(room.id);
+        }, graceMs));
+      }
+    }
+    return found;
+  }
+
+  // Forget a room nobody is connected to
+  cleanup(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && !room.players.some(p => p.socketId) && !this.expiry.has(roomId)) this.rooms.delete(roomId);
+  }
+
+  // Host mute, saved on the seat so the API sees it too
+  async setMuted(roomId, playerId, muted) {
+    const room = this.rooms.get(roomId);
+    const player = room && room.players.find(p => p.id === playerId);
+    if (!player) return null;
+    await this.db.query(
+      'UPDATE public.rummy_table_players SET is_muted = $3 WHERE table_id = $1 AND user_id = $2',
+      [roomId, playerId, !!muted]
+    );
+    player.isMuted = !!muted;
+    return player;
+  }
+}
+
+module.exports = RoomManager;
@@ -0,0 +1,53 @@
+// server/socketAuth.js
+// Socket handshake auth. Clients send the same Stack Auth access token the
+// REST API's AuthorizedUser checks:
+//   io(url, { auth: { token: (await user.getAuthJson()).accessToken } })
+// The verified user id is kept in `socket.data.userId`; handlers take the
+// actor from there and never from event payloads.
+
+const PROJECT_ID = process.env.STACK_PROJECT_ID;
+// Tokens are checked against this audience, so refuse to start without it
+if (!PROJECT_ID) throw new Error('STACK_PROJECT_ID must be set to verify socket tokens');
+const JWKS_URL = process.env.STACK_JWKS_URL
+  || `https://api.stack-auth.com/api/v1/projects/${PROJECT_ID}/.well-known/jwks.json`;
+
+// jose is an ES module; load it and the key set once, on first use
+let verifierReady = null;
+function getVerifier() {
+  if (!verifierReady) {
+    verifierReady = import('jose').then(({ createRemoteJWKSet, jwtVerify }) => {
+      const keys = createRemoteJWKSet(new URL(JWKS_URL));
+      return (token) => jwtVerify(token, keys, { audience: PROJECT_ID });
+    });
+  }
+  return verifierReady;
+}
+
+// The user id in a valid access token, or null
+async function verifyToken(token) {
+  if (!token) return null;
+  try {
+    const verify = await getVerifier();
+    const { payload } = await verify(token);
+    return payload.sub || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function handshakeToken(socket) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return auth.token;
+  const header = headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// io.use() middleware: refuse the connection unless the token checks out
+async function authenticate(socket, next) {
+  const userId = await verifyToken(handshakeToken(socket));
+  if (!userId) return next(new Error('unauthorized'));
+  socket.data.userId = userId;
+  next();
+}
+
+module.exports = { authenticate, verifyToken };
@@ -1,93 +1,109 @@
 // server/socketHandlers.js
-// Attach these to your existing socket.io setup
+// Attach these to your existing socket.io setup. Connections must carry a
+// valid access token (see socketAuth.js); every handler acts as that user and
+// ignores any player ids in the payload.
 
-const { calculateDeadwood } = require('./gameState');
+const { rulesReady, validateMelds } = require('./gameState');
+const { authenticate } = require('./socketAuth');
 
 function attachHandlers(io, roomManager) {
+  io.use(authenticate);
+
   io.on('connection', (socket) => {
-    // join room
-    socket.on('joinRoom', ({ roomId, player }) => {
+    const userId = socket.data.userId;
+
+    // The caller's seat in a room this socket has joined
+    const seatIn = (roomId) => {
+      const room = roomManager.get(roomId);
+      if (!room || !socket.rooms.has(roomId)) return {};
+      return { room, player: room.players.find(p => p.id === userId) };
+    };
+
+    // join room: only players seated at the table through the API get in
+    socket.on('joinRoom', async ({ roomId }) => {
+      let seated = null;
+      try {
+        seated = await roomManager.addPlayer(roomId, userId, socket.id);
+      } catch (err) {
+        console.error('joinRoom failed:', err);
+      }
+      if (!seated) {
+        socket.emit('joinRejected', { roomId, reason: 'You are not seated at this table' });
+        return;
+      }
       socket.join(roomId);
-      // ensure player object added in roomManager (roomManager implementation expected)
-      // e.g. roomManager.addPlayer(roomId, player)
+      socket.to(roomId).emit('playerJoined', {
+        playerId: seated.id, displayName: seated.displayName, avatar: seated.avatar, resumed: !!seated.resumed,
+      });
     });
 
-    // Player locks their melds: save into room state and broadcast
-    socket.on('lockMelds', ({ roomId, playerId, melds }) => {
-      const room = roomManager.get(roomId);
-      if (!room) return;
-      const player = room.players.find(p => p.id === playerId);
+    // Player locks their melds: check them with the shared rules, save into room state and broadcast
+    socket.on('lockMelds', async ({ roomId, melds }) => {
+      await rulesReady;
+      const { room, player } = seatIn(roomId);
       if (!player) return;
+      const [valid, reason] = validateMelds(melds, room.settings);
+      if (!valid) {
+        socket.emit('meldsRejected', { playerId: userId, reason });
+        return;
+      }
       player.melds = melds;
       player.meldsLocked = true;
-      io.to(roomId).emit('playerMeldsUpdated', { playerId, melds });
+      io.to(roomId).emit('playerMeldsUpdated', { playerId: userId, melds });
     });
 
-    // Request to get saved melds (on reconnect/refresh)
-    socket.on('getPlayerMelds', ({ roomId, playerId }) => {
-      const room = roomManager.get(roomId);
-      const player = room && room.players.find(p => p.id === playerId);
-      socket.emit('playerMelds', { playerId, melds: player ? player.melds : null, locked: player ? !!player.meldsLocked : false });
+    // Request to get your saved melds (on reconnect/refresh)
+    socket.on('getPlayerMelds', ({ roomId }) => {
+      const { player } = seatIn(roomId);
+      socket.emit('playerMelds', { playerId: userId, melds: player ? player.melds : null, locked: player ? !!player.meldsLocked : false });
     });
 
-    // Drop before drawing a card (only allowed when players > 2)
-    socket.on('dropBeforeDraw', ({ roomId, playerId }) => {
-      const room = roomManager.get(roomId);
-      if (!room) return;
-      if ((room.players || []).length <= 2) {
-        socket.emit('error', { message: 'Drop not allowed in 2-player games' });
-        return;
-      }
-      const player = room.players.find(p => p.id === playerId);
-      if (!player || player.hasDroppedThisRound) return;
-      player.score = (player.score || 0) + 20;
-      player.hasDroppedThisRound = true;
-      io.to(roomId).emit('playerDropped', { playerId, newScore: player.score });
-    });
+    // Drops are not handled here: POST /game/drop owns the drop type and penalty
+    // so the socket server and the API can never charge different amounts.
 
-    // Handle disconnect/leave
+    // Handle disconnect/leave. Nothing is charged here: the player keeps their
+    // seat for the table's reconnect grace, the API auto-plays their turns
+    // meanwhile and drops them from the deal if the grace runs out.
     socket.on('disconnecting', () => {
-      const rooms = Array.from(socket.rooms);
-      for (const roomId of rooms) {
-        const room = roomManager.get(roomId);
-        if (!room) continue;
-        const player = room.players && room.players.find(p => p.socketId === socket.id);
-        if (!player) continue;
-        player.score = (player.score || 0) + 60;
-        player.disconnected = true;
-        io.to(roomId).emit('playerLeft', { playerId: player.id, penalty: 60 });
-        // Optionally: remove or mark seat free, continue round logic as needed
-      }
+      const left = roomManager.removeSocket(socket.id);
+      if (!left || left.player.socketId) return;
+      io.to(left.room.id).emit('playerLeft', {
+        playerId: left.player.id,
+        reconnectDeadline: left.player.reconnectDeadline,
+      });
     });
 
     // Chat message - supports room (group) and private
-    socket.on('chat', ({ roomId, from, toPlayerId, text }) => {
-      const room = roomManager.get(roomId);
-      if (!room) return;
-      const fromPlayer = room.players.find(p => p.id === from);
+    socket.on('chat', ({ roomId, toPlayerId, text }) => {
+      const { room, player: fromPlayer } = seatIn(roomId);
       if (!fromPlayer) return;
+      const from = userId;
       if (fromPlayer.isMuted) {
         socket.emit('chatBlocked', { reason: 'You are muted by the host' });
         return;
       }
       if (toPlayerId) {
         const to = room.players.find(p => p.id === toPlayerId);
-        if (to) io.to(to.socketId).emit('privateChat', { from, text });
+        if (to && to.socketId) io.to(to.socketId).emit('privateChat', { from, text });
       } else {
         io.to(roomId).emit('chatMessage', { from, text, displayName: fromPlayer.displayName, avatar: fromPlayer.avatar });
       }
     });
 
     // Host mutes/unmutes a player
-    socket.on('setMute', ({ roomId, hostId, targetId, muted }) => {
-      const room = roomManager.get(roomId);
-      if (!room) return;
-      const host = room.players.find(p => p.id === hostId);
+    socket.on('setMute', async ({ roomId, targetId, muted }) => {
+      const { player: host } = seatIn(roomId);
       if (!host || !host.isHost) return;
-      const target = room.players.find(p => p.id === targetId);
+      let target;
+      try {
+        target = await roomManager.setMuted(roomId, targetId, muted);
+      } catch (err) {
+        console.error('setMute failed:', err);
+        socket.emit('muteRejected', { playerId: targetId, reason: 'Could not change mute - try again' });
+        return;
+      }
       if (!target) return;
-      target.isMuted = muted;
-      io.to(roomId).emit('playerMuteChange', { playerId: targetId, muted });
+      io.to(roomId).emit('playerMuteChange', { playerId: targetId, muted: target.isMuted });
     });
   });
 }
@@ -0,0 +1,90 @@
+// server/tableEvents.js
+// Rebroadcast the API's table events to socket.io rooms. The API NOTIFYs
+// every event it publishes (Libraries/table_events.js) on CHANNEL; here we
+// LISTEN and emit them to the table's room as 'tableEvent', so moves made
+// over REST reach connected clients straight away.
+//
+// listenForTableEvents(io, roomManager, pool);
+
+const CHANNEL = 'rummy_table_events';
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+// Events after which the room's seats or settings may have changed
+const RELOAD_ON = new Set(['player_joined', 'player_dropped', 'round_started', 'round_finished']);
+
+async function deliver(io, roomManager, event) {
+  const roomId = event.table_id;
+  const room = roomManager.get(roomId);
+  if (room && RELOAD_ON.has(event.type)) {
+    await roomManager.hydrate(roomId);
+    // A new deal starts everyone's melds from scratch
+    if (event.type === 'round_started') {
+      for (const p of room.players) {
+        p.melds = null;
+        p.meldsLocked = false;
+      }
+    }
+  }
+
+  const { visible_to: visibleTo, ...payload } = event;
+  if (!visibleTo) {
+    io.to(roomId).emit('tableEvent', payload);
+    return;
+  }
+  // Private events (e.g. private chat) only go to the listed players
+  if (!room) return;
+  for (const p of room.players) {
+    if (p.socketId && visibleTo.includes(p.id)) io.to(p.socketId).emit('tableEvent', payload);
+  }
+}
+
+// pool: a pg Pool; one of its clients is kept for LISTEN and replaced if it fails
+function listenForTableEvents(io, roomManager, pool) {
+  let delay = RETRY_MIN_MS;
+  // Deliveries run one at a time so a room reload can't reorder events
+  let delivering = Promise.resolve();
+
+  const retry = () => {
+    setTimeout(listen, delay);
+    delay = Math.min(delay * 2, RETRY_MAX_MS);
+  };
+
+  async function listen() {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (err) {
+      console.error('Table event LISTEN failed:', err);
+      if (client) client.release(err);
+      retry();
+      return;
+    }
+    delay = RETRY_MIN_MS;
+
+    client.on('notification', (msg) => {
+      if (msg.channel !== CHANNEL) return;
+      let event;
+      try {
+        event = JSON.parse(msg.payload);
+      } catch (err) {
+        console.error('Bad table event payload:', msg.payload);
+        return;
+      }
+      delivering = delivering
+        .then(() => deliver(io, roomManager, event))
+        .catch(err => console.error('Table event delivery failed:', err));
+    });
+    client.once('error', (err) => {
+      console.error('Table event listener lost its connection:', err);
+      client.removeAllListeners('notification');
+      client.release(err);
+      retry();
+    });
+  }
+
+  listen();
+}
+
+module.exports = { listenForTableEvents };
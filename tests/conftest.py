@@ -0,0 +1,130 @@
+"""Load the app's modules under the names the deployed app imports them by.
+
+Libraries/<name>.js is app.libs.<name> and APIs/<name>.js is app.apis.<name>.
+app.auth is provided by the hosting platform, so a stand-in supplies
+AuthorizedUser. The `db` fixture stands in for Postgres under APIs/game.js.
+"""
+import importlib.machinery
+import importlib.util
+import json
+import re
+import sys
+import types
+from contextlib import asynccontextmanager
+from pathlib import Path
+from typing import Annotated
+
+import pytest
+from fastapi import Depends
+from pydantic import BaseModel
+
+ROOT = Path(__file__).resolve().parent.parent
+PACKAGES = {"app.libs": ROOT / "Libraries", "app.apis": ROOT / "APIs"}
+
+
+class _SourceFinder:
+    """Finds app.libs.* and app.apis.* in the repo's .js source files."""
+
+    def find_spec(self, fullname, path=None, target=None):
+        package, _, name = fullname.rpartition(".")
+        if package not in PACKAGES:
+            return None
+        source = PACKAGES[package] / f"{name}.js"
+        if not source.exists():
+            return None
+        return importlib.util.spec_from_loader(fullname, importlib.machinery.SourceFileLoader(fullname, str(source)))
+
+
+def _package(name: str) -> types.ModuleType:
+    module = types.ModuleType(name)
+    module.__path__ = []
+    sys.modules[name] = module
+    return module
+
+
+class User(BaseModel):
+    sub: str
+
+
+app = _package("app")
+for package in PACKAGES:
+    setattr(app, package.split(".")[1], _package(package))
+auth = types.ModuleType("app.auth")
+auth.User = User
+auth.AuthorizedUser = Annotated[User, Depends(lambda: None)]
+sys.modules["app.auth"] = auth
+sys.meta_path.insert(0, _SourceFinder())
+
+
+class FakeDb:
+    """Just enough of one table's latest round and idempotency keys for game.js.
+
+    UPDATEs bump the round version only when their SQL says so, and one
+    guarded by `version = $n` writes nothing on a mismatch, as in Postgres.
+    Every statement run is kept in `statements`.
+    """
+
+    def __init__(self):
+        self.round = {
+            "id": "r1", "number": 1, "version": 0, "active_user_id": "u1", "finished_at": None,
+            "hands": json.dumps({
+                "u1": [{"rank": r, "suit": "H", "joker": False} for r in ("5", "6", "7")],
+                "u2": [{"rank": r, "suit": "S", "joker": False} for r in ("9", "10", "J")],
+            }),
+            "stock": "[]", "discard": "[]", "wild_joker_rank": None, "ace_value": 10,
+            "players_with_first_sequence": "[]", "drops": "{}", "arrangements": "{}",
+            "phase": "discarding", "show_deadline": None, "points_accumulated": False,
+        }
+        self.seats = []  # rows any seat query returns
+        self.keys = {}  # (user_id, key) -> {"action": ..., "response": ...}
+        self.statements = []
+
+    @asynccontextmanager
+    async def transaction(self):
+        yield
+
+    def _update(self, query, args):
+        guard = re.search(r"version = \$(\d+)", query)
+        if guard and args[int(guard.group(1)) - 1] != self.round["version"]:
+            return False
+        if "version = version + 1" in query:
+            self.round["version"] += 1
+        return True
+
+    async def fetchrow(self, query, *args):
+        self.statements.append(query)
+        if "FOR UPDATE" in query:
+            return {"id": self.round["id"], "version": self.round["version"]}
+        if "rummy_idempotency_keys" in query:
+            return self.keys.get((args[0], args[1]))
+        if query.lstrip().startswith("UPDATE"):
+            return {"version": self.round["version"]} if self._update(query, args) else None
+        if query.lstrip().startswith("SELECT 1 FROM public.rummy_table_players"):
+            return {"?column?": 1}
+        return dict(self.round)
+
+    async def fetch(self, query, *args):
+        self.statements.append(query)
+        return [dict(row) for row in self.seats]
+
+    async def execute(self, query, *args):
+        self.statements.append(query)
+        if "INSERT INTO public.rummy_idempotency_keys" in query:
+            user_id, key, action, _table_id, response = args
+            self.keys[(user_id, key)] = {"action": action, "response": response}
+            return "INSERT 0 1"
+        if query.lstrip().startswith("UPDATE"):
+            return "UPDATE 1" if self._update(query, args) else "UPDATE 0"
+        return "DELETE 0"
+
+
+@pytest.fixture
+def db(monkeypatch):
+    from app.apis import game
+
+    fake = FakeDb()
+    monkeypatch.setattr(game, "fetchrow", fake.fetchrow)
+    monkeypatch.setattr(game, "fetch", fake.fetch)
+    monkeypatch.setattr(game, "execute", fake.execute)
+    monkeypatch.setattr(game, "transaction", fake.transaction)
+    return fake
@@ -0,0 +1,42 @@
+// UI Files/rummyRules.mjs against the shared cases in UI Files/rummyRules.fixtures.json.
+// tests/test_rules_fixtures.py runs the same cases against Libraries/scoring.js.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  calculateDeadwoodPoints,
+  cardFromCode,
+  classifyMeld,
+  findBestArrangement,
+  validateHand,
+} from '../UI Files/rummyRules.mjs';
+
+const fixtures = JSON.parse(readFileSync(new URL('../UI Files/rummyRules.fixtures.json', import.meta.url), 'utf8'));
+const cards = (codes) => codes.map(cardFromCode);
+
+for (const c of fixtures.melds) {
+  test(`meld: ${c.name}`, () => {
+    assert.equal(classifyMeld(cards(c.cards), c.wild_joker_rank, c.revealed, c.rules).type, c.expect);
+  });
+}
+
+for (const c of fixtures.hands) {
+  test(`hand: ${c.name}`, () => {
+    const groups = c.groups.map(cards);
+    assert.deepEqual(validateHand(groups, c.wild_joker_rank, c.revealed, c.rules), [c.expect_valid, c.expect_reason]);
+  });
+}
+
+for (const c of fixtures.deadwood) {
+  test(`deadwood: ${c.name}`, () => {
+    assert.equal(calculateDeadwoodPoints(cards(c.cards), c.wild_joker_rank, c.revealed, c.ace_value, c.rules), c.expect);
+  });
+}
+
+for (const c of fixtures.arrangements) {
+  test(`arrangement: ${c.name}`, () => {
+    const { melds, leftover, points } = findBestArrangement(cards(c.hand), c.wild_joker_rank, c.revealed, c.ace_value, c.rules);
+    assert.deepEqual([points, melds.length], [c.expect_points, c.expect_melds]);
+    assert.equal(melds.flat().length + leftover.length, c.hand.length);
+  });
+}
@@ -0,0 +1,69 @@
+"""Dropping out of a deal (APIs/game.js)."""
+import asyncio
+import json
+
+import pytest
+
+from app.apis import game
+from app.auth import User
+from app.libs import round_phase
+from app.libs.round_phase import GameError
+
+PENALTIES = {"first_drop": 20, "middle_drop": 40, "full_count": 80}
+
+
+@pytest.mark.parametrize("game_type, pool_limit, overrides, expected", [
+    ("points", None, (None, None, None), PENALTIES),
+    ("pool", 101, (None, None, None), PENALTIES),
+    ("pool", 201, (None, None, None), {"first_drop": 25, "middle_drop": 50, "full_count": 80}),
+    ("pool", 201, (10, None, 60), {"first_drop": 10, "middle_drop": 50, "full_count": 60}),
+])
+def test_penalty_amounts(game_type, pool_limit, overrides, expected):
+    assert game._drop_penalties(game_type, pool_limit, *overrides) == expected
+
+
+@pytest.mark.parametrize("drawn, expected", [([], ("first", 20)), (["u2", "u1"], ("middle", 40))])
+def test_drop_type_follows_whether_the_player_has_drawn(drawn, expected):
+    assert game._drop_charge("u1", drawn, PENALTIES) == expected
+
+
+def test_timed_out_player_holding_a_drawn_card_pays_a_middle_drop(db, monkeypatch):
+    events = []
+    monkeypatch.setattr(game.table_events, "publish", lambda *args: events.append(args))
+    card = {"rank": "5", "suit": "H", "joker": False}
+    rnd = {
+        "id": "r1", "number": 1, "phase": round_phase.DISCARDING, "version": 0, "active_user_id": "u1",
+        "hands": {"u1": [card] * 14, "u2": [card] * 13, "u3": [card] * 13},
+        "drops": {}, "drawn": ["u1"], "order": ["u1", "u2", "u3"],
+    }
+    assert asyncio.run(game._drop_from_deal("t1", rnd, "u1", PENALTIES, 30)) == ("middle", 40)
+    assert rnd["drops"] == {"u1": {"type": "middle", "points": 40}}
+    assert events[0][1:] == (game.table_events.PLAYER_DROPPED, {"user_id": "u1", "drop_type": "middle", "penalty": 40})
+
+
+@pytest.fixture
+def drawing(db, monkeypatch):
+    async def no_deadlines(table_id):
+        return None
+
+    monkeypatch.setattr(game, "_enforce_deadlines", no_deadlines)
+    db.round.update({
+        "phase": round_phase.DRAWING, "drawn_user_ids": "[]", "user_order": json.dumps(["u1", "u2"]),
+        "game_type": "points", "pool_limit": None, "turn_seconds": 30,
+        "first_drop_penalty": None, "middle_drop_penalty": None, "full_count_penalty": None,
+    })
+    return db
+
+
+def test_drop_off_turn_is_refused(drawing):
+    with pytest.raises(GameError) as err:
+        asyncio.run(game.drop_game(game.DropRequest(table_id="t1"), User(sub="u2"), None))
+    assert err.value.code == round_phase.NOT_YOUR_TURN
+    assert drawing.round["drops"] == "{}"
+
+
+def test_drop_after_drawing_is_refused(drawing):
+    drawing.round["phase"] = round_phase.DISCARDING
+    with pytest.raises(GameError) as err:
+        asyncio.run(game.drop_game(game.DropRequest(table_id="t1"), User(sub="u1"), None))
+    assert err.value.code == round_phase.ALREADY_DRAWN
@@ -0,0 +1,57 @@
+"""Idempotency-Key replays of turn actions (_idempotent in APIs/game.js)."""
+import asyncio
+
+import pytest
+from fastapi import HTTPException
+
+from app.apis import game
+
+
+def discard_action(calls: list):
+    async def run():
+        calls.append(1)
+        return game.DiscardResponse(
+            table_id="t1", round_number=1, hand=[], stock_count=40, discard_top="7H",
+            next_active_user_id="u2", version=len(calls) + 4,
+        )
+    return run
+
+
+def idempotent(key, action, run):
+    return asyncio.run(game._idempotent("t1", "u1", key, action, game.DiscardResponse, run))
+
+
+def test_retry_replays_the_stored_response(db):
+    calls = []
+    first = idempotent("k1", "discard_card", discard_action(calls))
+    again = idempotent("k1", "discard_card", discard_action(calls))
+
+    assert calls == [1]
+    assert again == first
+    assert again.version == 5
+
+
+def test_key_reused_for_another_action_is_refused(db):
+    idempotent("k1", "discard_card", discard_action([]))
+    calls = []
+    with pytest.raises(HTTPException) as err:
+        idempotent("k1", "draw_stock", discard_action(calls))
+    assert err.value.status_code == 422
+    assert calls == []
+
+
+def test_failed_attempt_stores_nothing(db):
+    async def fail():
+        raise HTTPException(status_code=400, detail="Not your turn")
+
+    with pytest.raises(HTTPException):
+        idempotent("k1", "discard_card", fail)
+    assert db.keys == {}
+
+
+def test_without_a_key_the_action_always_runs(db):
+    calls = []
+    idempotent(None, "discard_card", discard_action(calls))
+    idempotent(None, "discard_card", discard_action(calls))
+    assert calls == [1, 1]
+    assert db.keys == {}
@@ -0,0 +1,55 @@
+"""Players whose reconnect grace runs out (APIs/game.js)."""
+import asyncio
+import json
+
+from app.apis import game
+
+
+def seat(user_id, expired=False, total_points=0):
+    return {"user_id": user_id, "expired": expired, "total_points": total_points}
+
+
+def deal(db, user_ids):
+    db.round.update({
+        "hands": json.dumps({uid: [{"rank": "5", "suit": "H", "joker": False}] * 13 for uid in user_ids}),
+        "drops": "{}", "drawn_user_ids": "[]", "active_user_id": user_ids[0], "phase": "drawing",
+        "turn_seconds": 30, "game_type": "pool", "pool_limit": 101,
+        "first_drop_penalty": None, "middle_drop_penalty": None, "full_count_penalty": None,
+    })
+
+
+def test_expired_player_is_charged_once_across_deals(db, monkeypatch):
+    charged = []
+
+    async def drop_from_deal(table_id, rnd, uid, penalties, turn_seconds):
+        charged.append((rnd["number"], uid))
+        hands = json.loads(db.round["hands"])
+        del hands[uid]
+        db.round["hands"] = json.dumps(hands)
+        return "first", penalties["first_drop"]
+
+    monkeypatch.setattr(game, "_drop_from_deal", drop_from_deal)
+
+    # Deal 1: b's grace runs out mid-deal
+    db.seats = [seat("a"), seat("b", expired=True), seat("c")]
+    deal(db, ["a", "b", "c"])
+    asyncio.run(game._enforce_reconnect_grace("t1"))
+    asyncio.run(game._enforce_reconnect_grace("t1"))
+    assert charged == [(1, "b")]
+
+    # Deal 2: b is still gone, so sits it out and isn't charged again
+    dealt, eliminated, sitting_out = game._next_deal_seats(db.seats, 101)
+    assert (dealt, eliminated, sitting_out) == (["a", "c"], [], ["b"])
+    db.round["number"] = 2
+    deal(db, dealt)
+    asyncio.run(game._enforce_reconnect_grace("t1"))
+    assert charged == [(1, "b")]
+
+    # Deal 3: b came back and is dealt in again
+    db.seats = [seat("a"), seat("b"), seat("c")]
+    assert game._next_deal_seats(db.seats, 101)[0] == ["a", "b", "c"]
+
+
+def test_players_over_the_pool_limit_are_eliminated_not_sat_out():
+    players = [seat("a", total_points=101), seat("b", expired=True, total_points=120), seat("c")]
+    assert game._next_deal_seats(players, 101) == (["c"], ["a", "b"], [])
@@ -0,0 +1,42 @@
+"""The round version turn actions are checked against (APIs/game.js)."""
+import asyncio
+
+import pytest
+
+from app.apis import game
+from app.auth import User
+from app.libs import round_phase
+from app.libs.round_phase import GameError
+
+
+def test_stale_version_is_rejected(db):
+    db.round["version"] = 3
+    with pytest.raises(GameError) as err:
+        asyncio.run(game._lock_round("t1", 2))
+    assert (err.value.status_code, err.value.code) == (409, round_phase.STALE_ROUND)
+
+
+def test_current_version_locks_the_round(db):
+    db.round["version"] = 3
+    assert asyncio.run(game._lock_round("t1", 3)) == {"id": "r1", "version": 3}
+
+
+@pytest.mark.parametrize("result", ["UPDATE 0", None])
+def test_guarded_write_that_matched_nothing_is_stale(result):
+    with pytest.raises(GameError) as err:
+        game._require_written(result)
+    assert err.value.code == round_phase.STALE_ROUND
+
+
+def test_arranging_between_draw_and_discard_keeps_the_version(db):
+    # The client drew and holds version 7, then regroups before discarding
+    db.round["version"] = 7
+    body = game.ArrangementRequest(table_id="t1", groups=[
+        {"id": "g1", "cards": [{"rank": r, "suit": "H", "code": f"{r}H"} for r in ("5", "6", "7")]},
+    ])
+    saved = asyncio.run(game.put_arrangement(body, User(sub="u1")))
+
+    assert [len(g.cards) for g in saved.groups] == [3]
+    assert db.round["version"] == 7
+    # ...so the discard sent with version 7 still goes through
+    asyncio.run(game._lock_round("t1", 7))
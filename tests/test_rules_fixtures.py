@@ -0,0 +1,57 @@
+"""Libraries/scoring.js against the shared cases in UI Files/rummyRules.fixtures.json.
+
+tests/rummyRules.test.mjs runs the same cases against UI Files/rummyRules.mjs.
+"""
+import json
+from pathlib import Path
+
+import pytest
+
+from app.libs.rummy_models import RuleSet
+from app.libs.scoring import calculate_deadwood_points, classify_meld, find_best_arrangement, validate_hand
+
+FIXTURES = json.loads((Path(__file__).resolve().parent.parent / "UI Files" / "rummyRules.fixtures.json").read_text())
+
+
+def card(code: str) -> dict:
+    if code == "JOKER":
+        return {"rank": "JOKER", "suit": None, "joker": True}
+    return {"rank": code[:-1], "suit": code[-1], "joker": False}
+
+
+def rules_of(case: dict):
+    return RuleSet(**case["rules"]) if case["rules"] else None
+
+
+def cases(kind: str):
+    return pytest.mark.parametrize("case", FIXTURES[kind], ids=[c["name"] for c in FIXTURES[kind]])
+
+
+@cases("melds")
+def test_meld(case):
+    verdict = classify_meld([card(c) for c in case["cards"]], case["wild_joker_rank"], case["revealed"], rules_of(case))
+    assert verdict["type"] == case["expect"]
+
+
+@cases("hands")
+def test_hand(case):
+    groups = [[card(c) for c in group] for group in case["groups"]]
+    valid, reason = validate_hand(groups, [], case["wild_joker_rank"], case["revealed"], rules_of(case))
+    assert (valid, reason) == (case["expect_valid"], case["expect_reason"])
+
+
+@cases("deadwood")
+def test_deadwood(case):
+    points = calculate_deadwood_points(
+        [card(c) for c in case["cards"]], case["wild_joker_rank"], case["revealed"], case["ace_value"], rules_of(case)
+    )
+    assert points == case["expect"]
+
+
+@cases("arrangements")
+def test_arrangement(case):
+    melds, leftover, points = find_best_arrangement(
+        [card(c) for c in case["hand"]], case["wild_joker_rank"], case["revealed"], case["ace_value"], rules_of(case)
+    )
+    assert (points, len(melds)) == (case["expect_points"], case["expect_melds"])
+    assert sum(len(m) for m in melds) + len(leftover) == len(case["hand"])
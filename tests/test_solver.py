@@ -0,0 +1,75 @@
+"""find_best_arrangement: the minimum-deadwood solver in Libraries/scoring.js."""
+import pytest
+
+from app.libs import scoring
+from app.libs.rummy_models import RuleSet
+from app.libs.scoring import find_best_arrangement
+
+
+def card(code: str) -> dict:
+    if code == "JOKER":
+        return {"rank": "JOKER", "suit": None, "joker": True}
+    return {"rank": code[:-1], "suit": code[-1], "joker": False}
+
+
+def solve(codes: str, wild_joker_rank=None, revealed=True, rules=None):
+    hand = [card(c) for c in codes.split()]
+    melds, leftover, points = find_best_arrangement(hand, wild_joker_rank, revealed, 10, rules)
+    # The solver neither loses nor invents cards
+    assert sorted(map(str, [c for m in melds for c in m] + leftover)) == sorted(map(str, hand))
+    return melds, leftover, points
+
+
+def test_complete_hand_has_no_deadwood():
+    melds, leftover, points = solve("AH 2H 3H 5S 6S 7S 8S 9C 9D 9H KS KD KC")
+    assert (points, len(melds), leftover) == (0, 4, [])
+
+
+def test_melds_need_a_pure_sequence():
+    # Four sets and no sequence: every card is deadwood
+    melds, _, points = solve("4H 4S 4D 7C 7D 7S 9H 9S 9C KH KS KD 2C")
+    assert (points, melds) == (92, [])
+
+
+def test_beats_the_greedy_longest_run():
+    # Taking 4-7H leaves 7S 7D behind; 4-6H plus a set of sevens leaves nothing
+    melds, _, points = solve("4H 5H 6H 7H 7S 7D")
+    assert (points, len(melds)) == (0, 2)
+
+
+def test_printed_joker_fills_an_impure_sequence():
+    _, _, points = solve("5H 6H 7H 9S JOKER JS")
+    assert points == 0
+
+
+@pytest.mark.parametrize("revealed, expected", [(True, 0), (False, 22)])
+def test_wild_joker_counts_only_once_revealed(revealed, expected):
+    _, _, points = solve("5H 6H 7H 9S JS 3C", wild_joker_rank="3", revealed=revealed)
+    assert points == expected
+
+
+@pytest.mark.parametrize("ace_wrap, hand, expected", [
+    ("ace_high", "QH KH AH", 0),
+    ("ace_low", "QH KH AH", 30),
+    ("ace_high", "KH AH 2H", 22),
+    ("round_the_corner", "KH AH 2H", 0),
+])
+def test_ace_wrap(ace_wrap, hand, expected):
+    _, _, points = solve(hand, rules=RuleSet(ace_wrap=ace_wrap))
+    assert points == expected
+
+
+@pytest.mark.parametrize("min_sequences, expected", [(1, 0), (2, 45)])
+def test_min_sequences(min_sequences, expected):
+    _, _, points = solve("5H 6H 7H 9C 9D 9S", rules=RuleSet(min_sequences=min_sequences))
+    assert points == expected
+
+
+@pytest.mark.parametrize("hand, expected", [
+    ("AH 2H 3H 5S 6S 7S 9C 9D 9H KS KD KC 4D", 4),
+    ("4H 4S 4D 7C 7D 7S 9H 9S 9C KH KS KD 2C", 92),
+])
+def test_over_budget_falls_back_to_a_greedy_arrangement(monkeypatch, hand, expected):
+    monkeypatch.setattr(scoring, "MAX_SOLVER_STATES", 1)
+    _, _, points = solve(hand)
+    assert points == expected